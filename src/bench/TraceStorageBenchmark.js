@@ -0,0 +1,225 @@
+import { TraceSystem } from '../linkage/TraceSystem.js';
+import { Vector } from '../utils/Vector.js';
+
+/**
+ * The trace storage TraceSystem used before ring buffers: an object per point, aged one by one
+ * every step and trimmed with splice and shift. Kept here only to compare against
+ */
+class LegacyTraceStore {
+  constructor() {
+    this.tracePaths = {};
+    this.fullRodTracePaths = {};
+    this.fadeLifespan = 1440;
+    this.fullRodTraceSegments = 8;
+    this.fadingEnabled = true;
+    this.maxTracePointsNoFade = 14400;
+    this.maxRodTracesNoFade = 400;
+  }
+
+  addTracePoint(rodId, position, angle = 0) {
+    if (!this.tracePaths[rodId]) {
+      this.tracePaths[rodId] = [];
+    }
+    this.tracePaths[rodId].push({ pos: position.copy(), age: 0, angle });
+  }
+
+  addFullRodTrace(rodId, startPos, endPos, angle = 0) {
+    if (!this.fullRodTracePaths[rodId]) {
+      this.fullRodTracePaths[rodId] = [];
+    }
+    const tracePoints = [];
+    for (let i = 0; i <= this.fullRodTraceSegments; i++) {
+      const t = i / this.fullRodTraceSegments;
+      tracePoints.push(new Vector(startPos.x + (endPos.x - startPos.x) * t, startPos.y + (endPos.y - startPos.y) * t));
+    }
+    this.fullRodTracePaths[rodId].push({ points: tracePoints, age: 0, angle });
+  }
+
+  update() {
+    if (!this.fadingEnabled) {
+      for (const rodId in this.tracePaths) {
+        const path = this.tracePaths[rodId];
+        if (path.length > this.maxTracePointsNoFade) {
+          path.splice(0, path.length - this.maxTracePointsNoFade);
+        }
+      }
+      for (const rodId in this.fullRodTracePaths) {
+        const path = this.fullRodTracePaths[rodId];
+        if (path.length > this.maxRodTracesNoFade) {
+          path.splice(0, path.length - this.maxRodTracesNoFade);
+        }
+      }
+      return;
+    }
+
+    for (const rodId in this.tracePaths) {
+      const path = this.tracePaths[rodId];
+      for (let i = path.length - 1; i >= 0; i--) {
+        path[i].age++;
+        if (path[i].age > this.fadeLifespan) {
+          path.splice(0, i + 1);
+          break;
+        }
+      }
+    }
+    for (const rodId in this.fullRodTracePaths) {
+      const path = this.fullRodTracePaths[rodId];
+      for (let i = 0; i < path.length; i++) {
+        path[i].age++;
+      }
+      while (path.length > 0 && path[0].age >= this.fadeLifespan) {
+        path.shift();
+      }
+    }
+  }
+
+  /**
+   * What a frame of drawing reads: every position and age
+   */
+  readAll() {
+    let sum = 0;
+    for (const rodId in this.tracePaths) {
+      this.tracePaths[rodId].forEach(point => {
+        sum += point.pos.x + point.pos.y + point.age;
+      });
+    }
+    for (const rodId in this.fullRodTracePaths) {
+      this.fullRodTracePaths[rodId].forEach(frame => {
+        frame.points.forEach(point => {
+          sum += point.x + point.y + frame.age;
+        });
+      });
+    }
+    return sum;
+  }
+
+  countPoints() {
+    return Object.values(this.tracePaths).reduce((count, path) => count + path.length, 0);
+  }
+}
+
+/**
+ * Ring buffer storage through TraceSystem's public methods, read the way draw() reads it
+ */
+class RingTraceStore {
+  constructor() {
+    this.traceSystem = new TraceSystem();
+  }
+
+  set fadingEnabled(enabled) {
+    this.traceSystem.setFading(enabled);
+  }
+
+  addTracePoint(rodId, position, angle) {
+    this.traceSystem.addTracePoint(rodId, position, angle);
+  }
+
+  addFullRodTrace(rodId, startPos, endPos, angle) {
+    this.traceSystem.addFullRodTrace(rodId, startPos, endPos, angle);
+  }
+
+  update() {
+    this.traceSystem.update();
+  }
+
+  readAll() {
+    const traceSystem = this.traceSystem;
+    let sum = 0;
+    for (const rodId in traceSystem.tracePaths) {
+      const path = traceSystem.tracePaths[rodId];
+      for (let i = 0; i < path.length; i++) {
+        sum += path.get(i, 0) + path.get(i, 1) + traceSystem.getAge(path, i);
+      }
+    }
+    for (const rodId in traceSystem.fullRodTracePaths) {
+      const path = traceSystem.fullRodTracePaths[rodId];
+      for (let i = 0; i < path.length; i++) {
+        const offset = path.offset(i);
+        const age = traceSystem.getAge(path, i);
+        for (let k = 0; k < traceSystem.getFrameCoordCount(); k += 2) {
+          sum += path.data[offset + k] + path.data[offset + k + 1] + age;
+        }
+      }
+    }
+    return sum;
+  }
+
+  /**
+   * Live points and the points baked into the layer with fading off (each baked polyline repeats
+   * the last point of the one before it)
+   */
+  countPoints() {
+    const live = Object.values(this.traceSystem.tracePaths).reduce((count, path) => count + path.length, 0);
+    return this.traceSystem.layer.strokes
+      .filter(stroke => stroke.design === 'trace')
+      .reduce((count, stroke) => count + stroke.length / 2 - stroke.starts.length, live);
+  }
+}
+
+/**
+ * Run a synthetic workload on one store: traced joints going round epicycles, a full-rod sweep
+ * and a read of everything once per frame, as the app does
+ * @returns {{addUpdateMs: number, readMs: number, totalMs: number, points: number, checksum: number}}
+ *   checksum: sum of everything read, which should (nearly) match between the stores
+ */
+function runWorkload(store, { rods, fullRods, revolutions, stepsPerRound, stepsPerFrame, fading }) {
+  store.fadingEnabled = fading;
+  const angleStep = Math.PI * 2 / stepsPerRound;
+  const steps = revolutions * stepsPerRound;
+  const position = new Vector(0, 0);
+  const start = new Vector(0, 0);
+  let addUpdateMs = 0;
+  let readMs = 0;
+  let checksum = 0;
+
+  for (let step = 0; step < steps; step++) {
+    const angle = step * angleStep;
+    const before = performance.now();
+    for (let rod = 0; rod < rods; rod++) {
+      position.set(100 * Math.cos(angle * (rod + 1)) + 30 * Math.cos(angle * 7), 100 * Math.sin(angle * (rod + 1)));
+      store.addTracePoint(rod, position, angle);
+    }
+    const isFrameEnd = step % stepsPerFrame === stepsPerFrame - 1;
+    if (isFrameEnd) {
+      for (let rod = 0; rod < fullRods; rod++) {
+        position.set(120 * Math.cos(angle + rod), 120 * Math.sin(angle + rod));
+        store.addFullRodTrace(`fullrod_${rod}`, start, position, angle);
+      }
+    }
+    store.update();
+    const afterUpdate = performance.now();
+    addUpdateMs += afterUpdate - before;
+
+    if (isFrameEnd) {
+      checksum += store.readAll();
+      readMs += performance.now() - afterUpdate;
+    }
+  }
+
+  return { addUpdateMs, readMs, totalMs: addUpdateMs + readMs, points: store.countPoints(), checksum };
+}
+
+/**
+ * Compare the legacy object storage with the ring buffers on the same workload
+ * @param {Object} options
+ * @param {number} options.rods - Traced joints
+ * @param {number} options.fullRods - Rods with full-rod traces
+ * @param {number} options.revolutions - Crank revolutions to simulate
+ * @param {boolean} options.fading - Fade Trace on or off
+ * @returns {{legacy: Object, ring: Object}} Timings in milliseconds and the points left in each
+ *   (see runWorkload)
+ */
+export function runTraceStorageBenchmark({
+  rods = 8,
+  fullRods = 4,
+  revolutions = 10,
+  stepsPerRound = 1440,
+  stepsPerFrame = 24,
+  fading = true
+} = {}) {
+  const options = { rods, fullRods, revolutions, stepsPerRound, stepsPerFrame, fading };
+  return {
+    legacy: runWorkload(new LegacyTraceStore(), options),
+    ring: runWorkload(new RingTraceStore(), options)
+  };
+}
@@ -1,12 +1,24 @@
 import { Vector } from '../utils/Vector.js';
 
 /**
- * Anchor point - the fixed point where the linkage mechanism is attached
+ * Anchor point - the fixed point where a crank is attached
+ * Each anchor drives its crank at speedRatio times the master crank angle, offset by phase
  */
 export class Anchor {
-  constructor(x, y) {
+  constructor(x, y, id = 0) {
+    this.id = id;
     this.pos = new Vector(x, y);
     this.radius = 10;
+    this.phase = 0; // Radians added to the crank angle
+    this.speedRatio = 1; // Revolutions per master revolution (negative spins backwards)
+  }
+
+  getCrankAngle(masterAngle) {
+    return this.phase + masterAngle * this.speedRatio;
+  }
+
+  reverse() {
+    this.speedRatio = -this.speedRatio;
   }
 
   draw(p, cameraZoom, rodsWidth = 4, isInverse = false) {
@@ -0,0 +1,226 @@
+const TWO_PI = Math.PI * 2;
+const fract = (x) => x - Math.floor(x);
+
+/**
+ * Properties automations can drive: how to read and write them on a mechanism
+ * Rod, guide point and anchor properties take the rod or anchor id
+ */
+const PROPERTIES = {
+  length: {
+    label: (id) => `Rod ${id} Length`,
+    get: (mechanism, id) => mechanism.rods[id] ? mechanism.rods[id].length : null,
+    set: (mechanism, id, value) => { mechanism.rods[id].length = Math.max(1, value); }
+  },
+  guideX: {
+    label: (id) => `Guide ${id} X`,
+    get: (mechanism, id) => { const gp = mechanism.getGuidePoint(id); return gp ? gp.home.x : null; },
+    set: (mechanism, id, value) => { const gp = mechanism.getGuidePoint(id); gp.moveBy(value - gp.home.x, 0); }
+  },
+  guideY: {
+    label: (id) => `Guide ${id} Y`,
+    get: (mechanism, id) => { const gp = mechanism.getGuidePoint(id); return gp ? gp.home.y : null; },
+    set: (mechanism, id, value) => { const gp = mechanism.getGuidePoint(id); gp.moveBy(0, value - gp.home.y); }
+  },
+  anchorX: {
+    label: (id) => `Anchor ${id} X`,
+    get: (mechanism, id) => mechanism.anchors[id] ? mechanism.anchors[id].pos.x : null,
+    set: (mechanism, id, value) => { mechanism.anchors[id].pos.x = value; }
+  },
+  anchorY: {
+    label: (id) => `Anchor ${id} Y`,
+    get: (mechanism, id) => mechanism.anchors[id] ? mechanism.anchors[id].pos.y : null,
+    set: (mechanism, id, value) => { mechanism.anchors[id].pos.y = value; }
+  },
+  speed: {
+    label: () => 'Crank Speed',
+    get: (mechanism) => mechanism.revolutionsPerSecond,
+    set: (mechanism, id, value) => { mechanism.revolutionsPerSecond = Math.max(0.01, value); }
+  },
+  traceWidth: {
+    label: () => 'Trace Width',
+    get: (mechanism) => mechanism.traceSystem ? mechanism.traceSystem.traceWidth : null,
+    set: (mechanism, id, value) => { mechanism.traceSystem.traceWidth = Math.max(0.5, value); }
+  },
+  hue: {
+    label: () => 'Trace Hue',
+    get: (mechanism) => mechanism.traceSystem ? mechanism.traceSystem.hueShift : null,
+    set: (mechanism, id, value) => { mechanism.traceSystem.hueShift = value; }
+  }
+};
+
+/**
+ * Parameter automation: LFOs (sine, triangle, saw) and linear ramps that add an offset to numeric
+ * properties as the crank turns. Offsets follow the crank angle (in master revolutions), so
+ * scrubbing and redrawing a cycle replay them exactly. Offsets are added as changes since the last
+ * update, so edits made while an automation runs are kept
+ */
+export class Automation {
+  constructor(mechanism) {
+    this.mechanism = mechanism;
+    // {property, id, shape: 'sine'|'triangle'|'saw'|'ramp', amount, period (revolutions), offset (applied now)}
+    this.automations = [];
+  }
+
+  static getPropertyLabel(property, id) {
+    return PROPERTIES[property] ? PROPERTIES[property].label(id) : property;
+  }
+
+  /**
+   * Properties of the current mechanism that can be automated
+   * @returns {Array<{property: string, id: number|null, label: string}>}
+   */
+  getTargets() {
+    const mechanism = this.mechanism;
+    const targets = [];
+    mechanism.rods.forEach(rod => {
+      targets.push({ property: 'length', id: rod.id });
+      if (mechanism.getGuidePoint(rod.id)) {
+        targets.push({ property: 'guideX', id: rod.id }, { property: 'guideY', id: rod.id });
+      }
+    });
+    mechanism.anchors.forEach(anchor => {
+      targets.push({ property: 'anchorX', id: anchor.id }, { property: 'anchorY', id: anchor.id });
+    });
+    targets.push({ property: 'speed', id: null }, { property: 'traceWidth', id: null }, { property: 'hue', id: null });
+    return targets.map(target => ({ ...target, label: Automation.getPropertyLabel(target.property, target.id) }));
+  }
+
+  add({ property, id = null, shape = 'sine', amount = 20, period = 4 }) {
+    if (!PROPERTIES[property]) return null;
+    const automation = { property, id, shape, amount, period: Math.max(0.01, period), offset: 0 };
+    this.automations.push(automation);
+    this.apply();
+    return automation;
+  }
+
+  /**
+   * Remove an automation and put its property back at rest
+   */
+  remove(automation) {
+    this.setOffset(automation, 0);
+    this.automations = this.automations.filter(other => other !== automation);
+  }
+
+  /**
+   * Offset factor of a shape at a point in time: -1 to 1 for LFOs (0 at the start), 0 to 1 for a ramp
+   * @param {number} t - Time in periods
+   */
+  static wave(shape, t) {
+    switch (shape) {
+      case 'triangle':
+        return 1 - 4 * Math.abs(fract(t + 0.25) - 0.5);
+      case 'saw':
+        return 2 * fract(t + 0.5) - 1;
+      case 'ramp':
+        return Math.max(0, Math.min(1, t));
+      default:
+        return Math.sin(TWO_PI * t);
+    }
+  }
+
+  /**
+   * Master revolutions turned, in the spin direction
+   */
+  getRevolutions() {
+    const direction = this.mechanism.crankSpeed < 0 ? -1 : 1;
+    return direction * this.mechanism.crankAngle / TWO_PI;
+  }
+
+  /**
+   * Bring every automated property to its offset for the current crank angle
+   */
+  apply() {
+    if (this.automations.length === 0) return;
+    const revolutions = this.getRevolutions();
+    this.automations.forEach(automation => {
+      this.setOffset(automation, automation.amount * Automation.wave(automation.shape, revolutions / automation.period));
+    });
+  }
+
+  setOffset(automation, offset) {
+    const property = PROPERTIES[automation.property];
+    const value = property.get(this.mechanism, automation.id);
+    if (value === null || !isFinite(offset)) return;
+    property.set(this.mechanism, automation.id, value + offset - automation.offset);
+    // Keep the change the setter actually made: a clamped value moves less than asked, and
+    // counting the full offset would shift the rest value for good
+    automation.offset += property.get(this.mechanism, automation.id) - value;
+  }
+
+  /**
+   * Run a function with every automated property at rest (used to save states without the offsets)
+   */
+  atRest(callback) {
+    const offsets = this.automations.map(automation => automation.offset);
+    this.automations.forEach(automation => this.setOffset(automation, 0));
+    try {
+      return callback();
+    } finally {
+      this.automations.forEach((automation, i) => this.setOffset(automation, offsets[i]));
+    }
+  }
+
+  /**
+   * Follow rods that were renumbered (see LinkageMechanism.reorderRods); automations of deleted rods go
+   */
+  renumberRods(idMap) {
+    const rodProperties = ['length', 'guideX', 'guideY'];
+    this.automations = this.automations.filter(automation =>
+      !rodProperties.includes(automation.property) || idMap.has(automation.id)
+    );
+    this.automations.forEach(automation => {
+      if (rodProperties.includes(automation.property)) {
+        automation.id = idMap.get(automation.id);
+      }
+    });
+  }
+
+  /**
+   * Follow anchors that were renumbered (see LinkageMechanism.pruneAnchors)
+   */
+  renumberAnchors(idMap) {
+    const anchorProperties = ['anchorX', 'anchorY'];
+    this.automations = this.automations.filter(automation =>
+      !anchorProperties.includes(automation.property) || idMap.has(automation.id)
+    );
+    this.automations.forEach(automation => {
+      if (anchorProperties.includes(automation.property)) {
+        automation.id = idMap.get(automation.id);
+      }
+    });
+  }
+
+  /**
+   * Repeating periods (as fractions of revolutions) of the LFOs, for finding the length of a full cycle
+   */
+  getPeriods() {
+    return this.automations
+      .filter(automation => automation.shape !== 'ramp')
+      .map(automation => automation.period);
+  }
+
+  getSettings() {
+    return this.automations.map(({ property, id, shape, amount, period }) => ({ property, id, shape, amount, period }));
+  }
+
+  /**
+   * Replace the automations (properties are taken to be at rest); invalid entries are skipped
+   */
+  setSettings(settings) {
+    this.automations = [];
+    if (!Array.isArray(settings)) return;
+    settings.forEach(entry => {
+      if (!entry || !PROPERTIES[entry.property]) return;
+      if (!['sine', 'triangle', 'saw', 'ramp'].includes(entry.shape)) return;
+      if (!isFinite(entry.amount) || !isFinite(entry.period) || entry.period <= 0) return;
+      this.automations.push({
+        property: entry.property,
+        id: entry.id !== undefined ? entry.id : null,
+        shape: entry.shape,
+        amount: entry.amount,
+        period: entry.period,
+        offset: 0
+      });
+    });
+  }
+}
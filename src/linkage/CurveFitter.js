@@ -0,0 +1,298 @@
+import { KinematicsSampler } from './KinematicsSampler.js';
+import { StateSerializer } from '../utils/StateSerializer.js';
+
+const SAMPLES_PER_REVOLUTION = 90;
+const TARGET_POINTS = 120;
+const MIN_LENGTH = 1;
+const UNREACHABLE_PENALTY = 500; // World units added when every sample is unreachable
+const RESTART_SIZE = 1e-3; // Simplex this small (in parameter steps) has converged
+const RESTART_STEP = 0.5;
+const CHANGE_PENALTY = 0.01; // World units per squared parameter step: prefer designs close to the start
+
+/**
+ * Inverse design: adjusts anchors, rod lengths and guide points of a mechanism so the path of one
+ * joint follows a closed target curve. Nelder-Mead over the unlocked parameters, restarted around
+ * the best point when it converges. Runs one iteration per step() so callers can spread it over frames.
+ * Uses no p5 or DOM, so it also runs headless
+ */
+export class CurveFitter {
+  /**
+   * @param {Object} state - Starting state (StateSerializer.exportState); it is not modified
+   * @param {Array<{x: number, y: number}>} target - Closed target curve in world coordinates
+   * @param {Object} options
+   * @param {number} options.rodId - Rod whose joint should follow the target
+   * @param {Object} options.locks - {anchor, lengths, guidePoints}: true keeps that group fixed
+   * @param {number[]} options.lockedRodIds - Rods whose length and guide point stay fixed
+   * @param {number} options.maxIterations
+   */
+  constructor(state, target, { rodId, locks = {}, lockedRodIds = [], maxIterations = 600 } = {}) {
+    this.baseState = JSON.parse(JSON.stringify(state));
+    this.target = CurveFitter.resample(target, TARGET_POINTS);
+    this.rodId = rodId;
+    this.locks = locks;
+    this.lockedRodIds = lockedRodIds;
+    this.maxIterations = maxIterations;
+    this.iterations = 0;
+
+    this.sampler = new KinematicsSampler(this.baseState);
+    this.parameters = this.buildParameters();
+
+    const start = this.parameters.map(() => 0);
+    this.initialCost = this.evaluate(start);
+    this.bestValues = start;
+    this.bestCost = this.initialCost;
+    this.resetSimplex(start, 1);
+  }
+
+  /**
+   * Free parameters as accessors on a state; values are stepped in units of `scale`
+   */
+  buildParameters() {
+    const parameters = [];
+    const isRodLocked = (rodId) => this.lockedRodIds.includes(rodId);
+    const addPair = (getObject, scale) => {
+      ['x', 'y'].forEach(axis => {
+        parameters.push({
+          scale,
+          initial: getObject(this.baseState)[axis],
+          set: (state, value) => { getObject(state)[axis] = value; }
+        });
+      });
+    };
+    const addLength = (getObject, field) => {
+      const initial = getObject(this.baseState)[field];
+      parameters.push({
+        scale: Math.max(5, initial * 0.15),
+        initial,
+        set: (state, value) => { getObject(state)[field] = Math.max(MIN_LENGTH, value); }
+      });
+    };
+
+    if (!this.locks.anchor) {
+      addPair(state => state.anchor, 20);
+    }
+    if (!this.locks.lengths && !isRodLocked(0)) {
+      addLength(state => state.anchor.crank, 'length');
+    }
+
+    this.baseState.rods.forEach((rodData, index) => {
+      const getRod = (state) => state.rods[index];
+      if (rodData.anchor) {
+        if (!this.locks.anchor) {
+          addPair(state => getRod(state).anchor, 20);
+        }
+        if (!this.locks.lengths && !isRodLocked(rodData.id)) {
+          addLength(getRod, 'length');
+        }
+        return;
+      }
+
+      if (isRodLocked(rodData.id)) return;
+      if (!this.locks.lengths) {
+        addLength(getRod, 'length');
+        if (rodData.constraint === 'circle') {
+          addLength(getRod, 'pivotLength');
+        }
+      }
+      if (!this.locks.guidePoints && rodData.guidePoint) {
+        addPair(state => getRod(state).guidePoint, 20);
+      }
+    });
+
+    return parameters;
+  }
+
+  /**
+   * Copy of the starting state with parameter values applied (in steps away from the start)
+   */
+  getState(values) {
+    const state = JSON.parse(JSON.stringify(this.baseState));
+    this.parameters.forEach((parameter, i) => {
+      parameter.set(state, parameter.initial + values[i] * parameter.scale);
+    });
+    return state;
+  }
+
+  getBestState() {
+    return this.getState(this.bestValues);
+  }
+
+  /**
+   * Average distance between the joint path and the target, both ways (so neither can cover
+   * only part of the other), plus penalties for samples where a loop can't close and for
+   * straying far from the starting design
+   */
+  evaluate(values) {
+    StateSerializer.applyMechanismState(this.sampler.mechanism, this.getState(values));
+    const result = this.sampler.sampleCycle({ samplesPerRevolution: SAMPLES_PER_REVOLUTION });
+    const path = result.joints[this.rodId];
+    if (!path || path.some(p => !isFinite(p.x) || !isFinite(p.y))) return Infinity;
+
+    const nearest = (point, points) => {
+      let best = Infinity;
+      for (const other of points) {
+        const dx = other.x - point.x;
+        const dy = other.y - point.y;
+        best = Math.min(best, dx * dx + dy * dy);
+      }
+      return Math.sqrt(best);
+    };
+    let toPath = 0;
+    this.target.forEach(point => { toPath += nearest(point, path); });
+    let toTarget = 0;
+    path.forEach(point => { toTarget += nearest(point, this.target); });
+
+    const unreachable = result.unreachable.filter(ids => ids.length > 0).length / result.unreachable.length;
+    const change = values.reduce((sum, value) => sum + value * value, 0);
+    return (toPath / this.target.length + toTarget / path.length) / 2
+      + unreachable * UNREACHABLE_PENALTY
+      + change * CHANGE_PENALTY;
+  }
+
+  resetSimplex(origin, size) {
+    this.simplex = [origin.slice()];
+    this.costs = [this.evaluate(origin)];
+    for (let i = 0; i < origin.length; i++) {
+      const vertex = origin.slice();
+      vertex[i] += size;
+      this.simplex.push(vertex);
+      this.costs.push(this.evaluate(vertex));
+    }
+    this.track();
+  }
+
+  /**
+   * Remember the best vertex seen so far
+   */
+  track() {
+    this.costs.forEach((cost, i) => {
+      if (cost < this.bestCost) {
+        this.bestCost = cost;
+        this.bestValues = this.simplex[i].slice();
+      }
+    });
+  }
+
+  isDone() {
+    return this.parameters.length === 0 || this.iterations >= this.maxIterations;
+  }
+
+  /**
+   * One Nelder-Mead iteration (reflect, expand, contract or shrink)
+   */
+  step() {
+    if (this.isDone()) return;
+    this.iterations++;
+
+    const n = this.parameters.length;
+    const order = this.costs.map((cost, i) => i).sort((a, b) => this.costs[a] - this.costs[b]);
+    this.simplex = order.map(i => this.simplex[i]);
+    this.costs = order.map(i => this.costs[i]);
+
+    const worst = this.simplex[n];
+    const centroid = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        centroid[j] += this.simplex[i][j] / n;
+      }
+    }
+    const along = (factor) => centroid.map((c, j) => c + factor * (worst[j] - c));
+
+    const reflected = along(-1);
+    const reflectedCost = this.evaluate(reflected);
+    if (reflectedCost < this.costs[0]) {
+      const expanded = along(-2);
+      const expandedCost = this.evaluate(expanded);
+      this.replaceWorst(expandedCost < reflectedCost ? expanded : reflected, Math.min(expandedCost, reflectedCost));
+    } else if (reflectedCost < this.costs[n - 1]) {
+      this.replaceWorst(reflected, reflectedCost);
+    } else {
+      const contracted = along(0.5);
+      const contractedCost = this.evaluate(contracted);
+      if (contractedCost < this.costs[n]) {
+        this.replaceWorst(contracted, contractedCost);
+      } else {
+        // Shrink everything towards the best vertex
+        const best = this.simplex[0];
+        for (let i = 1; i <= n; i++) {
+          this.simplex[i] = this.simplex[i].map((value, j) => best[j] + (value - best[j]) / 2);
+          this.costs[i] = this.evaluate(this.simplex[i]);
+        }
+      }
+    }
+    this.track();
+
+    // Converged: look around the best point again in case a better valley is near
+    const size = Math.max(...this.simplex.map(vertex => Math.max(...vertex.map((value, j) => Math.abs(value - this.simplex[0][j])))));
+    if (size < RESTART_SIZE) {
+      this.resetSimplex(this.bestValues, RESTART_STEP);
+    }
+  }
+
+  replaceWorst(vertex, cost) {
+    const n = this.parameters.length;
+    this.simplex[n] = vertex;
+    this.costs[n] = cost;
+  }
+
+  /**
+   * Run iterations for up to budgetMs
+   * @returns {boolean} true when the best state improved
+   */
+  run(budgetMs) {
+    const start = performance.now();
+    const previousBest = this.bestCost;
+    while (!this.isDone() && performance.now() - start < budgetMs) {
+      this.step();
+    }
+    return this.bestCost < previousBest;
+  }
+
+  /**
+   * Evenly spaced points along a closed polyline
+   */
+  static resample(points, count) {
+    const closed = points.concat([points[0]]);
+    const lengths = [0];
+    for (let i = 1; i < closed.length; i++) {
+      lengths.push(lengths[i - 1] + Math.hypot(closed[i].x - closed[i - 1].x, closed[i].y - closed[i - 1].y));
+    }
+    const total = lengths[lengths.length - 1];
+    if (total === 0) return points.slice(0, 1);
+
+    const result = [];
+    let segment = 1;
+    for (let i = 0; i < count; i++) {
+      const distance = total * i / count;
+      while (lengths[segment] < distance) {
+        segment++;
+      }
+      const span = lengths[segment] - lengths[segment - 1];
+      const t = span > 0 ? (distance - lengths[segment - 1]) / span : 0;
+      const a = closed[segment - 1];
+      const b = closed[segment];
+      result.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+    }
+    return result;
+  }
+
+  /**
+   * Scale and move a curve (keeping its aspect) so it fills the given box, centred
+   * @param {{minX: number, maxX: number, minY: number, maxY: number}} box
+   */
+  static placeInBox(points, box) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const width = Math.max(...xs) - minX;
+    const height = Math.max(...ys) - minY;
+    const scale = Math.min(
+      (box.maxX - box.minX) / (width || 1),
+      (box.maxY - box.minY) / (height || 1)
+    );
+    const offsetX = (box.minX + box.maxX) / 2 - (minX + width / 2) * scale;
+    const offsetY = (box.minY + box.maxY) / 2 - (minY + height / 2) * scale;
+    return points.map(p => ({ x: p.x * scale + offsetX, y: p.y * scale + offsetY }));
+  }
+}
@@ -2,12 +2,134 @@ import { Vector } from '../utils/Vector.js';
 
 /**
  * Guide point that constrains rod movement
+ * `home` is where the user placed it; `pos` is where it is this frame:
+ * - static: stays at home
+ * - slider: slides back and forth along a track of `length` starting at home, pointing at `angle`
+ * - orbit: circles home at `radius`
+ * - pinned: sits on the joint of rod `rodId`
+ * Slider and orbit run at `speedRatio` times the crank angle, offset by `phase`
  */
 export class GuidePoint {
   constructor(id, x, y) {
     this.id = id;
+    this.home = new Vector(x, y);
     this.pos = new Vector(x, y);
     this.radius = 10;
+    this.motion = GuidePoint.createMotion('static');
+  }
+
+  static createMotion(type) {
+    switch (type) {
+      case 'slider':
+        return { type, length: 100, angle: 0, speedRatio: 1, phase: 0 };
+      case 'orbit':
+        return { type, radius: 40, speedRatio: 1, phase: 0 };
+      case 'pinned':
+        return { type, rodId: 0 };
+      default:
+        return { type: 'static' };
+    }
+  }
+
+  isDriven() {
+    return this.motion.type !== 'static';
+  }
+
+  setMotion(motion) {
+    this.motion = { ...GuidePoint.createMotion(motion.type), ...motion };
+  }
+
+  /**
+   * Place the guide point for the given crank angle
+   * @param {Vector[]} joints - Joints computed so far (pinned points need their target joint)
+   */
+  updatePosition(crankAngle, joints = []) {
+    const motion = this.motion;
+    const theta = crankAngle * (motion.speedRatio || 0) + (motion.phase || 0);
+
+    switch (motion.type) {
+      case 'slider': {
+        // Cosine easing: dwells at both ends of the track like a real slider crank
+        const t = (1 - Math.cos(theta)) / 2;
+        this.pos.set(
+          this.home.x + Math.cos(motion.angle) * motion.length * t,
+          this.home.y + Math.sin(motion.angle) * motion.length * t
+        );
+        break;
+      }
+      case 'orbit':
+        this.pos.set(
+          this.home.x + motion.radius * Math.cos(theta),
+          this.home.y + motion.radius * Math.sin(theta)
+        );
+        break;
+      case 'pinned': {
+        const joint = joints[motion.rodId];
+        if (joint) {
+          this.pos.set(joint.x, joint.y);
+        } else {
+          this.pos.set(this.home.x, this.home.y);
+        }
+        break;
+      }
+      default:
+        this.pos.set(this.home.x, this.home.y);
+    }
+  }
+
+  /**
+   * Move the guide point (and its track or orbit) by a delta
+   */
+  moveBy(dx, dy) {
+    this.home.x += dx;
+    this.home.y += dy;
+    this.pos.x += dx;
+    this.pos.y += dy;
+  }
+
+  /**
+   * Far end of a slider track
+   */
+  getTrackEnd() {
+    return new Vector(
+      this.home.x + Math.cos(this.motion.angle || 0) * (this.motion.length || 0),
+      this.home.y + Math.sin(this.motion.angle || 0) * (this.motion.length || 0)
+    );
+  }
+
+  /**
+   * Draw what drives the guide point: its slider track or its orbit
+   */
+  drawMotionPath(p, rodsWidth = 4, isInverse = false) {
+    if (this.motion.type !== 'slider' && this.motion.type !== 'orbit') return;
+
+    p.noFill();
+    p.stroke(isInverse ? 100 : 150);
+    p.strokeWeight(rodsWidth / 2);
+    p.drawingContext.setLineDash([rodsWidth * 2, rodsWidth * 2]);
+
+    if (this.motion.type === 'slider') {
+      const end = this.getTrackEnd();
+      p.line(this.home.x, this.home.y, end.x, end.y);
+      p.drawingContext.setLineDash([]);
+
+      // End stops
+      const stopSize = rodsWidth * 3;
+      p.push();
+      p.translate(this.home.x, this.home.y);
+      p.rotate(this.motion.angle);
+      p.line(0, -stopSize, 0, stopSize);
+      p.line(this.motion.length, -stopSize, this.motion.length, stopSize);
+      p.pop();
+    } else {
+      p.ellipse(this.home.x, this.home.y, this.motion.radius * 2, this.motion.radius * 2);
+      p.drawingContext.setLineDash([]);
+
+      // Centre mark
+      const markSize = rodsWidth * 2;
+      p.line(this.home.x - markSize, this.home.y, this.home.x + markSize, this.home.y);
+      p.line(this.home.x, this.home.y - markSize, this.home.x, this.home.y + markSize);
+    }
   }
 
   draw(p, cameraZoom, rodAngle, fillColor, rodsWidth = 4, isInverse = false) {
@@ -42,6 +164,27 @@ export class GuidePoint {
     p.pop();
   }
 
+  /**
+   * Draw as a fixed ground pivot (used by closed-loop rods) - no sleeves
+   */
+  drawPivot(p, fillColor, rodsWidth = 4, isInverse = false) {
+    const pivotSize = rodsWidth * 5;
+
+    p.stroke(isInverse ? 255 : 0);
+    p.strokeWeight(rodsWidth);
+    if (fillColor) {
+      p.fill(fillColor[0], fillColor[1], fillColor[2]);
+    } else {
+      p.fill(isInverse ? 0 : 255);
+    }
+    p.ellipse(this.pos.x, this.pos.y, pivotSize, pivotSize);
+
+    // Black inner circle marks it as fixed to the ground
+    p.noStroke();
+    p.fill(isInverse ? 255 : 0);
+    p.ellipse(this.pos.x, this.pos.y, pivotSize / 3, pivotSize / 3);
+  }
+
   isMouseOver(worldMouse, hitRadius = null) {
     const checkRadius = hitRadius !== null ? hitRadius : this.radius;
     return Vector.dist(worldMouse, this.pos) < checkRadius;
@@ -0,0 +1,88 @@
+import { LinkageMechanism } from './LinkageMechanism.js';
+import { TraceSystem } from './TraceSystem.js';
+import { StateSerializer } from '../utils/StateSerializer.js';
+
+/**
+ * Headless kinematics: samples joint positions over whole crank revolutions
+ * Uses no p5, DOM or window, so it runs in Node and in Web Workers
+ */
+export class KinematicsSampler {
+  /**
+   * @param {Object} state - State object as produced by StateSerializer.exportState
+   */
+  constructor(state) {
+    if (!state || state.version !== '1.0') {
+      throw new Error('Unsupported file version');
+    }
+
+    // Stretch mode sizes telescoping rods from the trace and rod widths, so keep them in sync
+    const traceSystem = new TraceSystem();
+    if (state.traceWidth !== undefined) {
+      traceSystem.setTraceWidth(state.traceWidth);
+    }
+    if (state.rodsWidth !== undefined) {
+      traceSystem.setRodsWidth(state.rodsWidth);
+    }
+
+    this.mechanism = new LinkageMechanism(0, 0, traceSystem, true);
+    StateSerializer.applyMechanismState(this.mechanism, state);
+  }
+
+  /**
+   * Sample the mechanism over one or more revolutions of the main crank
+   * @param {Object} options
+   * @param {number} options.revolutions - Revolutions to sample (defaults to one full multi-crank cycle)
+   * @param {number} options.samplesPerRevolution - Samples per revolution
+   * @param {number} options.startAngle - Crank angle of the first sample (radians)
+   * @returns {{crankAngles: number[], joints: Array<Array<{x: number, y: number}>>,
+   *   couplerPoints: Object<string, Array<{x: number, y: number}>>, unreachable: number[][]}}
+   *   joints[rodId][sample]; couplerPoints keyed "rodId_index"; unreachable holds the rod ids that
+   *   could not close at each sample
+   */
+  sampleCycle({ revolutions = null, samplesPerRevolution = 360, startAngle = 0 } = {}) {
+    const mechanism = this.mechanism;
+    const rounds = revolutions !== null ? revolutions : mechanism.getCycleRevolutions();
+    const sampleCount = Math.max(1, Math.round(rounds * samplesPerRevolution));
+    // Follow the saved spin direction
+    const direction = mechanism.crankSpeed < 0 ? -1 : 1;
+    const angleStep = direction * Math.PI * 2 / samplesPerRevolution;
+
+    const result = {
+      crankAngles: [],
+      joints: mechanism.rods.map(() => []),
+      couplerPoints: {},
+      unreachable: []
+    };
+    mechanism.rods.forEach((rod, i) => {
+      rod.couplerPoints.forEach((_, k) => {
+        result.couplerPoints[`${i}_${k}`] = [];
+      });
+    });
+
+    for (let sample = 0; sample < sampleCount; sample++) {
+      mechanism.crankAngle = startAngle + sample * angleStep;
+      mechanism.updateJoints();
+
+      result.crankAngles.push(mechanism.crankAngle);
+      result.unreachable.push(mechanism.unreachableRodIds.slice());
+      mechanism.joints.forEach((joint, i) => {
+        result.joints[i].push({ x: joint.x, y: joint.y });
+      });
+      mechanism.rods.forEach((rod, i) => {
+        rod.couplerPoints.forEach((_, k) => {
+          const pos = mechanism.getCouplerPointPos(i, k);
+          result.couplerPoints[`${i}_${k}`].push(pos ? { x: pos.x, y: pos.y } : null);
+        });
+      });
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Convenience wrapper: sample a state without keeping the sampler around
+ */
+export function sampleCycle(state, options = {}) {
+  return new KinematicsSampler(state).sampleCycle(options);
+}
@@ -3,6 +3,8 @@ import { LinkageMechanism } from './LinkageMechanism.js';
 import { Camera } from './Camera.js';
 import { TraceSystem } from './TraceSystem.js';
 import { Renderer } from './Renderer.js';
+import { SimulationClock } from './SimulationClock.js';
+import { MechanismDiagnostics } from './MechanismDiagnostics.js';
 import { InputHandler } from '../ui/InputHandler.js';
 import { UIController } from '../ui/UIController.js';
 import { VideoExporter } from '../utils/VideoExporter.js';
@@ -30,10 +32,11 @@ class LinkageApp {
     this.mechanism = new LinkageMechanism(this.width, this.height, this.traceSystem, this.shouldLoadPreset);
     this.camera = new Camera();
     this.videoExporter = new VideoExporter();
-
+    this.clock = new SimulationClock(this.mechanism.getStepsPerSecond());
+    this.diagnostics = new MechanismDiagnostics(this.mechanism);
 
     // Initialize rendering first (needed for state serialization)
-    this.renderer = new Renderer(this.mechanism, this.camera, this.traceSystem);
+    this.renderer = new Renderer(this.mechanism, this.camera, this.traceSystem, this.diagnostics);
 
     // Initialize state serialization and URL state management
     this.stateSerializer = new StateSerializer(this.mechanism, this.camera, this.traceSystem, this.renderer);
@@ -75,7 +78,8 @@ class LinkageApp {
       this.urlStateManager,
       this.renderer,
       this.stateSerializer,
-      this.localStorageManager
+      this.localStorageManager,
+      this.diagnostics
     );
 
     // Connect UIController to InputHandler for button state sync
@@ -108,7 +112,7 @@ class LinkageApp {
         p.frameRate(60);
 
         // Initialize trace system fade lifespan
-        this.traceSystem.updateFadeLifespan(this.mechanism.FRAMES_PER_ROUND);
+        this.traceSystem.updateFadeLifespan(this.mechanism.stepsPerRound);
 
         // Store p5 instance
         this.p5Instance = p;
@@ -131,40 +135,57 @@ class LinkageApp {
       };
 
       p.draw = () => {
+        // A running curve fit gets a slice of every frame
+        this.uiController.fitPanel.update();
+
         // Update camera animations
         this.camera.update(p.deltaTime / 1000); // deltaTime is in ms, convert to seconds
 
-        // Update mechanism
-        this.mechanism.update();
+        // Real time decides how many fixed sub-steps to simulate this frame
+        // While recording, every frame is exactly one nominal frame so the video loops seamlessly
+        this.clock.setStepsPerSecond(this.mechanism.getStepsPerSecond());
+        const steps = this.videoExporter.isCurrentlyRecording()
+          ? this.mechanism.getStepsPerFrame()
+          : this.clock.tick(p.deltaTime);
+
+        for (let step = 0; step < steps; step++) {
+          this.mechanism.update();
+
+          // Only add and age trace points when mechanism is playing
+          // (a paused or scrubbed trace stays on screen)
+          if (this.mechanism.isPlaying) {
+            // Full-rod sweeps are heavy, so they are only added once per frame
+            this.mechanism.recordTraces(step === steps - 1);
+            this.traceSystem.update();
+          }
+
+          // Jumps only count while the crank runs on its own, not while the user drags things around
+          this.diagnostics.trackJumps(this.mechanism.isPlaying && !this.inputHandler.selectedObject);
+
+          // Pausing on an issue needs the step it appears at; otherwise checking once a frame will do
+          if (this.diagnostics.autoPause && this.mechanism.isPlaying && this.diagnostics.check().length > 0) {
+            this.mechanism.isPlaying = false;
+            this.uiController.syncPlayButton();
+            break;
+          }
+        }
+
+        // Keep joints current on frames that fall between two steps (e.g. during a drag)
+        if (steps === 0) {
+          this.mechanism.updateJoints();
+          this.mechanism.updateClones();
+          this.diagnostics.trackJumps(false);
+        }
+        this.diagnostics.check();
 
         // Check if we should auto-fit after state load
         // if (this.uiController) {
         //   this.uiController.checkAutoFit();
         // }
 
-        // Only add trace points when mechanism is playing
-        if (this.mechanism.isPlaying) {
-          for (let i = 0; i < this.mechanism.rods.length; i++) {
-            const rod = this.mechanism.rods[i];
-
-            // Regular point tracing - add every frame for flow effect
-            if (rod.isTracing && this.mechanism.joints[i]) {
-              this.traceSystem.addTracePoint(i, this.mechanism.joints[i]);
-            }
-
-            // Full-rod tracing
-            if (rod.isFullRodTracing) {
-              const startPos = (i === 0) ? this.mechanism.anchor.pos : this.mechanism.joints[i - 1];
-              const endPos = this.mechanism.joints[i];
-              if (startPos && endPos) {
-                this.traceSystem.addFullRodTrace(`fullrod_${i}`, startPos, endPos);
-              }
-            }
-          }
-        }
-        
-        // Update trace aging
-        this.traceSystem.update();
+        // Keep the timeline in step with the crank
+        this.uiController.timelinePanel.sync();
+        this.uiController.diagnosticsPanel.sync();
 
         // Render everything
         this.renderer.draw(p);
@@ -182,7 +203,7 @@ class LinkageApp {
           return true; // Allow button clicks
         }
         if (p.mouseX < 0 || p.mouseX > this.width || p.mouseY < 0 || p.mouseY > this.height) return;
-        this.inputHandler.handlePress(p.mouseX, p.mouseY);
+        this.inputHandler.handlePress(p.mouseX, p.mouseY, false, { altKey: !!(event && event.altKey) });
       };
 
       p.mouseDragged = (event) => {
@@ -198,7 +219,7 @@ class LinkageApp {
         if (event && event.target && (event.target.tagName === 'BUTTON' || event.target.closest('button'))) {
           return true;
         }
-        this.inputHandler.handleRelease(p.mouseX, p.mouseY);
+        this.inputHandler.handleRelease(p.mouseX, p.mouseY, { shiftKey: !!(event && event.shiftKey) });
       };
 
       p.mouseWheel = (event) => {
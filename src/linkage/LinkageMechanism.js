@@ -3,36 +3,73 @@ import { MathUtils } from '../utils/MathUtils.js';
 import { Anchor } from './Anchor.js';
 import { Rod } from './Rod.js';
 import { GuidePoint } from './GuidePoint.js';
+import { SpeedProfile } from './SpeedProfile.js';
+import { Symmetry } from './Symmetry.js';
+import { Automation } from './Automation.js';
+import { Units } from './Units.js';
+import { Random } from '../utils/Random.js';
 
 /**
  * Core linkage mechanism with physics simulation
  */
 export class LinkageMechanism {
-  constructor(width, height, traceSystem = null, skipDefault = false) {
-    this.FRAMES_PER_ROUND = 360;
-    this.crankSpeed = Math.PI * 2 / this.FRAMES_PER_ROUND;
+  /**
+   * @param {Random} random - Seeded random numbers for generated rods (shared with future random features)
+   */
+  constructor(width, height, traceSystem = null, skipDefault = false, random = new Random()) {
+    this.NOMINAL_FPS = 60; // Frame rate used for recordings
+    this.revolutionsPerSecond = 1 / 6;
+    this.stepsPerRound = 1440; // Trace resolution: simulation steps (trace points) per revolution
+    this.crankSpeed = Math.PI * 2 / this.stepsPerRound; // Radians per step, sign is the spin direction
+    this.speedProfile = new SpeedProfile();
+    this.symmetry = new Symmetry();
+    this.automation = new Automation(this);
+    this.morph = null; // StateMorph playing between two saved designs
+    this.units = new Units();
     this.crankAngle = 0;
     this.isPlaying = true;
     this.isStretchingMode = true;
     this.traceSystem = traceSystem;
+    this.random = random;
+
+    // Rod picked in the editor - new rods branch from its joint
+    this.selectedRodId = null;
 
     // Initialize mechanism components
-    this.anchor = new Anchor(width / 2, height / 2 + 50);
+    // anchors[0] drives rod 0; extra anchors drive their own cranks
+    this.anchors = [new Anchor(width / 2, height / 2 + 50, 0)];
     this.rods = [];
     this.guidePoints = [];
     this.joints = [];
 
+    // Loop rods whose circles stopped intersecting on the last update
+    this.unreachableRodIds = [];
+    // Telescoping rods in 'stop' mode that would need more than their maximum extension
+    this.limitedRodIds = [];
+    // Invalid values replaced while loading the last state (see MechanismDiagnostics.sanitizeState)
+    this.stateRepairs = [];
+
+    // Symmetry clones: world positions of their rods plus their own solver memory (see updateClones)
+    this.clones = [];
+
     // Initialize with heart shape configuration like reference
     if (!skipDefault) {
       this.setupDefaultConfiguration(width, height);
     }
   }
 
+  /**
+   * Main anchor (drives rod 0)
+   */
+  get anchor() {
+    return this.anchors[0];
+  }
+
   setupDefaultConfiguration(width, height) {
     // Add rods
     this.rods.push(new Rod(0, 80));  // Crank
-    this.rods.push(new Rod(1, 120)); // First Follower (stretchy)
-    this.rods.push(new Rod(2, 60));  // Second Follower (fixed length for pinch)
+    this.rods.push(new Rod(1, 120, 0)); // First Follower (stretchy)
+    this.rods.push(new Rod(2, 60, 1));  // Second Follower (fixed length for pinch)
     
     // Add guide points
     this.guidePoints.push(new GuidePoint(1, width / 2, height / 2 + 80)); // GP for Rod 1
@@ -42,35 +79,468 @@ export class LinkageMechanism {
     this.rods[this.rods.length - 1].isTracing = true;
   }
 
+  /**
+   * Simulation steps per second of real time
+   */
+  getStepsPerSecond() {
+    return this.revolutionsPerSecond * this.stepsPerRound;
+  }
+
+  /**
+   * Whole steps per frame at the nominal frame rate (used while recording)
+   */
+  getStepsPerFrame() {
+    return Math.max(1, Math.round(this.getStepsPerSecond() / this.NOMINAL_FPS));
+  }
+
+  setRevolutionsPerSecond(revolutionsPerSecond) {
+    if (!isFinite(revolutionsPerSecond) || revolutionsPerSecond <= 0) return;
+    this.revolutionsPerSecond = revolutionsPerSecond;
+  }
+
+  /**
+   * Change the trace resolution, keeping the spin direction
+   */
+  setStepsPerRound(stepsPerRound) {
+    if (!isFinite(stepsPerRound) || stepsPerRound < 1) return;
+    this.stepsPerRound = Math.round(stepsPerRound);
+    const direction = this.crankSpeed < 0 ? -1 : 1;
+    this.crankSpeed = direction * Math.PI * 2 / this.stepsPerRound;
+  }
+
+  /**
+   * Advance the simulation by one step while playing; otherwise just refresh the joints
+   */
   update() {
     if (this.isPlaying) {
-      this.crankAngle += this.crankSpeed;
+      this.advance();
+    } else {
+      this.updateJoints();
+    }
+    this.updateClones();
+  }
+
+  /**
+   * Move the crank one step, scaled by the speed profile, whether playing or not
+   * @param {number} direction - 1 to step forward, -1 to step back
+   * @returns {boolean} false when the mechanism locked up and the crank held its angle
+   */
+  advance(direction = 1) {
+    const previousAngle = this.crankAngle;
+    this.crankAngle += direction * this.crankSpeed * this.speedProfile.getMultiplier(this.crankAngle);
+
+    // A closed loop locked up or a rod hit its stop limit: hold the last reachable crank angle
+    if (!this.updateJoints()) {
+      this.crankAngle = previousAngle;
+      this.updateJoints();
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Push the current joint, coupler and rod positions into the trace system
+   * @param {boolean} includeFullRods - Also add a full-rod sweep (heavy, so added once per frame)
+   */
+  recordTraces(includeFullRods) {
+    if (!this.traceSystem) return;
+    // Pen speeds are one step's movement at the current simulation rate
+    this.traceSystem.stepsPerSecond = this.getStepsPerSecond();
+
+    for (let i = 0; i < this.rods.length; i++) {
+      const rod = this.rods[i];
+
+      // Regular point tracing - add every step for flow effect
+      if (rod.isTracing && this.joints[i]) {
+        this.traceSystem.addTracePoint(i, this.joints[i], this.crankAngle);
+      }
+
+      // Coupler point tracing
+      rod.couplerPoints.forEach((point, k) => {
+        if (point.isTracing) {
+          const pos = this.getCouplerPointPos(i, k);
+          if (pos) {
+            this.traceSystem.addTracePoint(`coupler_${i}_${k}`, pos, this.crankAngle);
+          }
+        }
+      });
+
+      // Full-rod tracing
+      if (includeFullRods && rod.isFullRodTracing) {
+        const startPos = this.getRodStart(i);
+        const endPos = this.joints[i];
+        if (startPos && endPos) {
+          this.traceSystem.addFullRodTrace(`fullrod_${i}`, startPos, endPos, this.crankAngle);
+        }
+      }
+    }
+
+    // Symmetry clones trace the same points under keys prefixed with `clone<k>_`
+    this.clones.forEach((clone, index) => {
+      const prefix = `clone${index + 1}_`;
+      this.rods.forEach((rod, i) => {
+        if (rod.isTracing && clone.joints[i]) {
+          this.traceSystem.addTracePoint(`${prefix}${i}`, clone.joints[i], this.crankAngle);
+        }
+        rod.couplerPoints.forEach((point, k) => {
+          const pos = clone.couplerPoints[i] ? clone.couplerPoints[i][k] : null;
+          if (point.isTracing && pos) {
+            this.traceSystem.addTracePoint(`${prefix}coupler_${i}_${k}`, pos, this.crankAngle);
+          }
+        });
+        if (includeFullRods && rod.isFullRodTracing && clone.starts[i] && clone.joints[i]) {
+          this.traceSystem.addFullRodTrace(`${prefix}fullrod_${i}`, clone.starts[i], clone.joints[i], this.crankAngle);
+        }
+      });
+    });
+  }
+
+  /**
+   * Centre of the symmetry (the main anchor until one is placed)
+   */
+  getSymmetryCenter() {
+    return this.symmetry.center || this.anchor.pos;
+  }
+
+  /**
+   * Simulate every symmetry clone at the current crank angle plus its phase offset
+   * Clones share the master's rods and only keep their own solver memory (loop branches,
+   * rod angles), so edits to the master carry over at once
+   */
+  updateClones() {
+    const count = this.symmetry.getCloneCount();
+    if (this.traceSystem) {
+      for (let k = count + 1; k <= this.clones.length; k++) {
+        this.traceSystem.clearTracesWithPrefix(`clone${k}_`);
+      }
+    }
+    this.clones.length = Math.min(this.clones.length, count);
+    if (count === 0) return;
+
+    const master = this.saveSolverState();
+    const center = this.getSymmetryCenter();
+    for (let index = 0; index < count; index++) {
+      const k = index + 1;
+      const clone = this.clones[index] || { solver: null };
+      this.restoreSolverState(clone.solver || master);
+      this.crankAngle = master.crankAngle + k * this.symmetry.phaseOffset;
+      this.updateJoints();
+      clone.solver = this.saveSolverState();
+
+      const place = (pos) => pos ? this.symmetry.transform(pos, k, center) : null;
+      clone.joints = this.joints.map(place);
+      clone.starts = this.rods.map((rod, i) => place(this.getRodStart(i)));
+      clone.couplerPoints = this.rods.map((rod, i) => rod.couplerPoints.map((point, j) => place(this.getCouplerPointPos(i, j))));
+      this.clones[index] = clone;
+    }
+    this.restoreSolverState(master);
+    this.applyDrivenValues();
+  }
+
+  /**
+   * Forget the clones and their traces (after the symmetry settings changed)
+   */
+  resetClones() {
+    this.clones = [];
+    if (this.traceSystem) {
+      this.traceSystem.clearTracesWithPrefix('clone');
+    }
+  }
+
+  /**
+   * Everything updateJoints changes, so a clone can be simulated in between master steps
+   * (memory from a different rod list is not restored)
+   */
+  saveSolverState() {
+    return {
+      crankAngle: this.crankAngle,
+      joints: this.joints,
+      unreachableRodIds: this.unreachableRodIds,
+      limitedRodIds: this.limitedRodIds,
+      rods: this.rods.map(rod => ({
+        rod,
+        angle: rod.angle,
+        extension: rod.extension,
+        lastSolution: rod.lastSolution
+      })),
+      guides: this.guidePoints.map(gp => ({ gp, x: gp.pos.x, y: gp.pos.y }))
+    };
+  }
+
+  restoreSolverState(solver) {
+    this.crankAngle = solver.crankAngle;
+    this.joints = solver.joints;
+    this.unreachableRodIds = solver.unreachableRodIds;
+    this.limitedRodIds = solver.limitedRodIds;
+    solver.rods.forEach(({ rod, angle, extension, lastSolution }) => {
+      if (this.rods[rod.id] !== rod) return;
+      rod.angle = angle;
+      rod.extension = extension;
+      rod.lastSolution = lastSolution;
+    });
+    solver.guides.forEach(({ gp, x, y }) => {
+      gp.pos.set(x, y);
+    });
+  }
+
+  /**
+   * Run steps at once, recording and aging traces exactly as the animation would
+   */
+  simulateSteps(stepCount) {
+    const stepsPerFrame = this.getStepsPerFrame();
+    for (let step = 0; step < stepCount; step++) {
+      this.simulateStep(step % stepsPerFrame === stepsPerFrame - 1);
+    }
+  }
+
+  /**
+   * @param {boolean} isFrameEnd - Last step of a nominal frame, which also records full-rod traces
+   */
+  simulateStep(isFrameEnd) {
+    this.advance();
+    this.updateClones();
+    if (this.traceSystem) {
+      this.recordTraces(isFrameEnd);
+      this.traceSystem.update();
+    }
+  }
+
+  /**
+   * Revolutions of trace a scrub rebuilds: what stays visible
+   */
+  getScrubRevolutions() {
+    const isFading = this.traceSystem ? this.traceSystem.getFading() : true;
+    return isFading ? 1 : this.getCycleRevolutions();
+  }
+
+  /**
+   * Jump to a crank angle and rebuild the trace that leads up to it
+   * @param {number} angle - Crank angle (radians)
+   * @param {number} revolutions - Revolutions of trace to rebuild (defaults to what stays visible)
+   */
+  scrubTo(angle, revolutions = null) {
+    if (revolutions === null) {
+      revolutions = this.getScrubRevolutions();
+    }
+
+    // Start the given number of revolutions earlier and play forward to the target
+    const direction = this.crankSpeed < 0 ? -1 : 1;
+    this.crankAngle = angle - direction * Math.PI * 2 * revolutions;
+    this.updateJoints();
+    if (this.traceSystem) {
+      this.traceSystem.clearTrace();
+    }
+    // Clones pick up their branch from the master again
+    this.clones = [];
+    this.simulateSteps(this.stepsPerRound * revolutions);
+
+    // The speed profile can leave the last step slightly off; land exactly on the target
+    this.crankAngle = angle;
+    this.updateJoints();
+    this.updateClones();
+  }
+
+  /**
+   * Scrub to a crank angle when the trace already leads up to the current one: an angle ahead
+   * (in the direction the crank turns) only plays the difference forward, anything else is
+   * rebuilt by scrubTo
+   * @param {number} angle - Crank angle (radians)
+   */
+  scrubForwardTo(angle) {
+    const revolutions = this.getScrubRevolutions();
+    const direction = this.crankSpeed < 0 ? -1 : 1;
+    const ahead = direction * (angle - this.crankAngle);
+    if (ahead <= 0 || ahead >= Math.PI * 2 * revolutions) {
+      this.scrubTo(angle, revolutions);
+      return;
     }
 
+    // Never more steps than a rebuild (a locked crank doesn't move at all)
+    const maxSteps = this.stepsPerRound * revolutions;
+    const stepsPerFrame = this.getStepsPerFrame();
+    for (let step = 0; step < maxSteps && direction * (angle - this.crankAngle) > 0; step++) {
+      this.simulateStep(step % stepsPerFrame === stepsPerFrame - 1);
+    }
+
+    // Land exactly on the target, as scrubTo does
+    this.crankAngle = angle;
     this.updateJoints();
+    this.updateClones();
+  }
+
+  /**
+   * Draw a whole cycle (every crank back in its starting position) at once
+   */
+  drawWholeCycle() {
+    this.scrubTo(this.crankAngle, this.getCycleRevolutions());
+  }
+
+  /**
+   * Step a number of nominal frames forward or back
+   * Stepping back drops the trace of the steps it undoes instead of rebuilding it, so holding
+   * the key stays cheap (see TraceSystem.rewind)
+   */
+  stepFrames(frames) {
+    const steps = Math.abs(frames) * this.getStepsPerFrame();
+    if (frames >= 0) {
+      this.simulateSteps(steps);
+      return;
+    }
+
+    for (let step = 0; step < steps; step++) {
+      this.advance(-1);
+      this.updateClones();
+    }
+    if (this.traceSystem) {
+      this.traceSystem.rewind(steps, -frames);
+    }
   }
 
+  /**
+   * Search the crank angle that brings a point of the mechanism closest to a target
+   * Walks forward over one cycle so loops stay on their branch, then refines around the best sample.
+   * Ties (self-crossing paths) go to the angle nearest the current one.
+   * @param {function(): Vector|null} getPoint - Reads the point from the current joints
+   * @param {Vector} target - World position to reach
+   * @returns {number} Crank angle, unwrapped to lie within half a cycle of the current angle
+   */
+  findCrankAngleNear(getPoint, target) {
+    const CONTINUITY_WEIGHT = 10; // World units per radian away from the current angle
+    const startAngle = this.crankAngle;
+    const cycle = Math.PI * 2 * this.getCycleRevolutions();
+    const sampleCount = 180 * this.getCycleRevolutions();
+    const sampleStep = cycle / sampleCount;
+
+    // The search moves the crank; remember the loop branches it passes through
+    const savedSolutions = this.rods.map(rod => rod.lastSolution ? rod.lastSolution.copy() : null);
+    const restore = () => {
+      this.rods.forEach((rod, i) => {
+        rod.lastSolution = savedSolutions[i];
+      });
+      this.crankAngle = startAngle;
+      this.updateJoints();
+    };
+
+    const score = (offset) => {
+      this.crankAngle = startAngle + offset;
+      this.updateJoints();
+      const point = getPoint();
+      if (!point || this.unreachableRodIds.length > 0 || this.limitedRodIds.length > 0) return Infinity;
+      const angularDistance = Math.min(offset, Math.abs(cycle - offset));
+      return Vector.dist(point, target) + angularDistance * CONTINUITY_WEIGHT;
+    };
+
+    // Coarse pass over the whole cycle
+    let bestOffset = 0;
+    let bestScore = Infinity;
+    for (let k = 0; k < sampleCount; k++) {
+      const value = score(k * sampleStep);
+      if (value < bestScore) {
+        bestScore = value;
+        bestOffset = k * sampleStep;
+      }
+    }
+
+    // Fine pass: walk again up to the neighbourhood of the best sample and sample it densely
+    restore();
+    const refineStart = Math.max(0, bestOffset - sampleStep);
+    for (let offset = 0; offset < refineStart; offset += sampleStep) {
+      score(offset);
+    }
+    const REFINE_SAMPLES = 40;
+    for (let k = 0; k <= REFINE_SAMPLES; k++) {
+      const offset = refineStart + k * 2 * sampleStep / REFINE_SAMPLES;
+      const value = score(offset);
+      if (value < bestScore) {
+        bestScore = value;
+        bestOffset = offset;
+      }
+    }
+
+    restore();
+    return startAngle + (bestOffset <= cycle / 2 ? bestOffset : bestOffset - cycle);
+  }
+
+  /**
+   * Turn the crank to an angle in small steps so closed loops keep their branch
+   */
+  moveCrankTo(angle) {
+    const MAX_STEP = Math.PI / 180;
+    const steps = Math.ceil(Math.abs(angle - this.crankAngle) / MAX_STEP);
+    const delta = (angle - this.crankAngle) / Math.max(1, steps);
+    for (let step = 0; step < steps; step++) {
+      this.crankAngle += delta;
+      this.updateJoints();
+    }
+    this.crankAngle = angle;
+    this.updateJoints();
+  }
+
+  /**
+   * Set the values a playing morph and the automations give for the current crank angle
+   * The morph writes absolute values, so it runs with automated properties at rest and
+   * the automation offsets go on top
+   */
+  applyDrivenValues() {
+    if (this.morph) {
+      this.automation.atRest(() => this.morph.apply(this));
+    }
+    this.automation.apply();
+  }
+
+  /**
+   * Recompute every joint for the current crank angle
+   * @returns {boolean} false when a loop rod could not be closed (see unreachableRodIds)
+   *   or a telescoping rod hit its 'stop' limit (see limitedRodIds)
+   */
   updateJoints() {
+    // Morphed and automated properties follow the crank angle
+    this.applyDrivenValues();
+
     this.joints = [];
+    const unreachable = [];
+    const limited = [];
 
-    // Calculate crank endpoint
-    let currentPos = this.anchor.pos.copy();
-    this.rods[0].angle = this.crankAngle;
-    let crankEndpoint = new Vector(
-      currentPos.x + this.rods[0].length * Math.cos(this.rods[0].angle),
-      currentPos.y + this.rods[0].length * Math.sin(this.rods[0].angle)
-    );
-    this.joints.push(crankEndpoint);
+    // Calculate rod endpoints
+    // Rods are ordered so that a parent always comes before its children
+    for (let i = 0; i < this.rods.length; i++) {
+      const rod = this.rods[i];
 
-    // Calculate follower rod endpoints
-    for (let i = 1; i < this.rods.length; i++) {
-      let parentJointPos = this.joints[i - 1];
-      let guide = this.guidePoints[i - 1];
+      // Cranks turn around their anchor
+      if (rod.isCrank()) {
+        const anchor = this.anchors[rod.anchorId] || this.anchor;
+        rod.angle = anchor.getCrankAngle(this.crankAngle);
+        this.joints.push(new Vector(
+          anchor.pos.x + rod.length * Math.cos(rod.angle),
+          anchor.pos.y + rod.length * Math.sin(rod.angle)
+        ));
+        continue;
+      }
+
+      let parentJointPos = this.joints[rod.parentId];
+      let guide = this.getGuidePoint(rod.id);
+
+      // Driven guide points (sliders, orbits, pins) move with the crank
+      if (guide) {
+        guide.updatePosition(this.crankAngle, this.joints);
+      }
+
+      if (rod.isLoop()) {
+        const joint = this.solveLoopJoint(rod, parentJointPos, guide);
+        if (!joint) {
+          unreachable.push(rod.id);
+        }
+        const jointPos = joint || this.getFallbackLoopJoint(rod, parentJointPos, guide);
+        rod.angle = Math.atan2(jointPos.y - parentJointPos.y, jointPos.x - parentJointPos.x);
+        this.joints.push(jointPos);
+        continue;
+      }
 
       let angle = Math.atan2(guide.pos.y - parentJointPos.y, guide.pos.x - parentJointPos.x);
-      this.rods[i].angle = angle;
+      rod.angle = angle;
 
-      // Stretching mode: grow rod if needed to keep joint beyond GP sleeves
+      // Stretching mode: telescope the rod just far enough to keep the joint beyond the GP sleeve
+      rod.extension = 0;
       if (this.isStretchingMode && this.traceSystem) {
         let distanceToGP = Vector.dist(parentJointPos, guide.pos);
         // GP size calculation (same as in GuidePoint.draw)
@@ -81,53 +551,222 @@ export class LinkageMechanism {
         // Joint size from Renderer (use traceWidth with multiplier for all joints)
         let jointRadius = this.traceSystem.traceWidth * this.traceSystem.jointSizeMultiplier / 2;
         let minLength = distanceToGP + sleeveExtension + jointRadius;
-        if (minLength > this.rods[i].length) {
-          this.rods[i].length = minLength;
+
+        const extension = Math.max(rod.minExtension, minLength - rod.length);
+        rod.extension = Math.min(extension, rod.maxExtension);
+        if (extension > rod.maxExtension && rod.limitMode === 'stop') {
+          limited.push(rod.id);
         }
       }
 
+      const currentLength = rod.getCurrentLength();
       let nextJointPos = new Vector(
-        parentJointPos.x + this.rods[i].length * Math.cos(angle),
-        parentJointPos.y + this.rods[i].length * Math.sin(angle)
+        parentJointPos.x + currentLength * Math.cos(angle),
+        parentJointPos.y + currentLength * Math.sin(angle)
       );
       this.joints.push(nextJointPos);
     }
+
+    this.unreachableRodIds = unreachable;
+    this.limitedRodIds = limited;
+
+    // Only a fully closed configuration becomes the reference for branch continuity
+    if (unreachable.length === 0) {
+      this.rods.forEach(rod => {
+        if (rod.isLoop()) {
+          rod.lastSolution = this.joints[rod.id].copy();
+        }
+      });
+    }
+
+    return unreachable.length === 0 && limited.length === 0;
+  }
+
+  /**
+   * Pivot a loop rod's second link hangs from
+   */
+  getLoopPivot(rod, guide = this.getGuidePoint(rod.id)) {
+    if (rod.pivotRodId !== null && this.joints[rod.pivotRodId]) {
+      return this.joints[rod.pivotRodId];
+    }
+    return guide ? guide.pos : null;
+  }
+
+  /**
+   * Circle-circle intersection for a loop rod
+   * Follows the intersection closest to the previous frame so the branch never jumps,
+   * and falls back to the chosen elbow when there is no history
+   */
+  solveLoopJoint(rod, parentJointPos, guide) {
+    const pivot = this.getLoopPivot(rod, guide);
+    if (!pivot) return null;
+
+    const solutions = MathUtils.circleIntersections(parentJointPos, rod.length, pivot, rod.pivotLength);
+    if (!solutions) return null;
+
+    let chosen = solutions[rod.elbow > 0 ? 0 : 1];
+    if (rod.lastSolution) {
+      const d0 = Vector.dist(solutions[0], rod.lastSolution);
+      const d1 = Vector.dist(solutions[1], rod.lastSolution);
+      chosen = d0 <= d1 ? solutions[0] : solutions[1];
+    }
+    return new Vector(chosen.x, chosen.y);
+  }
+
+  /**
+   * Finite stand-in position for a loop rod that can't close
+   */
+  getFallbackLoopJoint(rod, parentJointPos, guide) {
+    if (rod.lastSolution) {
+      return rod.lastSolution.copy();
+    }
+    const pivot = this.getLoopPivot(rod, guide) || parentJointPos;
+    let angle = Math.atan2(pivot.y - parentJointPos.y, pivot.x - parentJointPos.x);
+    return new Vector(
+      parentJointPos.x + rod.length * Math.cos(angle),
+      parentJointPos.y + rod.length * Math.sin(angle)
+    );
+  }
+
+  isLocked() {
+    return this.unreachableRodIds.length > 0 || this.limitedRodIds.length > 0;
+  }
+
+  /**
+   * Guide point that steers the given rod (guide point ids match rod ids)
+   */
+  getGuidePoint(rodId) {
+    return this.guidePoints.find(gp => gp.id === rodId) || null;
+  }
+
+  /**
+   * Position where a rod starts: the anchor for a crank, otherwise its parent joint
+   */
+  getRodStart(rodIndex) {
+    const rod = this.rods[rodIndex];
+    if (!rod) {
+      return this.anchor.pos;
+    }
+    if (rod.isCrank()) {
+      return (this.anchors[rod.anchorId] || this.anchor).pos;
+    }
+    return this.joints[rod.parentId];
+  }
+
+  /**
+   * World position of a coupler point, from the rod's current start and joint
+   */
+  getCouplerPointPos(rodIndex, pointIndex) {
+    const rod = this.rods[rodIndex];
+    const start = this.getRodStart(rodIndex);
+    const end = this.joints[rodIndex];
+    const point = rod ? rod.couplerPoints[pointIndex] : null;
+    if (!point || !start || !end) return null;
+
+    let dx = end.x - start.x;
+    let dy = end.y - start.y;
+    let len = Math.sqrt(dx * dx + dy * dy);
+    if (len < 1e-9) {
+      dx = Math.cos(rod.angle);
+      dy = Math.sin(rod.angle);
+      len = 1;
+    }
+
+    // Unit normal (rotated +90° from the rod direction)
+    const nx = -dy / len;
+    const ny = dx / len;
+    return new Vector(
+      start.x + dx * point.t + nx * point.offset,
+      start.y + dy * point.t + ny * point.offset
+    );
+  }
+
+  /**
+   * Inverse of getCouplerPointPos: express a world position in the rod's frame
+   * @returns {{t: number, offset: number}|null}
+   */
+  getRodFrameCoords(rodIndex, worldPos) {
+    const start = this.getRodStart(rodIndex);
+    const end = this.joints[rodIndex];
+    if (!start || !end) return null;
+
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lenSq = dx * dx + dy * dy;
+    if (lenSq < 1e-9) return null;
+
+    const len = Math.sqrt(lenSq);
+    const rx = worldPos.x - start.x;
+    const ry = worldPos.y - start.y;
+    return {
+      t: (rx * dx + ry * dy) / lenSq,
+      offset: (rx * -dy + ry * dx) / len
+    };
+  }
+
+  getCrankRod(anchorId) {
+    return this.rods.find(rod => rod.isCrank() && rod.anchorId === anchorId) || null;
+  }
+
+  /**
+   * Joints a guide point may be pinned to: computed before its rod, and not the rod's own start
+   */
+  getPinnableRodIds(rodId) {
+    const rod = this.rods[rodId];
+    if (!rod) return [];
+    return this.rods
+      .filter(other => other.id < rodId && other.id !== rod.parentId)
+      .map(other => other.id);
   }
 
-  addRod() {
+  getChildRods(rodId) {
+    return this.rods.filter(rod => rod.parentId === rodId);
+  }
+
+  /**
+   * Attach a new rod to a joint
+   * @param {number|null} parentId - Rod whose joint the new rod starts from (defaults to the selected rod, then the last rod)
+   */
+  addRod(parentId = null) {
     const newId = this.rods.length;
     if (this.joints.length === 0) return;
 
-    const lastJointPos = this.joints[this.joints.length - 1];
-
-    // Turn off tracing for current last rod
-    if (this.rods.length > 0) {
-      this.rods[this.rods.length - 1].isTracing = false;
+    if (parentId === null) {
+      parentId = this.selectedRodId !== null && this.rods[this.selectedRodId]
+        ? this.selectedRodId
+        : this.rods.length - 1;
     }
 
+    const parentRod = this.rods[parentId];
+    const parentJointPos = this.joints[parentId];
+    if (!parentRod || !parentJointPos) return;
+
+    // Turn off tracing for the rod we branch from
+    parentRod.isTracing = false;
+
     // Calculate new rod length using golden ratio
     const PHI = 1.618033988749895; // Golden ratio
-    const previousRodLength = this.rods[this.rods.length - 1].length;
+    const previousRodLength = parentRod.length;
 
     // Randomly decide if new rod is larger or smaller
-    const isLarger = Math.random() < 0.5;
+    const isLarger = this.random.chance(0.5);
     const newLength = isLarger
       ? previousRodLength * PHI
       : previousRodLength / PHI;
 
-    let newRod = new Rod(newId, newLength);
+    let newRod = new Rod(newId, newLength, parentId);
     newRod.isTracing = true;
     this.rods.push(newRod);
 
-    // Position GP at previous GP's X coordinate, or at anchor X if no previous GP
+    // Position GP at parent GP's X coordinate, or at anchor X if the parent is a crank
     let gpX;
-    if (this.guidePoints.length === 0) {
-      // First guide point - use anchor X coordinate (crank center)
-      gpX = this.anchor.pos.x;
+    const parentGP = this.getGuidePoint(parentId);
+    if (!parentGP) {
+      // Branching from a crank - use its anchor X coordinate (crank center)
+      gpX = this.getRodStart(parentId).x;
     } else {
-      // Use previous GP's X coordinate
-      const previousGP = this.guidePoints[this.guidePoints.length - 1];
-      gpX = previousGP.pos.x;
+      // Use parent GP's X coordinate
+      gpX = parentGP.pos.x;
     }
 
     // Calculate GP Y position to divide rod with golden ratio
@@ -135,38 +774,439 @@ export class LinkageMechanism {
     const shortSegment = newLength / (1 + PHI); // ≈ 0.382 * newLength
     const longSegment = newLength - shortSegment; // ≈ 0.618 * newLength
 
-    // Randomly decide which segment is closer to the start (from lastJointPos to GP)
-    const largerSegmentFirst = Math.random() < 0.5;
+    // Randomly decide which segment is closer to the start (from parentJointPos to GP)
+    const largerSegmentFirst = this.random.chance(0.5);
     const distanceToGP = largerSegmentFirst ? longSegment : shortSegment;
 
-    // Place GP at this distance from lastJointPos, keeping X fixed
+    // Place GP at this distance from parentJointPos, keeping X fixed
     // Calculate Y offset: if GP is at gpX and we know the distance, solve for Y
-    const deltaX = gpX - lastJointPos.x;
+    const deltaX = gpX - parentJointPos.x;
     const deltaYSquared = distanceToGP * distanceToGP - deltaX * deltaX;
 
     // If deltaYSquared is negative, GP is too far horizontally - clamp to horizontal distance
     if (deltaYSquared < 0) {
       // GP is unreachable at this X with this distance, place it at same Y
-      const gpY = lastJointPos.y;
+      const gpY = parentJointPos.y;
       this.guidePoints.push(new GuidePoint(newId, gpX, gpY));
     } else {
       const deltaY = Math.sqrt(deltaYSquared);
       // Randomly choose positive or negative Y direction
-      const gpY = lastJointPos.y + (Math.random() < 0.5 ? deltaY : -deltaY);
+      const gpY = parentJointPos.y + (this.random.chance(0.5) ? deltaY : -deltaY);
       this.guidePoints.push(new GuidePoint(newId, gpX, gpY));
     }
   }
 
+  /**
+   * Remove the last rod (always a leaf, since children come after their parent)
+   */
   removeRod() {
     if (this.rods.length > 1) {
-      this.rods.pop();
-      this.guidePoints.pop();
-      
-      // Enable tracing for new last rod
-      if (this.rods.length > 0) {
-        this.rods[this.rods.length - 1].isTracing = true;
+      const removed = this.rods.pop();
+      this.guidePoints = this.guidePoints.filter(gp => gp.id !== removed.id);
+      this.automation.renumberRods(new Map(this.rods.map(rod => [rod.id, rod.id])));
+      this.pruneAnchors();
+
+      // Enable tracing for the parent once it becomes a tip again
+      const parentRod = this.rods[removed.parentId];
+      if (parentRod && this.getChildRods(parentRod.id).length === 0) {
+        parentRod.isTracing = true;
+      }
+
+      if (this.selectedRodId !== null && this.selectedRodId >= this.rods.length) {
+        this.selectedRodId = removed.parentId;
+      }
+    }
+  }
+
+  /**
+   * Joints a rod is computed from: its parent, its loop pivot and the joint its guide point is pinned to
+   */
+  getRodDependencies(rodId) {
+    const rod = this.rods[rodId];
+    if (!rod) return [];
+    const dependencies = [];
+    if (rod.parentId !== null) {
+      dependencies.push(rod.parentId);
+    }
+    if (rod.isLoop() && rod.pivotRodId !== null) {
+      dependencies.push(rod.pivotRodId);
+    }
+    const gp = this.getGuidePoint(rodId);
+    if (gp && gp.motion.type === 'pinned') {
+      dependencies.push(gp.motion.rodId);
+    }
+    return dependencies;
+  }
+
+  /**
+   * Whether rods can be put in this order: the main crank first and every rod after the joints it depends on
+   * @param {number[]} order - Existing rod ids in their new order (ids left out are dropped)
+   */
+  isValidRodOrder(order) {
+    if (order[0] !== 0) return false;
+    const position = new Map(order.map((rodId, index) => [rodId, index]));
+    return order.every((rodId, index) =>
+      this.getRodDependencies(rodId).every(dependency => position.get(dependency) < index)
+    );
+  }
+
+  /**
+   * Put the rods in a new order and renumber everything that refers to rod ids: parents,
+   * loop pivots, guide points and their pins, the selection and the trace paths
+   * @param {number[]} order - Existing rod ids in their new order (ids left out are dropped)
+   * @returns {boolean} false (and nothing changed) when the order is not valid
+   */
+  reorderRods(order) {
+    if (!this.isValidRodOrder(order)) return false;
+
+    const idMap = new Map(order.map((oldId, newId) => [oldId, newId]));
+    this.rods = order.map(rodId => this.rods[rodId]);
+    this.rods.forEach((rod, index) => {
+      rod.id = index;
+      if (rod.parentId !== null) {
+        rod.parentId = idMap.get(rod.parentId);
+      }
+      if (rod.pivotRodId !== null) {
+        rod.pivotRodId = idMap.get(rod.pivotRodId);
+      }
+    });
+
+    this.guidePoints = this.guidePoints.filter(gp => idMap.has(gp.id));
+    this.guidePoints.forEach(gp => {
+      gp.id = idMap.get(gp.id);
+      if (gp.motion.type === 'pinned') {
+        gp.motion.rodId = idMap.get(gp.motion.rodId);
+      }
+    });
+    this.guidePoints.sort((a, b) => a.id - b.id);
+
+    if (this.selectedRodId !== null) {
+      this.selectedRodId = idMap.has(this.selectedRodId) ? idMap.get(this.selectedRodId) : null;
+    }
+    if (this.traceSystem) {
+      this.traceSystem.renumberTraces(idMap);
+    }
+    this.automation.renumberRods(idMap);
+    this.pruneAnchors();
+    this.updateJoints();
+    return true;
+  }
+
+  /**
+   * Insert a new rod at a joint, between it and the rods that hung from it
+   * @returns {number|null} Id of the new rod (right after the joint's rod)
+   */
+  insertRod(afterRodId) {
+    if (!this.rods[afterRodId] || !this.joints[afterRodId]) return null;
+
+    const children = this.getChildRods(afterRodId);
+    const newId = this.rods.length;
+    this.addRod(afterRodId);
+    const newRod = this.rods[newId];
+    if (!newRod) return null;
+
+    children.forEach(child => {
+      child.parentId = newId;
+    });
+    // Only tips trace by default
+    if (children.length > 0) {
+      newRod.isTracing = false;
+    }
+
+    const order = this.rods.map(rod => rod.id).filter(rodId => rodId !== newId);
+    order.splice(afterRodId + 1, 0, newId);
+    this.reorderRods(order);
+    return afterRodId + 1;
+  }
+
+  /**
+   * The main crank stays, and other cranks only once nothing hangs from them
+   * (their children would have no joint to move to)
+   */
+  canDeleteRod(rodId) {
+    const rod = this.rods[rodId];
+    if (!rod || rodId === 0) return false;
+    return !rod.isCrank() || this.getChildRods(rodId).length === 0;
+  }
+
+  /**
+   * Delete any rod: its children move to its parent joint, loops pivoting on it are grounded
+   * where its joint is now, and guide points pinned to it move to the parent joint too
+   */
+  deleteRod(rodId) {
+    if (!this.canDeleteRod(rodId)) return false;
+
+    const removed = this.rods[rodId];
+    const parentId = removed.parentId;
+    const hadChildren = this.getChildRods(rodId).length > 0;
+
+    this.getChildRods(rodId).forEach(child => {
+      child.parentId = parentId;
+    });
+
+    this.rods.forEach(rod => {
+      if (rod === removed) return;
+
+      // A loop can't pivot on its own parent, so it is grounded there instead
+      if (rod.isLoop() && rod.pivotRodId !== null &&
+        (rod.pivotRodId === rodId || rod.pivotRodId === rod.parentId)) {
+        this.groundLoopPivot(rod);
+      }
+
+      const gp = this.getGuidePoint(rod.id);
+      if (gp && gp.motion.type === 'pinned') {
+        if (gp.motion.rodId === rodId) {
+          gp.motion.rodId = parentId;
+        }
+        if (gp.motion.rodId === null || gp.motion.rodId === rod.parentId) {
+          gp.setMotion(GuidePoint.createMotion('static'));
+        }
+      }
+    });
+
+    const order = this.rods.map(rod => rod.id).filter(id => id !== rodId);
+    const selectedRodId = this.selectedRodId;
+    if (!this.reorderRods(order)) return false;
+
+    // Enable tracing for the parent once it becomes a tip again
+    const parentRod = parentId !== null ? this.rods[parentId] : null;
+    if (parentRod && !hadChildren && this.getChildRods(parentId).length === 0) {
+      parentRod.isTracing = true;
+    }
+    if (selectedRodId === rodId) {
+      this.selectedRodId = parentId;
+    }
+    return true;
+  }
+
+  /**
+   * Hang a loop rod's second link from a ground pivot where its pivot joint is now
+   */
+  groundLoopPivot(rod) {
+    const pivot = this.joints[rod.pivotRodId];
+    let gp = this.getGuidePoint(rod.id);
+    if (!gp) {
+      gp = new GuidePoint(rod.id, 0, 0);
+      this.guidePoints.push(gp);
+    }
+    if (pivot) {
+      gp.pos = pivot.copy();
+      gp.home = pivot.copy();
+    }
+    gp.setMotion(GuidePoint.createMotion('static'));
+    rod.pivotRodId = null;
+  }
+
+  /**
+   * Whether a rod can swap places with its neighbour (offset -1 or 1)
+   */
+  canMoveRod(rodId, offset) {
+    const order = this.getMovedOrder(rodId, offset);
+    return order !== null && this.isValidRodOrder(order);
+  }
+
+  getMovedOrder(rodId, offset) {
+    const otherId = rodId + offset;
+    if (!this.rods[rodId] || !this.rods[otherId]) return null;
+    const order = this.rods.map(rod => rod.id);
+    order[rodId] = otherId;
+    order[otherId] = rodId;
+    return order;
+  }
+
+  /**
+   * Swap a rod with its neighbour in the evaluation order (renumbers both)
+   */
+  moveRod(rodId, offset) {
+    const order = this.getMovedOrder(rodId, offset);
+    return order !== null && this.reorderRods(order);
+  }
+
+  /**
+   * Add a crank on its own anchor, beside the existing ones
+   * Rods can then branch from its joint like from any other
+   */
+  addCrank() {
+    const newId = this.rods.length;
+    const mainCrank = this.rods[0];
+    const baseLength = mainCrank ? mainCrank.length : 80;
+
+    // Line new anchors up to the right of the last one
+    const lastAnchor = this.anchors[this.anchors.length - 1];
+    const spacing = baseLength * 3;
+    const anchor = new Anchor(lastAnchor.pos.x + spacing, lastAnchor.pos.y, this.anchors.length);
+    this.anchors.push(anchor);
+
+    const crank = new Rod(newId, baseLength / 1.618033988749895, null);
+    crank.anchorId = anchor.id;
+    this.rods.push(crank);
+    this.updateJoints();
+    return crank;
+  }
+
+  /**
+   * Drop anchors no crank uses any more and renumber the rest
+   * The main anchor always stays
+   */
+  pruneAnchors() {
+    const kept = this.anchors.filter((anchor, index) =>
+      index === 0 || this.rods.some(rod => rod.isCrank() && rod.anchorId === anchor.id)
+    );
+    const idMap = new Map(kept.map((anchor, index) => [anchor.id, index]));
+    this.rods.forEach(rod => {
+      if (rod.isCrank()) {
+        rod.anchorId = idMap.has(rod.anchorId) ? idMap.get(rod.anchorId) : 0;
       }
+    });
+    kept.forEach((anchor, index) => {
+      anchor.id = index;
+    });
+    this.anchors = kept;
+    this.automation.renumberAnchors(idMap);
+  }
+
+  /**
+   * Master revolutions until every crank (and every LFO and morph) is back at its starting point
+   * Speed ratios are treated as fractions with small denominators (3:2 repeats after 2)
+   */
+  getCycleRevolutions(maxRevolutions = 24) {
+    let revolutions = 1;
+    this.anchors.forEach(anchor => {
+      if (!this.getCrankRod(anchor.id)) return;
+      const { den } = MathUtils.toFraction(anchor.speedRatio, 12);
+      revolutions = MathUtils.lcm(revolutions, Math.max(1, den));
+    });
+    // An LFO with a period of 3/2 revolutions repeats after 3
+    this.automation.getPeriods().forEach(period => {
+      const { num } = MathUtils.toFraction(period, 12);
+      revolutions = MathUtils.lcm(revolutions, Math.max(1, num));
+    });
+    // A morph goes there and back
+    if (this.morph) {
+      revolutions = MathUtils.lcm(revolutions, 2 * this.morph.revolutions);
+    }
+    return Math.min(revolutions, maxRevolutions);
+  }
+
+  /**
+   * Attach a closed-loop rod: its joint hangs from the parent joint and from a
+   * new ground pivot, proportioned as a Grashof crank-rocker so it can turn fully
+   * @param {number|null} parentId - Rod whose joint the coupler starts from (defaults like addRod)
+   */
+  addLoopRod(parentId = null) {
+    const newId = this.rods.length;
+    if (this.joints.length === 0) return;
+
+    if (parentId === null) {
+      parentId = this.selectedRodId !== null && this.rods[this.selectedRodId]
+        ? this.selectedRodId
+        : this.rods.length - 1;
+    }
+
+    const parentRod = this.rods[parentId];
+    const parentJointPos = this.joints[parentId];
+    if (!parentRod || !parentJointPos) return;
+
+    parentRod.isTracing = false;
+
+    // Crank a, coupler 2.5a, rocker 2a, ground 2.5a: shortest + longest < sum of the others
+    const a = parentRod.length;
+    const center = this.getRodStart(parentId);
+    const groundAngle = parentRod.angle + Math.PI / 2;
+    const pivot = new Vector(
+      center.x + a * 2.5 * Math.cos(groundAngle),
+      center.y + a * 2.5 * Math.sin(groundAngle)
+    );
+
+    const newRod = new Rod(newId, a * 2.5, parentId);
+    newRod.constraint = 'circle';
+    newRod.pivotLength = a * 2;
+    newRod.isTracing = true;
+
+    this.rods.push(newRod);
+    this.guidePoints.push(new GuidePoint(newId, pivot.x, pivot.y));
+  }
+
+  /**
+   * Switch a loop rod to its other assembly branch
+   */
+  flipElbow(rodId) {
+    const rod = this.rods[rodId];
+    if (!rod || !rod.isLoop()) return false;
+
+    // Start the new branch from the mirror image of the current solution
+    const parentJointPos = this.joints[rod.parentId];
+    const guide = this.getGuidePoint(rod.id);
+    const pivot = this.getLoopPivot(rod, guide);
+    const solutions = parentJointPos && pivot
+      ? MathUtils.circleIntersections(parentJointPos, rod.length, pivot, rod.pivotLength)
+      : null;
+
+    if (solutions && rod.lastSolution) {
+      const d0 = Vector.dist(solutions[0], rod.lastSolution);
+      const d1 = Vector.dist(solutions[1], rod.lastSolution);
+      rod.elbow = d0 <= d1 ? -1 : 1;
+    } else {
+      rod.elbow = -rod.elbow;
     }
+    rod.lastSolution = null;
+    this.updateJoints();
+    return true;
+  }
+
+  /**
+   * Hang a loop rod's second link from another joint (or from its ground pivot with null)
+   * Keeps the current pose by taking the link length from the present geometry
+   */
+  setLoopPivot(rodId, pivotRodId) {
+    const rod = this.rods[rodId];
+    if (!rod || !rod.isLoop()) return false;
+    if (pivotRodId !== null && (pivotRodId >= rodId || pivotRodId === rod.parentId || !this.joints[pivotRodId])) {
+      return false;
+    }
+
+    const guide = this.getGuidePoint(rod.id);
+    const pivot = pivotRodId !== null ? this.joints[pivotRodId] : (guide ? guide.pos : null);
+    if (!pivot || !this.joints[rodId]) return false;
+
+    rod.pivotRodId = pivotRodId;
+    rod.pivotLength = Vector.dist(this.joints[rodId], pivot);
+    return true;
+  }
+
+  /**
+   * Round every rod length and loop link to the stock size of the units (see Units.snapLength)
+   */
+  snapLengths() {
+    if (!this.units.isSnapping()) return;
+    this.rods.forEach(rod => {
+      rod.length = this.units.snapLength(rod.length);
+      if (rod.isLoop()) {
+        rod.pivotLength = this.units.snapLength(rod.pivotLength);
+        rod.lastSolution = null;
+      }
+    });
+    this.updateJoints();
+  }
+
+  /**
+   * Fixed pivots of the frame a physical build mounts on: crank anchors and the ground
+   * points of guided and loop rods (driven guide points at the home of their track or orbit)
+   * @returns {Array<{label: string, pos: Vector}>}
+   */
+  getGroundPivots() {
+    const pivots = this.anchors.map(anchor => ({ label: `Anchor ${anchor.id}`, pos: anchor.pos }));
+    this.guidePoints.forEach(gp => {
+      const rod = this.rods[gp.id];
+      if (!rod || gp.motion.type === 'pinned' || (rod.isLoop() && rod.pivotRodId !== null)) return;
+      pivots.push({ label: `Guide ${gp.id}`, pos: gp.home });
+    });
+    return pivots;
+  }
+
+  selectRod(rodId) {
+    this.selectedRodId = this.selectedRodId === rodId ? null : rodId;
+    return this.selectedRodId;
   }
 
   togglePlayPause() {
@@ -179,8 +1219,23 @@ export class LinkageMechanism {
     return this.isStretchingMode;
   }
 
-  reverseSpinDirection() {
-    this.crankSpeed = -this.crankSpeed;
+  /**
+   * Reverse one crank (the main one by default)
+   */
+  reverseSpinDirection(anchorId = 0) {
+    const anchor = this.anchors[anchorId];
+    if (anchor) {
+      anchor.reverse();
+    }
+  }
+
+  /**
+   * Trace style of a rod's joint traces or of its full-rod trace (null for the design's)
+   */
+  getTraceStyle(rodId, isFullRod) {
+    const rod = this.rods[rodId];
+    if (!rod) return null;
+    return isFullRod ? rod.fullRodStyle : rod.traceStyle;
   }
 
   getTracingRods() {
@@ -188,14 +1243,27 @@ export class LinkageMechanism {
   }
 
   calculateBounds() {
-    // Collect all points: anchor, joints, and guide points
-    const points = [this.anchor.pos];
+    // Collect all points: anchors, joints, and guide points
+    const points = this.anchors.map(anchor => anchor.pos);
 
     // Add all joints
     this.joints.forEach(joint => points.push(joint));
 
-    // Add all guide points
-    this.guidePoints.forEach(gp => points.push(gp.pos));
+    // Add coupler points
+    this.rods.forEach((rod, i) => {
+      rod.couplerPoints.forEach((point, k) => {
+        const pos = this.getCouplerPointPos(i, k);
+        if (pos) points.push(pos);
+      });
+    });
+
+    // Add all guide points (and the far end of slider tracks)
+    this.guidePoints.forEach(gp => {
+      points.push(gp.pos);
+      if (gp.motion.type === 'slider') {
+        points.push(gp.home, gp.getTrackEnd());
+      }
+    });
 
     if (points.length === 0) {
       return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
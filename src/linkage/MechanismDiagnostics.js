@@ -0,0 +1,254 @@
+import { Vector } from '../utils/Vector.js';
+import { GuidePoint } from './GuidePoint.js';
+
+const MIN_ROD_LENGTH = 1; // Shorter rods have no usable direction
+const SINGULARITY_DISTANCE = 4; // A joint this close to its guide point can flip 180° in one step
+const DEAD_POINT_MARGIN = 0.5; // Loop circles this close to touching are about to lose or swap a solution
+const MIN_JUMP_DISTANCE = 10;
+const JUMP_HOLD_MS = 1500; // Jumps last one step, so keep them listed long enough to be seen
+
+/**
+ * Validity checks for a running mechanism: invalid numbers, zero-length rods, near-singular
+ * configurations, joints that jump between steps, loops that can't close and rods at their limit
+ * Uses no p5 or DOM, so it also runs headless
+ */
+export class MechanismDiagnostics {
+  constructor(mechanism) {
+    this.mechanism = mechanism;
+    this.issues = [];
+    this.autoPause = false;
+    this.previousJoints = null; // Joint x, y pairs of the previous step (reused between steps)
+    this.recentJumps = new Map(); // rodId -> {pos, until}
+  }
+
+  /**
+   * Check the current configuration (jumps come from trackJumps)
+   * @returns {Object[]} Issues that were not present on the previous check
+   */
+  check() {
+    const mechanism = this.mechanism;
+    const issues = [];
+    const add = (type, severity, rodId, message, pos = null) => {
+      issues.push({
+        key: `${type}:${rodId}:${message}`,
+        type,
+        severity,
+        rodId,
+        message,
+        pos: pos && isFinite(pos.x) && isFinite(pos.y) ? pos.copy() : null
+      });
+    };
+
+    mechanism.rods.forEach(rod => {
+      const joint = mechanism.joints[rod.id];
+      const start = mechanism.getRodStart(rod.id);
+      const guide = mechanism.getGuidePoint(rod.id);
+
+      if (!joint || !isFinite(joint.x) || !isFinite(joint.y) || !isFinite(rod.length)) {
+        add('invalid', 'error', rod.id, `Rod ${rod.id}: position is not a number`, start);
+        return;
+      }
+
+      const length = rod.isLoop() ? Math.min(rod.length, rod.pivotLength) : rod.getCurrentLength();
+      if (length < MIN_ROD_LENGTH) {
+        add('zeroLength', 'error', rod.id, `Rod ${rod.id}: length is zero`, joint);
+      }
+
+      if (mechanism.unreachableRodIds.includes(rod.id)) {
+        add('unreachable', 'error', rod.id, `Rod ${rod.id}: loop can't close`, joint);
+      } else if (rod.isLoop()) {
+        // Circles about to separate or touch from inside: the elbow is at a dead point
+        const pivot = mechanism.getLoopPivot(rod, guide);
+        if (pivot) {
+          const d = Vector.dist(start, pivot);
+          const margin = Math.min(
+            Math.abs(d - (rod.length + rod.pivotLength)),
+            Math.abs(d - Math.abs(rod.length - rod.pivotLength))
+          );
+          if (margin < DEAD_POINT_MARGIN) {
+            add('singularity', 'warning', rod.id, `Rod ${rod.id}: loop is at a dead point`, joint);
+          }
+        }
+      } else if (guide && Vector.dist(start, guide.pos) < SINGULARITY_DISTANCE) {
+        // atan2 has no stable direction when the rod starts on its guide point
+        add('singularity', 'warning', rod.id, `Rod ${rod.id}: passes through its guide point`, guide.pos);
+      }
+
+      if (mechanism.limitedRodIds.includes(rod.id)) {
+        add('limited', 'error', rod.id, `Rod ${rod.id}: extension at its limit`, joint);
+      }
+
+      const jump = this.recentJumps.get(rod.id);
+      if (jump) {
+        add('jump', 'warning', rod.id, `Rod ${rod.id}: joint jumped`, jump.pos);
+      }
+    });
+
+    mechanism.stateRepairs.forEach(text => {
+      add('repaired', 'warning', null, `Fixed on load: ${text}`);
+    });
+
+    const previousKeys = new Set(this.issues.map(issue => issue.key));
+    this.issues = issues;
+    return issues.filter(issue => !previousKeys.has(issue.key));
+  }
+
+  /**
+   * Keep the joint positions of a step, to compare the next one with; cheap enough for every
+   * sub-step, unlike check()
+   * @param {boolean} continuous - The crank just moved by one step, so large joint moves are jumps
+   */
+  trackJumps(continuous) {
+    const joints = this.mechanism.joints;
+    if (continuous && this.previousJoints && this.previousJoints.length === joints.length * 2) {
+      this.findJumps(Date.now());
+    }
+
+    if (!this.previousJoints || this.previousJoints.length !== joints.length * 2) {
+      this.previousJoints = new Float64Array(joints.length * 2);
+    }
+    joints.forEach((joint, i) => {
+      this.previousJoints[i * 2] = joint ? joint.x : NaN;
+      this.previousJoints[i * 2 + 1] = joint ? joint.y : NaN;
+    });
+  }
+
+  /**
+   * Record joints that moved much further than one step allows
+   * Only the first rod of a jumping chain is reported, its children just follow
+   */
+  findJumps(now) {
+    const mechanism = this.mechanism;
+    const jumped = new Set();
+
+    mechanism.rods.forEach(rod => {
+      const joint = mechanism.joints[rod.id];
+      const previousX = this.previousJoints[rod.id * 2];
+      const previousY = this.previousJoints[rod.id * 2 + 1];
+      if (!joint || isNaN(previousX)) return;
+
+      const limit = Math.max(MIN_JUMP_DISTANCE, rod.getCurrentLength() / 2);
+      if (Math.hypot(joint.x - previousX, joint.y - previousY) <= limit) return;
+
+      jumped.add(rod.id);
+      const parentJumped = rod.parentId !== null && jumped.has(rod.parentId);
+      if (!parentJumped) {
+        this.recentJumps.set(rod.id, { pos: joint.copy(), until: now + JUMP_HOLD_MS });
+      }
+    });
+
+    this.recentJumps.forEach((jump, rodId) => {
+      if (jump.until < now || !mechanism.rods[rodId]) {
+        this.recentJumps.delete(rodId);
+      }
+    });
+  }
+
+  hasIssues() {
+    return this.issues.length > 0;
+  }
+
+  /**
+   * Worst severity of the issues on a rod: 'error', 'warning' or null
+   */
+  getRodSeverity(rodId) {
+    let severity = null;
+    for (const issue of this.issues) {
+      if (issue.rodId !== rodId) continue;
+      if (issue.severity === 'error') return 'error';
+      severity = 'warning';
+    }
+    return severity;
+  }
+
+  /**
+   * Forget jumps and the previous step (after loading a state or editing the topology)
+   */
+  reset() {
+    this.previousJoints = null; // Joint x, y pairs of the previous step (reused between steps)
+    this.recentJumps.clear();
+  }
+
+  /**
+   * Replace values a mechanism can't run with (NaN, Infinity, zero lengths) in a copy of a state
+   * Links and files can hold anything, and a single NaN silently blanks the canvas. The state
+   * passed in is left alone: it can be a preset, a saved design or a morph endpoint
+   * @returns {{state: Object, repairs: string[]}} The repaired copy and descriptions of what was fixed
+   */
+  static sanitizeState(original) {
+    // NaN and Infinity come out of the copy as null, which is repaired like them
+    const state = JSON.parse(JSON.stringify(original));
+    const repairs = [];
+    const number = (value, fallback, what) => {
+      if (typeof value === 'number' && isFinite(value)) return value;
+      repairs.push(`${what} was not a number`);
+      return fallback;
+    };
+    const length = (value, fallback, what) => {
+      const result = number(value, fallback, `${what} length`);
+      if (result >= MIN_ROD_LENGTH) return result;
+      repairs.push(`${what} had zero length`);
+      return MIN_ROD_LENGTH;
+    };
+
+    const anchor = state.anchor;
+    anchor.x = number(anchor.x, 0, 'Anchor x');
+    anchor.y = number(anchor.y, 0, 'Anchor y');
+    if (anchor.phase !== undefined) anchor.phase = number(anchor.phase, 0, 'Crank phase');
+    if (anchor.speedRatio !== undefined) anchor.speedRatio = number(anchor.speedRatio, 1, 'Crank speed ratio') || 1;
+    anchor.crank.length = length(anchor.crank.length, 100, 'Rod 0');
+
+    // Misplaced guide points go well outside the main crank circle
+    const fallbackGuide = { x: anchor.x, y: anchor.y - anchor.crank.length - 100 };
+
+    (state.rods || []).forEach(rodData => {
+      const name = `Rod ${rodData.id}`;
+      rodData.length = length(rodData.length, 100, name);
+
+      if (rodData.anchor) {
+        rodData.anchor.x = number(rodData.anchor.x, anchor.x, `${name} anchor x`);
+        rodData.anchor.y = number(rodData.anchor.y, anchor.y, `${name} anchor y`);
+        if (rodData.anchor.phase !== undefined) rodData.anchor.phase = number(rodData.anchor.phase, 0, `${name} phase`);
+        if (rodData.anchor.speedRatio !== undefined) rodData.anchor.speedRatio = number(rodData.anchor.speedRatio, 1, `${name} speed ratio`) || 1;
+      }
+
+      if (rodData.constraint === 'circle') {
+        rodData.pivotLength = length(rodData.pivotLength, rodData.length, `${name} pivot`);
+      }
+
+      // Guided rods and ground-pivot loops can't run without their guide point
+      const hasPivotRod = rodData.pivotRodId !== undefined && rodData.pivotRodId !== null;
+      if (!rodData.anchor && !rodData.guidePoint && !(rodData.constraint === 'circle' && hasPivotRod)) {
+        repairs.push(`${name} guide point was missing`);
+        rodData.guidePoint = { ...fallbackGuide };
+      }
+
+      const gp = rodData.guidePoint;
+      if (gp) {
+        gp.x = number(gp.x, fallbackGuide.x, `${name} guide point x`);
+        gp.y = number(gp.y, fallbackGuide.y, `${name} guide point y`);
+        // Driven motions fall back to their defaults field by field
+        if (gp.motion) {
+          const defaults = GuidePoint.createMotion(gp.motion.type);
+          Object.keys(defaults).forEach(field => {
+            if (typeof defaults[field] === 'number' && gp.motion[field] !== undefined) {
+              gp.motion[field] = number(gp.motion[field], defaults[field], `${name} guide ${field}`);
+            }
+          });
+        }
+      }
+    });
+
+    if (state.camera) {
+      state.camera.offsetX = number(state.camera.offsetX, 0, 'Camera x');
+      state.camera.offsetY = number(state.camera.offsetY, 0, 'Camera y');
+      state.camera.zoom = number(state.camera.zoom, 1, 'Camera zoom');
+      if (state.camera.zoom <= 0) {
+        repairs.push('Camera zoom was not positive');
+        state.camera.zoom = 1;
+      }
+    }
+
+    return { state, repairs };
+  }
+}
@@ -1,15 +1,28 @@
 import { Vector } from '../utils/Vector.js';
+import { TraceSystem } from './TraceSystem.js';
 
 /**
  * Rendering system for the linkage mechanism
  */
 export class Renderer {
-  constructor(mechanism, camera, traceSystem) {
+  constructor(mechanism, camera, traceSystem, diagnostics = null) {
     this.mechanism = mechanism;
     this.camera = camera;
     this.traceSystem = traceSystem;
+    this.diagnostics = diagnostics;
     this.selectedObject = null;
+    // Target curve of the curve fitter (world coordinates), drawn under the mechanism
+    this.fitTarget = null;
     this.isInverse = false;
+    // Per-rod trace styles for the trace system
+    this.getRodStyle = (rodId, isFullRod) => this.mechanism.getTraceStyle(rodId, isFullRod);
+  }
+
+  /**
+   * Colour a rod's traces are drawn in (its own style or the design's), for joints and guide points
+   */
+  getTraceColor(rodId, isFullRod) {
+    return this.traceSystem.getPathStyle(String(rodId), isFullRod, this.getRodStyle).color;
   }
 
   setInverse(isInverse) {
@@ -53,7 +66,7 @@ export class Renderer {
     }
 
     // Update menu button styles - normal: white on black, dark: black on white
-    const menuButtons = ['playPauseBtn', 'addRodBtn', 'removeRodBtn', 'fitViewBtn'];
+    const menuButtons = ['playPauseBtn', 'addRodBtn', 'removeRodBtn', 'fitViewBtn', 'addLoopBtn', 'flipElbowBtn', 'addCrankBtn'];
     menuButtons.forEach(btnId => {
       const btn = document.getElementById(btnId);
       if (btn) {
@@ -199,8 +212,8 @@ export class Renderer {
       }
     });
 
-    // Update width slider backgrounds to match menu
-    const widthSliders = document.querySelectorAll('#widthSlidersContainer input[type="range"]');
+    // Update width and generated-section slider backgrounds to match menu
+    const widthSliders = document.querySelectorAll('#widthSlidersContainer input[type="range"], #inspectorContainer input[type="range"], #timingContainer input[type="range"], #timelineContainer input[type="range"], #explorerContainer input[type="range"]');
     const sliderBg = this.isInverse
       ? 'linear-gradient(to right, rgba(0, 0, 0, 0.1), rgba(0, 0, 0, 0.15))'
       : 'linear-gradient(to right, rgba(255, 255, 255, 0.2), rgba(255, 255, 255, 0.3))';
@@ -221,10 +234,179 @@ export class Renderer {
     this.camera.applyTransform(p);
 
     // Draw components in proper order: traces first, then mechanism on top
-    this.traceSystem.draw(p, this.camera.zoom);
+    this.traceSystem.draw(p, this.camera, this.getRodStyle);
+    this.drawFitTarget(p);
+    this.drawClones(p);
     this.drawMechanism(p);
+    this.drawDimensions(p);
 
     p.pop();
+
+    this.drawScaleBar(p);
+    this.drawHeatmapLegend(p);
+  }
+
+  /**
+   * Rods being dragged or selected, labelled with their length in document units
+   */
+  getDimensionedRodIds() {
+    const ids = new Set();
+    if (this.mechanism.selectedRodId !== null) {
+      ids.add(this.mechanism.selectedRodId);
+    }
+    const selected = this.selectedObject;
+    if (selected && !selected.isScrub) {
+      if (selected.type === 'rod') ids.add(selected.obj.id);
+      if (selected.type === 'joint') ids.add(selected.rodIndex);
+    }
+    return [...ids];
+  }
+
+  drawDimensions(p) {
+    const units = this.mechanism.units;
+    if (!units.isActive()) return;
+
+    p.noStroke();
+    p.fill(this.isInverse ? 220 : 40);
+    p.textSize(12 / this.camera.zoom);
+    p.textAlign(p.CENTER, p.BOTTOM);
+    this.getDimensionedRodIds().forEach(rodId => {
+      const rod = this.mechanism.rods[rodId];
+      const end = this.mechanism.joints[rodId];
+      if (!rod || !end) return;
+      const start = this.mechanism.getRodStart(rodId);
+      const length = Vector.dist(start, end);
+      p.text(units.format(length), (start.x + end.x) / 2, (start.y + end.y) / 2 - 6 / this.camera.zoom);
+    });
+  }
+
+  /**
+   * Scale bar in the bottom left corner (screen space), so recordings carry real dimensions
+   */
+  drawScaleBar(p) {
+    const units = this.mechanism.units;
+    if (!units.isActive()) return;
+
+    // Round length (1, 2 or 5 times a power of ten) that spans about 120 screen pixels
+    const pixelsPerUnit = units.fromUnits(1) * this.camera.zoom;
+    const rough = 120 / pixelsPerUnit;
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].find(factor => factor * power >= rough / 1.5) * power;
+    const barLength = step * pixelsPerUnit;
+
+    const x = 20;
+    const y = p.height - 24;
+    const tick = 5;
+    p.stroke(this.isInverse ? 220 : 40);
+    p.strokeWeight(1.5);
+    p.line(x, y, x + barLength, y);
+    p.line(x, y - tick, x, y + tick);
+    p.line(x + barLength, y - tick, x + barLength, y + tick);
+
+    p.noStroke();
+    p.fill(this.isInverse ? 220 : 40);
+    p.textSize(12);
+    p.textAlign(p.LEFT, p.BOTTOM);
+    p.text(`${Number(step.toPrecision(3))} ${units.getLabel()}`, x, y - tick - 2);
+  }
+
+  /**
+   * Heatmap legend in the bottom right corner (screen space): the colour map, or a wedge for the
+   * stroke width, with the metric at both ends of its range
+   */
+  drawHeatmapLegend(p) {
+    const range = this.traceSystem.heatRange;
+    if (!range) return;
+
+    const units = this.mechanism.units;
+    const format = range.metric === 'speed'
+      ? (value) => `${units.format(value)}/s`
+      : (value) => value > 0 ? `r ${units.format(1 / value)}` : 'straight';
+    const title = {
+      color: range.metric === 'speed' ? 'Pen Speed' : 'Curvature',
+      width: range.metric === 'speed' ? 'Pen Speed (width)' : 'Curvature (width)',
+      calligraphy: 'Pen Speed (calligraphy)'
+    }[this.traceSystem.heatMode];
+
+    const barWidth = 140;
+    const barHeight = 10;
+    const x = p.width - barWidth - 20;
+    const y = p.height - 34;
+    const ink = this.isInverse ? 220 : 40;
+
+    p.noStroke();
+    if (this.traceSystem.heatMode === 'color') {
+      for (let i = 0; i < barWidth; i += 2) {
+        const color = TraceSystem.sampleColormap(this.traceSystem.colormap, i / barWidth);
+        p.fill(color[0], color[1], color[2]);
+        p.rect(x + i, y, 2, barHeight);
+      }
+    } else {
+      // Wedge as thick as the stroke at each end, relative to the thickest
+      const thickest = Math.max(this.traceSystem.getHeatWidth(0), this.traceSystem.getHeatWidth(1));
+      const half = (t) => barHeight / 2 * this.traceSystem.getHeatWidth(t) / thickest;
+      p.fill(ink);
+      p.quad(x, y + barHeight / 2 - half(0), x + barWidth, y + barHeight / 2 - half(1),
+        x + barWidth, y + barHeight / 2 + half(1), x, y + barHeight / 2 + half(0));
+    }
+
+    p.fill(ink);
+    p.textSize(12);
+    p.textAlign(p.LEFT, p.BOTTOM);
+    p.text(title, x, y - 4);
+    p.textAlign(p.LEFT, p.TOP);
+    p.text(format(range.min), x, y + barHeight + 3);
+    p.textAlign(p.RIGHT, p.TOP);
+    p.text(format(range.max), x + barWidth, y + barHeight + 3);
+  }
+
+  drawFitTarget(p) {
+    if (!this.fitTarget || this.fitTarget.length < 2) return;
+
+    p.noFill();
+    p.stroke(40, 160, 220);
+    p.strokeWeight(2 / this.camera.zoom);
+    p.drawingContext.setLineDash([6 / this.camera.zoom, 4 / this.camera.zoom]);
+    p.beginShape();
+    this.fitTarget.forEach(point => p.vertex(point.x, point.y));
+    p.endShape(p.CLOSE);
+    p.drawingContext.setLineDash([]);
+  }
+
+  /**
+   * Symmetry clones as faint rods, and a cross at the symmetry centre
+   */
+  drawClones(p) {
+    if (!this.mechanism.symmetry.isActive()) return;
+
+    const gray = this.isInverse ? 255 : 0;
+    p.stroke(gray, 70);
+    p.strokeWeight(this.traceSystem.rodsWidth / 2);
+    this.mechanism.clones.forEach(clone => {
+      clone.joints.forEach((endPos, i) => {
+        const startPos = clone.starts[i];
+        if (startPos && endPos) {
+          p.line(startPos.x, startPos.y, endPos.x, endPos.y);
+        }
+      });
+    });
+
+    const center = this.mechanism.getSymmetryCenter();
+    const size = 8 / this.camera.zoom;
+    p.stroke(gray, 140);
+    p.strokeWeight(1.5 / this.camera.zoom);
+    p.line(center.x - size, center.y, center.x + size, center.y);
+    p.line(center.x, center.y - size, center.x, center.y + size);
+
+    // Mirror axis, dashed
+    if (this.mechanism.symmetry.mode === 'mirror') {
+      const reach = 2000 / this.camera.zoom;
+      const dx = Math.cos(this.mechanism.symmetry.axisAngle) * reach;
+      const dy = Math.sin(this.mechanism.symmetry.axisAngle) * reach;
+      p.drawingContext.setLineDash([6 / this.camera.zoom, 4 / this.camera.zoom]);
+      p.line(center.x - dx, center.y - dy, center.x + dx, center.y + dy);
+      p.drawingContext.setLineDash([]);
+    }
   }
 
   drawMechanism(p) {
@@ -238,7 +420,8 @@ export class Renderer {
       const jointStrokeWeight = this.traceSystem.traceWidth;
 
       if (rod.isTracing) {
-        p.fill(this.traceSystem.traceColor[0], this.traceSystem.traceColor[1], this.traceSystem.traceColor[2]);
+        const color = this.getTraceColor(i, false);
+        p.fill(color[0], color[1], color[2]);
       } else {
         p.fill(this.isInverse ? 0 : 255);
       }
@@ -247,20 +430,84 @@ export class Renderer {
       p.ellipse(endPos.x, endPos.y, jointSize, jointSize);
     }
 
-    // Draw rods
-    let startPos = this.mechanism.anchor.pos;
+    // Draw rods from their parent joint (or the anchor for the crank)
+    const unreachable = this.mechanism.unreachableRodIds;
+    const limited = this.mechanism.limitedRodIds;
     for (let i = 0; i < this.mechanism.rods.length; i++) {
+      const rod = this.mechanism.rods[i];
+      let startPos = this.mechanism.getRodStart(i);
       let endPos = this.mechanism.joints[i];
-      p.stroke(this.isInverse ? 200 : 50);
-      p.strokeWeight(this.traceSystem.rodsWidth);
-      p.line(startPos.x, startPos.y, endPos.x, endPos.y);
-      startPos = endPos;
+      if (!startPos || !endPos) continue;
+      const severity = this.diagnostics ? this.diagnostics.getRodSeverity(rod.id) : null;
+      if (unreachable.includes(rod.id) || limited.includes(rod.id) || severity === 'error') {
+        p.stroke(220, 40, 40);
+      } else if (severity === 'warning') {
+        p.stroke(230, 140, 0);
+      } else {
+        p.stroke(this.isInverse ? 200 : 50);
+      }
+
+      if (rod.extension > 0) {
+        // Telescoping rod: sleeve of the base length, thinner inner tube sliding out of it
+        const sleeveEnd = {
+          x: startPos.x + rod.length * Math.cos(rod.angle),
+          y: startPos.y + rod.length * Math.sin(rod.angle)
+        };
+        p.strokeWeight(this.traceSystem.rodsWidth);
+        p.line(startPos.x, startPos.y, sleeveEnd.x, sleeveEnd.y);
+        p.strokeWeight(this.traceSystem.rodsWidth / 2);
+        p.line(sleeveEnd.x, sleeveEnd.y, endPos.x, endPos.y);
+      } else {
+        p.strokeWeight(this.traceSystem.rodsWidth);
+        p.line(startPos.x, startPos.y, endPos.x, endPos.y);
+      }
+
+      // Closed loops: second link from the pivot to the joint
+      if (rod.isLoop()) {
+        const pivot = this.mechanism.getLoopPivot(rod);
+        if (pivot) {
+          p.line(pivot.x, pivot.y, endPos.x, endPos.y);
+        }
+      }
     }
 
-    // Draw guide lines
+    // Draw coupler points as rigid plates over their rods
+    for (let i = 0; i < this.mechanism.rods.length; i++) {
+      const rod = this.mechanism.rods[i];
+      if (rod.couplerPoints.length === 0) continue;
+      const startPos = this.mechanism.getRodStart(i);
+      const endPos = this.mechanism.joints[i];
+      if (!startPos || !endPos) continue;
+
+      rod.couplerPoints.forEach((point, k) => {
+        const pos = this.mechanism.getCouplerPointPos(i, k);
+        if (!pos) return;
+
+        const plateShade = this.isInverse ? 200 : 50;
+        p.fill(plateShade, plateShade, plateShade, 60);
+        p.stroke(plateShade);
+        p.strokeWeight(this.traceSystem.rodsWidth / 2);
+        p.triangle(startPos.x, startPos.y, endPos.x, endPos.y, pos.x, pos.y);
+
+        const pointSize = this.traceSystem.traceWidth * this.traceSystem.jointSizeMultiplier * 0.8;
+        if (point.isTracing) {
+          const color = this.getTraceColor(i, false);
+          p.fill(color[0], color[1], color[2]);
+        } else {
+          p.fill(this.isInverse ? 0 : 255);
+        }
+        p.stroke(this.isInverse ? 255 : 0);
+        p.strokeWeight(this.traceSystem.traceWidth);
+        p.ellipse(pos.x, pos.y, pointSize, pointSize);
+      });
+    }
+
+    // Draw guide lines from each guide point to the joint its rod starts from
     for (let i = 0; i < this.mechanism.guidePoints.length; i++) {
       let gp = this.mechanism.guidePoints[i];
-      let guidedJoint = this.mechanism.joints[i];
+      const rod = this.mechanism.rods[gp.id];
+      if (rod && rod.isLoop()) continue;
+      let guidedJoint = this.mechanism.getRodStart(gp.id);
       if (guidedJoint) {
         p.drawingContext.setLineDash([5, 5]);
         p.stroke(this.isInverse ? 100 : 150, this.isInverse ? 100 : 150, this.isInverse ? 100 : 150, 150);
@@ -270,16 +517,73 @@ export class Renderer {
       }
     }
 
-    // Draw anchor and guide points on top
-    this.mechanism.anchor.draw(p, this.camera.zoom, this.traceSystem.rodsWidth, this.isInverse);
+    // Draw slider tracks and orbits under their guide points
+    this.mechanism.guidePoints.forEach(gp => {
+      gp.drawMotionPath(p, this.traceSystem.rodsWidth, this.isInverse);
+    });
+
+    // Draw anchors and guide points on top
+    this.mechanism.anchors.forEach(anchor => {
+      anchor.draw(p, this.camera.zoom, this.traceSystem.rodsWidth, this.isInverse);
+    });
     for (let i = 0; i < this.mechanism.guidePoints.length; i++) {
-      let correspondingRod = this.mechanism.rods[i + 1];
-      if (correspondingRod) {
-        this.mechanism.guidePoints[i].draw(p, this.camera.zoom, correspondingRod.angle, correspondingRod.isFullRodTracing ? this.traceSystem.fullRodTraceColor : null, this.traceSystem.rodsWidth, this.isInverse);
+      let gp = this.mechanism.guidePoints[i];
+      let correspondingRod = this.mechanism.rods[gp.id];
+      if (correspondingRod && correspondingRod.isLoop()) {
+        // Pivots pinned to another joint have no ground point to draw
+        if (correspondingRod.pivotRodId === null) {
+          gp.drawPivot(p, correspondingRod.isFullRodTracing ? this.getTraceColor(gp.id, true) : null, this.traceSystem.rodsWidth, this.isInverse);
+        }
+      } else if (correspondingRod) {
+        gp.draw(p, this.camera.zoom, correspondingRod.angle, correspondingRod.isFullRodTracing ? this.getTraceColor(gp.id, true) : null, this.traceSystem.rodsWidth, this.isInverse);
       } else {
-        this.mechanism.guidePoints[i].draw(p, this.camera.zoom, null, null, this.traceSystem.rodsWidth, this.isInverse);
+        gp.draw(p, this.camera.zoom, null, null, this.traceSystem.rodsWidth, this.isInverse);
       }
     }
+
+    // Label joints of loops that can't close and rods stopped at their extension limit
+    if (unreachable.length > 0 || limited.length > 0) {
+      p.noStroke();
+      p.fill(220, 40, 40);
+      p.textSize(12 / this.camera.zoom);
+      p.textAlign(p.LEFT, p.BOTTOM);
+      const label = (rodId, text) => {
+        const joint = this.mechanism.joints[rodId];
+        if (joint) {
+          p.text(text, joint.x + 10 / this.camera.zoom, joint.y - 10 / this.camera.zoom);
+        }
+      };
+      unreachable.forEach(rodId => label(rodId, 'unreachable'));
+      limited.forEach(rodId => label(rodId, 'at limit'));
+    }
+
+    // Ring the spots diagnostics found a problem at (joints, guide points)
+    if (this.diagnostics) {
+      const ringSize = this.traceSystem.traceWidth * this.traceSystem.jointSizeMultiplier * 2.5;
+      p.noFill();
+      p.strokeWeight(2 / this.camera.zoom);
+      this.diagnostics.issues.forEach(issue => {
+        if (!issue.pos) return;
+        if (issue.severity === 'error') {
+          p.stroke(220, 40, 40);
+        } else {
+          p.stroke(230, 140, 0);
+        }
+        p.ellipse(issue.pos.x, issue.pos.y, ringSize, ringSize);
+      });
+    }
+
+    // Highlight the joint new rods will branch from
+    const selectedJoint = this.mechanism.selectedRodId !== null ? this.mechanism.joints[this.mechanism.selectedRodId] : null;
+    if (selectedJoint) {
+      const ringSize = this.traceSystem.traceWidth * this.traceSystem.jointSizeMultiplier * 1.8;
+      p.noFill();
+      p.stroke(this.isInverse ? 255 : 0);
+      p.strokeWeight(1.5 / this.camera.zoom);
+      p.drawingContext.setLineDash([4 / this.camera.zoom, 4 / this.camera.zoom]);
+      p.ellipse(selectedJoint.x, selectedJoint.y, ringSize, ringSize);
+      p.drawingContext.setLineDash([]);
+    }
   }
 
   setSelectedObject(selectedObject) {
@@ -2,17 +2,73 @@ import { Vector } from '../utils/Vector.js';
 
 /**
  * Rod component of the linkage mechanism
+ * A rod starts at the joint of its parent rod (or at its anchor for a crank)
  */
 export class Rod {
-  constructor(id, length) {
+  constructor(id, length, parentId = null) {
     this.id = id;
     this.length = length;
+    this.parentId = parentId; // null for cranks
+    this.anchorId = 0; // Anchor driving this rod when it is a crank
     this.angle = 0;
     this.isTracing = false;
     this.isFullRodTracing = false;
+
+    // Own trace styles over the design's (see TraceSystem.normalizeStyle); null uses the design's
+    this.traceStyle = null; // Joint and coupler point traces
+    this.fullRodStyle = null; // Full-rod trace
+
+    // Closed-loop constraint: 'guide' aims the rod at its guide point,
+    // 'circle' hangs the joint from a second link of pivotLength off a pivot
+    // (the rod's guide point, or the joint of rod pivotRodId)
+    this.constraint = 'guide';
+    this.pivotRodId = null;
+    this.pivotLength = 0;
+    this.elbow = 1; // 1 or -1: which of the two intersections to use
+    this.lastSolution = null; // Previous joint position, keeps the branch continuous
+
+    // Points rigidly attached to the rod, like a triangular plate:
+    // t is the fraction along the rod (may be < 0 or > 1), offset the sideways distance
+    this.couplerPoints = [];
+
+    // Telescoping (stretch mode): an inner tube slides out of the base-length sleeve
+    // so the rod reaches past its guide point; recomputed every frame
+    this.extension = 0;
+    this.minExtension = 0;
+    this.maxExtension = Infinity;
+    this.limitMode = 'clamp'; // At maxExtension: 'clamp' the tube there or 'stop' the crank
+  }
+
+  /**
+   * Sleeve plus the current inner-tube extension
+   */
+  getCurrentLength() {
+    return this.length + this.extension;
+  }
+
+  hasTelescopeLimits() {
+    return this.minExtension !== 0 || this.maxExtension !== Infinity || this.limitMode !== 'clamp';
+  }
+
+  addCouplerPoint(t = 0.5, offset = 0, isTracing = true) {
+    const point = { t, offset, isTracing };
+    this.couplerPoints.push(point);
+    return point;
+  }
+
+  removeCouplerPoint(index) {
+    this.couplerPoints.splice(index, 1);
+  }
+
+  isLoop() {
+    return this.constraint === 'circle';
+  }
+
+  isCrank() {
+    return this.parentId === null;
   }
 
   isMouseOver(jointPos, worldMouse, hitRadius = 10) {
     return Vector.dist(worldMouse, jointPos) < hitRadius;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,37 @@
+/**
+ * Fixed-timestep clock that turns real elapsed time into simulation steps
+ * Keeps the animation speed the same on every machine, whatever the frame rate
+ */
+export class SimulationClock {
+  /**
+   * @param {number} stepsPerSecond - Simulation steps per second of real time
+   * @param {number} maxTickMs - Cap so a long stall (background tab) doesn't fast-forward
+   */
+  constructor(stepsPerSecond, maxTickMs = 250) {
+    this.stepsPerSecond = stepsPerSecond;
+    this.maxTickMs = maxTickMs;
+    this.accumulator = 0;
+  }
+
+  setStepsPerSecond(stepsPerSecond) {
+    this.stepsPerSecond = stepsPerSecond;
+  }
+
+  /**
+   * Advance the clock by real elapsed time
+   * @param {number} deltaMs - Milliseconds since the previous tick
+   * @returns {number} Number of whole steps to simulate
+   */
+  tick(deltaMs) {
+    if (!isFinite(deltaMs) || deltaMs < 0) return 0;
+
+    this.accumulator += Math.min(deltaMs, this.maxTickMs) / 1000 * this.stepsPerSecond;
+    const steps = Math.floor(this.accumulator);
+    this.accumulator -= steps;
+    return steps;
+  }
+
+  reset() {
+    this.accumulator = 0;
+  }
+}
@@ -0,0 +1,97 @@
+const TWO_PI = Math.PI * 2;
+const MIN_VELOCITY = 0.05; // Keeps the crank from stalling completely
+const NORMALIZATION_SAMPLES = 360;
+
+/**
+ * Angular-velocity profile of the main crank over one revolution
+ * The multiplier is normalized so a revolution always takes the same time as with uniform speed:
+ * the crank dwells in slow parts of its turn and rushes through fast ones
+ */
+export class SpeedProfile {
+  constructor() {
+    this.mode = 'uniform'; // 'uniform' | 'easeInOut' | 'wobble' | 'custom'
+    this.amount = 0.5; // Strength of easeInOut and wobble (0-1)
+    this.wobbles = 3; // Speed-ups per revolution in wobble mode
+    this.custom = [1, 1, 1, 1]; // Relative speeds at evenly spaced angles, starting at 0°
+    this.normalization = null;
+  }
+
+  isUniform() {
+    return this.mode === 'uniform';
+  }
+
+  getSettings() {
+    return {
+      mode: this.mode,
+      amount: this.amount,
+      wobbles: this.wobbles,
+      custom: this.custom.slice()
+    };
+  }
+
+  /**
+   * Apply (part of) a settings object; unknown or invalid fields are ignored
+   */
+  setSettings(settings) {
+    if (!settings) return;
+    if (['uniform', 'easeInOut', 'wobble', 'custom'].includes(settings.mode)) {
+      this.mode = settings.mode;
+    }
+    if (isFinite(settings.amount)) {
+      this.amount = Math.max(0, Math.min(1, settings.amount));
+    }
+    if (isFinite(settings.wobbles) && settings.wobbles >= 1) {
+      this.wobbles = Math.round(settings.wobbles);
+    }
+    if (Array.isArray(settings.custom) && settings.custom.length >= 2 && settings.custom.every(v => isFinite(v) && v > 0)) {
+      this.custom = settings.custom.slice();
+    }
+    this.normalization = null;
+  }
+
+  /**
+   * Un-normalized speed at a crank angle
+   */
+  getRawVelocity(angle) {
+    const a = ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+    let velocity = 1;
+
+    switch (this.mode) {
+      case 'easeInOut':
+        // Slowest at 0°, fastest half a turn later
+        velocity = 1 - this.amount * 0.95 * Math.cos(a);
+        break;
+      case 'wobble':
+        velocity = 1 + this.amount * 0.9 * Math.sin(this.wobbles * a);
+        break;
+      case 'custom': {
+        // Periodic linear interpolation between the control values
+        const position = a / TWO_PI * this.custom.length;
+        const index = Math.floor(position) % this.custom.length;
+        const next = (index + 1) % this.custom.length;
+        const t = position - Math.floor(position);
+        velocity = this.custom[index] * (1 - t) + this.custom[next] * t;
+        break;
+      }
+    }
+
+    return Math.max(MIN_VELOCITY, velocity);
+  }
+
+  /**
+   * Normalized speed multiplier at a crank angle (1 everywhere for uniform)
+   */
+  getMultiplier(angle) {
+    if (this.isUniform()) return 1;
+
+    // Revolution time is the mean of 1/velocity, so scale by it to keep the period fixed
+    if (this.normalization === null) {
+      let sum = 0;
+      for (let i = 0; i < NORMALIZATION_SAMPLES; i++) {
+        sum += 1 / this.getRawVelocity(i / NORMALIZATION_SAMPLES * TWO_PI);
+      }
+      this.normalization = sum / NORMALIZATION_SAMPLES;
+    }
+    return this.getRawVelocity(angle) * this.normalization;
+  }
+}
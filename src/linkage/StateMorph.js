@@ -0,0 +1,189 @@
+const TWO_PI = Math.PI * 2;
+
+// Guide point motion fields that are numbers to blend (a pinned joint id is not). Speed ratios
+// must match instead: the crank angle never wraps, so a changing ratio would add ratio × angle
+// to the motion and spin it wildly; phases are blended as angles (see blendPhase)
+const MOTION_FIELDS = ['length', 'angle', 'radius'];
+
+const valueOr = (value, fallback) => value !== undefined && value !== null ? value : fallback;
+
+/**
+ * Phase between two phases, turning the short way round so the crank never makes an extra turn
+ */
+function blendPhase(from, to, t) {
+  const difference = ((to - from) % TWO_PI + TWO_PI * 1.5) % TWO_PI - Math.PI;
+  return from + difference * t;
+}
+
+/**
+ * Morph between two designs with the same topology (state objects from StateSerializer.exportState):
+ * rod lengths, guide points, anchors, coupler points, colour and widths are blended while the
+ * mechanism keeps running. Progress follows the crank angle, going from the first design to the
+ * second over `revolutions` and back again, so the animation loops and scrubbing replays it
+ */
+export class StateMorph {
+  /**
+   * @param {number} startAngle - Crank angle where the morph starts at the first design
+   * @param {number} direction - Spin direction of the crank (1 or -1)
+   */
+  constructor(from, to, revolutions, startAngle = 0, direction = 1) {
+    const mismatch = StateMorph.getMismatch(from, to);
+    if (mismatch) {
+      throw new Error(mismatch);
+    }
+    this.from = from;
+    this.to = to;
+    this.revolutions = Math.max(1, Math.round(revolutions));
+    this.startAngle = startAngle;
+    this.direction = direction;
+  }
+
+  /**
+   * Why two states can't be morphed into each other, or null when their topologies match
+   */
+  static getMismatch(from, to) {
+    if (from.rods.length !== to.rods.length) {
+      return `the first design has ${from.rods.length + 1} rods and the second ${to.rods.length + 1}`;
+    }
+
+    const kind = (rodData) => rodData.anchor ? 'crank' : rodData.constraint === 'circle' ? 'loop rod' : 'guided rod';
+    const motionType = (rodData) => rodData.guidePoint && rodData.guidePoint.motion ? rodData.guidePoint.motion.type : 'static';
+    const couplerCount = (rodData) => (rodData.couplerPoints || []).length;
+    const speedRatio = (drive) => valueOr(drive.speedRatio, 1);
+
+    if (speedRatio(from.anchor) !== speedRatio(to.anchor)) {
+      return 'the main crank turns at a different speed ratio in each design';
+    }
+    if (couplerCount(from.anchor.crank) !== couplerCount(to.anchor.crank)) {
+      return 'the main crank has a different number of coupler points in each design';
+    }
+
+    for (let i = 0; i < from.rods.length; i++) {
+      const a = from.rods[i];
+      const b = to.rods[i];
+      if (kind(a) !== kind(b)) {
+        return `rod ${a.id} is a ${kind(a)} in the first design but a ${kind(b)} in the second`;
+      }
+      if (valueOr(a.parentId, null) !== valueOr(b.parentId, null)) {
+        return `rod ${a.id} hangs from rod ${a.parentId} in the first design but from rod ${b.parentId} in the second`;
+      }
+      if (valueOr(a.pivotRodId, null) !== valueOr(b.pivotRodId, null)) {
+        return `loop rod ${a.id} pivots on a different joint in each design`;
+      }
+      if (motionType(a) !== motionType(b)) {
+        return `the guide point of rod ${a.id} is ${motionType(a)} in the first design but ${motionType(b)} in the second`;
+      }
+      if (motionType(a) === 'pinned' && a.guidePoint.motion.rodId !== b.guidePoint.motion.rodId) {
+        return `the guide point of rod ${a.id} is pinned to a different joint in each design`;
+      }
+      if (a.anchor && speedRatio(a.anchor) !== speedRatio(b.anchor)) {
+        return `crank ${a.id} turns at a different speed ratio in each design`;
+      }
+      if (['slider', 'orbit'].includes(motionType(a)) && speedRatio(a.guidePoint.motion) !== speedRatio(b.guidePoint.motion)) {
+        return `the guide point of rod ${a.id} moves at a different speed ratio in each design`;
+      }
+      if (couplerCount(a) !== couplerCount(b)) {
+        return `rod ${a.id} has ${couplerCount(a)} coupler points in the first design and ${couplerCount(b)} in the second`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Blend factor for a crank angle: 0 at the first design, 1 at the second, eased at both ends
+   */
+  getProgress(crankAngle) {
+    const revolutions = this.direction * (crankAngle - this.startAngle) / TWO_PI;
+    const phase = revolutions / this.revolutions;
+    // There and back: 0 → 1 over the first leg, 1 → 0 over the second
+    const u = ((phase % 2) + 2) % 2;
+    const t = u <= 1 ? u : 2 - u;
+    return t * t * (3 - 2 * t);
+  }
+
+  /**
+   * Write the blended values for the mechanism's crank angle into its rods, guide points,
+   * anchors and trace system (the rods themselves are not rebuilt, so loops keep their branch)
+   */
+  apply(mechanism) {
+    const t = this.getProgress(mechanism.crankAngle);
+    const lerp = (a, b) => a + (b - a) * t;
+    const { from, to } = this;
+
+    const applyDrive = (anchor, fromAnchor, toAnchor) => {
+      anchor.pos.set(lerp(fromAnchor.x, toAnchor.x), lerp(fromAnchor.y, toAnchor.y));
+      // Both designs turn at the same speed ratio (see getMismatch), so only the phase moves
+      anchor.phase = blendPhase(valueOr(fromAnchor.phase, 0), valueOr(toAnchor.phase, 0), t);
+    };
+    const applyCouplerPoints = (rod, fromRod, toRod) => {
+      (fromRod.couplerPoints || []).forEach((point, k) => {
+        const other = toRod.couplerPoints[k];
+        if (!rod.couplerPoints[k]) return;
+        rod.couplerPoints[k].t = lerp(point.t, other.t);
+        rod.couplerPoints[k].offset = lerp(point.offset, other.offset);
+      });
+    };
+
+    applyDrive(mechanism.anchor, from.anchor, to.anchor);
+    mechanism.rods[0].length = lerp(from.anchor.crank.length, to.anchor.crank.length);
+    applyCouplerPoints(mechanism.rods[0], from.anchor.crank, to.anchor.crank);
+
+    from.rods.forEach((fromRod, i) => {
+      const toRod = to.rods[i];
+      const rod = mechanism.rods[fromRod.id];
+      if (!rod) return;
+
+      rod.length = lerp(fromRod.length, toRod.length);
+      applyCouplerPoints(rod, fromRod, toRod);
+
+      if (fromRod.anchor) {
+        const anchor = mechanism.anchors[rod.anchorId];
+        if (anchor) {
+          applyDrive(anchor, fromRod.anchor, toRod.anchor);
+        }
+        return;
+      }
+      if (fromRod.constraint === 'circle') {
+        rod.pivotLength = lerp(fromRod.pivotLength, toRod.pivotLength);
+      }
+
+      const gp = mechanism.getGuidePoint(rod.id);
+      if (gp && fromRod.guidePoint && toRod.guidePoint) {
+        gp.moveBy(
+          lerp(fromRod.guidePoint.x, toRod.guidePoint.x) - gp.home.x,
+          lerp(fromRod.guidePoint.y, toRod.guidePoint.y) - gp.home.y
+        );
+        const fromMotion = fromRod.guidePoint.motion;
+        const toMotion = toRod.guidePoint.motion;
+        if (fromMotion && toMotion) {
+          MOTION_FIELDS.forEach(field => {
+            if (isFinite(fromMotion[field]) && isFinite(toMotion[field])) {
+              gp.motion[field] = lerp(fromMotion[field], toMotion[field]);
+            }
+          });
+          if (isFinite(fromMotion.phase) && isFinite(toMotion.phase)) {
+            gp.motion.phase = blendPhase(fromMotion.phase, toMotion.phase, t);
+          }
+        }
+      }
+    });
+
+    const traceSystem = mechanism.traceSystem;
+    if (!traceSystem) return;
+    if (from.traceColor && to.traceColor) {
+      traceSystem.setTraceColor({
+        r: Math.round(lerp(from.traceColor.r, to.traceColor.r)),
+        g: Math.round(lerp(from.traceColor.g, to.traceColor.g)),
+        b: Math.round(lerp(from.traceColor.b, to.traceColor.b))
+      });
+    }
+    // Widths in tenths of a pixel, so the design sliders can show them when the morph stops
+    const width = (a, b) => Math.round(lerp(a, b) * 10) / 10;
+    if (isFinite(from.traceWidth) && isFinite(to.traceWidth)) {
+      traceSystem.setTraceWidth(width(from.traceWidth, to.traceWidth));
+    }
+    if (isFinite(from.rodsWidth) && isFinite(to.rodsWidth)) {
+      traceSystem.setRodsWidth(width(from.rodsWidth, to.rodsWidth));
+    }
+  }
+}
@@ -0,0 +1,93 @@
+import { Vector } from '../utils/Vector.js';
+
+const MIN_COPIES = 2;
+const MAX_COPIES = 24;
+
+/**
+ * Symmetry settings for ornamental designs: the mechanism is cloned around a centre
+ * (a rosette of `count` copies with equal rotation) or mirrored across an axis through it
+ * Clone k runs at the master crank angle plus k times `phaseOffset`
+ */
+export class Symmetry {
+  constructor() {
+    this.mode = 'none'; // 'none' | 'rotate' | 'mirror'
+    this.count = 6; // Copies in a rosette, the master included
+    this.center = null; // {x, y} in world coordinates; null until placed (then the main anchor is used)
+    this.axisAngle = Math.PI / 2; // Mirror axis direction (radians), vertical by default
+    this.phaseOffset = 0; // Crank angle added per clone (radians)
+  }
+
+  isActive() {
+    return this.mode !== 'none';
+  }
+
+  /**
+   * Clones besides the master
+   */
+  getCloneCount() {
+    switch (this.mode) {
+      case 'rotate':
+        return this.count - 1;
+      case 'mirror':
+        return 1;
+      default:
+        return 0;
+    }
+  }
+
+  getSettings() {
+    return {
+      mode: this.mode,
+      count: this.count,
+      center: this.center ? { x: this.center.x, y: this.center.y } : null,
+      axisAngle: this.axisAngle,
+      phaseOffset: this.phaseOffset
+    };
+  }
+
+  /**
+   * Apply (part of) a settings object; unknown or invalid fields are ignored
+   */
+  setSettings(settings) {
+    if (!settings) return;
+    if (['none', 'rotate', 'mirror'].includes(settings.mode)) {
+      this.mode = settings.mode;
+    }
+    if (isFinite(settings.count)) {
+      this.count = Math.max(MIN_COPIES, Math.min(MAX_COPIES, Math.round(settings.count)));
+    }
+    if (settings.center === null) {
+      this.center = null;
+    } else if (settings.center && isFinite(settings.center.x) && isFinite(settings.center.y)) {
+      this.center = { x: settings.center.x, y: settings.center.y };
+    }
+    if (isFinite(settings.axisAngle)) {
+      this.axisAngle = settings.axisAngle;
+    }
+    if (isFinite(settings.phaseOffset)) {
+      this.phaseOffset = settings.phaseOffset;
+    }
+  }
+
+  /**
+   * Where clone `cloneIndex` (1-based) shows a point of the master
+   * @param {{x: number, y: number}} point - Master position
+   * @param {{x: number, y: number}} center - Centre to use (see getCenter in LinkageMechanism)
+   */
+  transform(point, cloneIndex, center) {
+    const dx = point.x - center.x;
+    const dy = point.y - center.y;
+
+    if (this.mode === 'mirror') {
+      // Reflect across the axis: rotate by twice the axis angle after flipping y
+      const cos = Math.cos(2 * this.axisAngle);
+      const sin = Math.sin(2 * this.axisAngle);
+      return new Vector(center.x + dx * cos + dy * sin, center.y + dx * sin - dy * cos);
+    }
+
+    const angle = Math.PI * 2 * cloneIndex / this.count;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return new Vector(center.x + dx * cos - dy * sin, center.y + dx * sin + dy * cos);
+  }
+}
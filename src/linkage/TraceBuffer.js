@@ -0,0 +1,113 @@
+/**
+ * Ring buffer for one trace: fixed-size entries of floats (a point, or a whole full-rod sweep)
+ * in a preallocated Float32Array, oldest first. Dropping old entries only moves the start, and
+ * each entry keeps the step it was written at, so ages come from the write step instead of
+ * being counted up per point. The crank angle and the step keep growing, so they are stored in
+ * Float64Arrays. The buffer doubles when it runs full
+ */
+export class TraceBuffer {
+  /**
+   * @param {number} stride - Floats per entry
+   * @param {number} capacity - Entries allocated up front
+   */
+  constructor(stride, capacity = 512) {
+    this.stride = stride;
+    this.capacity = capacity;
+    this.data = new Float32Array(capacity * stride);
+    this.angles = new Float64Array(capacity);
+    this.steps = new Float64Array(capacity);
+    this.start = 0; // Slot of the oldest entry
+    this.length = 0;
+  }
+
+  /**
+   * Append an entry
+   * @returns {number} Offset of its floats in `data`, for the caller to fill
+   */
+  push(step, angle) {
+    if (this.length === this.capacity) {
+      this.grow();
+    }
+    const slot = (this.start + this.length) % this.capacity;
+    this.length++;
+    this.steps[slot] = step;
+    this.angles[slot] = angle;
+    return slot * this.stride;
+  }
+
+  /**
+   * Slot of entry i (0 is the oldest)
+   */
+  slot(i) {
+    const slot = this.start + i;
+    return slot >= this.capacity ? slot - this.capacity : slot;
+  }
+
+  /**
+   * Offset of the floats of entry i in `data`
+   */
+  offset(i) {
+    return this.slot(i) * this.stride;
+  }
+
+  get(i, field) {
+    return this.data[this.slot(i) * this.stride + field];
+  }
+
+  getAngle(i) {
+    return this.angles[this.slot(i)];
+  }
+
+  getStep(i) {
+    return this.steps[this.slot(i)];
+  }
+
+  /**
+   * Copy two neighbouring fields (e.g. x and y) of entries `from` to `to` into a new array
+   */
+  copyPairs(from, to, field) {
+    const pairs = new Float32Array((to - from + 1) * 2);
+    for (let i = from; i <= to; i++) {
+      const offset = this.offset(i) + field;
+      pairs[(i - from) * 2] = this.data[offset];
+      pairs[(i - from) * 2 + 1] = this.data[offset + 1];
+    }
+    return pairs;
+  }
+
+  dropOldest(count) {
+    const dropped = Math.min(count, this.length);
+    this.start = (this.start + dropped) % this.capacity;
+    this.length -= dropped;
+  }
+
+  dropNewest(count) {
+    this.length -= Math.min(count, this.length);
+  }
+
+  clear() {
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Double the capacity, moving the entries to the front in order
+   */
+  grow() {
+    const capacity = this.capacity * 2;
+    const data = new Float32Array(capacity * this.stride);
+    const angles = new Float64Array(capacity);
+    const steps = new Float64Array(capacity);
+    for (let i = 0; i < this.length; i++) {
+      const slot = this.slot(i);
+      data.set(this.data.subarray(slot * this.stride, (slot + 1) * this.stride), i * this.stride);
+      angles[i] = this.angles[slot];
+      steps[i] = this.steps[slot];
+    }
+    this.data = data;
+    this.angles = angles;
+    this.steps = steps;
+    this.capacity = capacity;
+    this.start = 0;
+  }
+}
@@ -0,0 +1,368 @@
+// Largest side of the off-screen buffer, in pixels
+const MAX_BUFFER_SIZE = 4096;
+
+// World space the buffer covers around the view on each side, as a fraction of the view,
+// so a pan doesn't re-render at once
+const MARGIN = 0.25;
+
+// Re-render once the zoom is this factor away from the zoom the buffer was rendered at
+const ZOOM_TOLERANCE = 1.5;
+
+// Vector ink kept before it is compacted into the archive: coordinate floats and stroke records
+const MAX_FLOATS = 1 << 20;
+const MAX_STROKES = 20000;
+
+// Largest side of the archive rasters, in pixels
+const ARCHIVE_SIZE = 2048;
+
+const WHITE = [255, 255, 255];
+
+/**
+ * Strokes with the same signature are merged into one record
+ */
+function getSignature({ key, design, color, alpha, weight }) {
+  return `${key}|${design}|${color}|${alpha}|${weight}`;
+}
+
+/**
+ * Stroke the runs of a record from `firstRun` on, each on its own so overlapping translucent ink
+ * builds up as separate strokes would (the caller sets the transform)
+ */
+function strokeRuns(ctx, stroke, color, firstRun = 0) {
+  ctx.strokeStyle = `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${stroke.alpha / 255})`;
+  ctx.lineWidth = stroke.weight;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  const { coords, starts, length } = stroke;
+  for (let run = firstRun; run < starts.length; run++) {
+    const end = run + 1 < starts.length ? starts[run + 1] : length;
+    ctx.beginPath();
+    ctx.moveTo(coords[starts[run]], coords[starts[run] + 1]);
+    for (let i = starts[run] + 2; i < end; i += 2) {
+      ctx.lineTo(coords[i], coords[i + 1]);
+    }
+    ctx.stroke();
+  }
+}
+
+/**
+ * Off-screen accumulation layer for trace history: finished trace segments are baked into a
+ * world-space graphics buffer once, instead of being drawn as vectors every frame, so ink
+ * persists at constant cost. The strokes are kept as compact polylines, merged into one record
+ * per trace key, colour, alpha and weight, so the buffer can be rendered again at a new
+ * resolution after a zoom, when the view pans off it, or when the design colours change (inverse
+ * mode). Past a budget the polylines are compacted into the archive, rasters of all ink baked so
+ * far, so rendering again doesn't get slower as the history grows
+ */
+export class TraceLayer {
+  constructor() {
+    this.strokes = [];
+    this.groups = new Map(); // Stroke records by signature, to merge new polylines into
+    this.floatCount = 0; // Coordinate floats in all records
+    this.archive = null; // Compacted ink: {bounds, scale, layers, keys}, see compact()
+    this.buffer = null; // p5.Graphics, created on the first draw
+    this.tintBuffer = null; // p5.Graphics to colour the archive's design-colour rasters in
+    this.view = null; // World rect, zoom and scale (buffer pixels per world unit) of the last render
+    this.designColors = null; // Design colours of the last render: {trace: [r, g, b], fullRod: [r, g, b]}
+    this.isDirty = true;
+  }
+
+  isEmpty() {
+    return this.strokes.length === 0 && !this.archive;
+  }
+
+  /**
+   * Bake a finished polyline
+   * @param {Object} stroke
+   * @param {string} stroke.key - Trace key of the path it came from (see TraceSystem.parseKey)
+   * @param {Float32Array} stroke.coords - World positions as x, y pairs (copied)
+   * @param {number[]|null} stroke.color - Fixed [r, g, b], or null to follow the design colour
+   * @param {string} stroke.design - Design colour to follow: 'trace' or 'fullRod'
+   * @param {number} stroke.alpha - 0-255
+   * @param {number} stroke.weight - Stroke width in world units
+   */
+  add({ key, coords, color, design, alpha, weight }) {
+    const signature = getSignature({ key, design, color, alpha, weight });
+    let stroke = this.groups.get(signature);
+    if (!stroke) {
+      stroke = {
+        key: String(key),
+        coords: new Float32Array(Math.max(64, coords.length)),
+        length: 0, // Floats used in coords
+        starts: [], // Offset in coords where each polyline (run) starts
+        color,
+        design,
+        alpha,
+        weight,
+        bounds: { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity }
+      };
+      this.groups.set(signature, stroke);
+      this.strokes.push(stroke);
+    }
+
+    if (stroke.length + coords.length > stroke.coords.length) {
+      const grown = new Float32Array(Math.max(stroke.coords.length * 2, stroke.length + coords.length));
+      grown.set(stroke.coords.subarray(0, stroke.length));
+      stroke.coords = grown;
+    }
+    stroke.coords.set(coords, stroke.length);
+    stroke.starts.push(stroke.length);
+    stroke.length += coords.length;
+    this.floatCount += coords.length;
+
+    const pad = weight / 2;
+    const bounds = stroke.bounds;
+    for (let i = 0; i < coords.length; i += 2) {
+      bounds.minX = Math.min(bounds.minX, coords[i] - pad);
+      bounds.minY = Math.min(bounds.minY, coords[i + 1] - pad);
+      bounds.maxX = Math.max(bounds.maxX, coords[i] + pad);
+      bounds.maxY = Math.max(bounds.maxY, coords[i + 1] + pad);
+    }
+
+    // Straight into the buffer while it's current, the next render picks it up otherwise
+    if (this.buffer && !this.isDirty) {
+      this.renderStroke(stroke, stroke.starts.length - 1);
+    }
+  }
+
+  /**
+   * Drop the strokes a predicate picks (by trace key). Archived ink can't be told apart by key,
+   * so it all goes when any of its keys is picked
+   */
+  removeWhere(predicate) {
+    const count = this.strokes.length;
+    this.strokes = this.strokes.filter(stroke => !predicate(stroke.key));
+    if (this.strokes.length !== count) {
+      this.floatCount = this.strokes.reduce((sum, stroke) => sum + stroke.length, 0);
+      this.groups = new Map(this.strokes.map(stroke => [getSignature(stroke), stroke]));
+      this.isDirty = true;
+    }
+    if (this.archive && [...this.archive.keys].some(predicate)) {
+      this.dropArchive();
+    }
+  }
+
+  /**
+   * Give strokes new trace keys (after rods were renumbered); a null key drops the stroke
+   */
+  renameKeys(rename) {
+    this.strokes.forEach(stroke => {
+      stroke.key = rename(stroke.key);
+    });
+    this.groups = new Map(this.strokes.map(stroke => [getSignature(stroke), stroke]));
+    if (this.archive) {
+      this.archive.keys = new Set([...this.archive.keys].map(rename));
+    }
+    this.removeWhere(key => key === null);
+  }
+
+  clear() {
+    this.strokes = [];
+    this.groups = new Map();
+    this.floatCount = 0;
+    this.dropArchive();
+    this.isDirty = true;
+  }
+
+  dropArchive() {
+    if (!this.archive) return;
+    Object.values(this.archive.layers).forEach(layer => layer.remove());
+    this.archive = null;
+    this.isDirty = true;
+  }
+
+  /**
+   * World bounds of all baked ink, or null when there is none
+   */
+  getBounds() {
+    if (this.isEmpty()) return null;
+    const initial = this.archive ? { ...this.archive.bounds } : { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    return this.strokes.reduce((bounds, { bounds: b }) => ({
+      minX: Math.min(bounds.minX, b.minX),
+      minY: Math.min(bounds.minY, b.minY),
+      maxX: Math.max(bounds.maxX, b.maxX),
+      maxY: Math.max(bounds.maxY, b.maxY)
+    }), initial);
+  }
+
+  /**
+   * Draw the baked ink (in world space, inside the camera transform), rendering the buffer again
+   * when the view has left it, the zoom has moved too far or the design colours changed
+   * @param {Camera} camera
+   * @param {{trace: number[], fullRod: number[]}} designColors
+   * @param {number} alpha - Opacity of the whole layer, 0-255
+   */
+  draw(p, camera, designColors, alpha = 255) {
+    if (this.isEmpty() || alpha <= 0) return;
+
+    if (this.floatCount > MAX_FLOATS || this.strokes.length > MAX_STROKES) {
+      this.compact(p);
+    }
+
+    const zoom = camera.zoom;
+    const x = -camera.offset.x / zoom;
+    const y = -camera.offset.y / zoom;
+    const width = p.width / zoom;
+    const height = p.height / zoom;
+
+    const view = this.view;
+    const isRecolored = !this.designColors
+      || String(designColors.trace) !== String(this.designColors.trace)
+      || String(designColors.fullRod) !== String(this.designColors.fullRod);
+    const isCovered = view && x >= view.x && y >= view.y && x + width <= view.x + view.width && y + height <= view.y + view.height;
+    const isSharp = view && zoom / view.zoom < ZOOM_TOLERANCE && view.zoom / zoom < ZOOM_TOLERANCE;
+
+    if (!this.buffer || this.isDirty || isRecolored) {
+      this.render(p, x, y, width, height, zoom, designColors);
+    } else if ((!isCovered || !isSharp) && !camera.isAnimating) {
+      // During a zoom animation the old buffer stretches along; render once it settles
+      this.render(p, x, y, width, height, zoom, designColors);
+    }
+
+    // Global alpha rather than tint(), which copies the whole buffer every frame
+    const ctx = p.drawingContext;
+    ctx.save();
+    ctx.globalAlpha = alpha / 255;
+    p.image(this.buffer, this.view.x, this.view.y, this.view.width, this.view.height);
+    ctx.restore();
+  }
+
+  /**
+   * Move all stroke records into the archive: rasters over the bounds of all ink baked so far,
+   * one for fixed colours and one per design colour (drawn white and coloured when the buffer
+   * renders, so inverse mode still recolours it). Archived ink is only as sharp as ARCHIVE_SIZE
+   * pixels across those bounds allow
+   */
+  compact(p) {
+    const bounds = this.getBounds();
+    const previous = this.archive;
+    const isSameBounds = previous
+      && ['minX', 'minY', 'maxX', 'maxY'].every(side => previous.bounds[side] === bounds[side]);
+
+    let archive = previous;
+    if (!isSameBounds) {
+      const scale = Math.min(ARCHIVE_SIZE / (bounds.maxX - bounds.minX), ARCHIVE_SIZE / (bounds.maxY - bounds.minY));
+      archive = { bounds, scale, layers: {}, keys: new Set(previous ? previous.keys : []) };
+    }
+
+    const getLayer = (name) => {
+      if (archive.layers[name]) return archive.layers[name];
+      const { bounds: b, scale } = archive;
+      const layer = p.createGraphics(
+        Math.max(1, Math.ceil((b.maxX - b.minX) * scale)),
+        Math.max(1, Math.ceil((b.maxY - b.minY) * scale))
+      );
+      layer.pixelDensity(1);
+      layer.drawingContext.setTransform(scale, 0, 0, scale, -b.minX * scale, -b.minY * scale);
+      archive.layers[name] = layer;
+      return layer;
+    };
+
+    // A larger area: carry the old rasters over, scaled down to the new resolution
+    if (previous && !isSameBounds) {
+      for (const name in previous.layers) {
+        const old = previous.layers[name];
+        getLayer(name).drawingContext.drawImage(old.elt, previous.bounds.minX, previous.bounds.minY,
+          old.width / previous.scale, old.height / previous.scale);
+        old.remove();
+      }
+    }
+
+    this.strokes.forEach(stroke => {
+      const layer = getLayer(stroke.color ? 'fixed' : stroke.design);
+      strokeRuns(layer.drawingContext, stroke, stroke.color || WHITE);
+      archive.keys.add(stroke.key);
+    });
+
+    this.archive = archive;
+    this.strokes = [];
+    this.groups = new Map();
+    this.floatCount = 0;
+    this.isDirty = true;
+  }
+
+  /**
+   * Render all strokes into a buffer covering the view plus a margin
+   */
+  render(p, x, y, width, height, zoom, designColors) {
+    const left = x - width * MARGIN;
+    const top = y - height * MARGIN;
+    const coveredWidth = width * (1 + 2 * MARGIN);
+    const coveredHeight = height * (1 + 2 * MARGIN);
+
+    // Screen resolution (up to 2x on high-density displays), within the buffer size limit
+    const density = Math.min(p.pixelDensity(), 2);
+    const scale = Math.min(zoom * density, MAX_BUFFER_SIZE / coveredWidth, MAX_BUFFER_SIZE / coveredHeight);
+    const bufferWidth = Math.max(1, Math.ceil(coveredWidth * scale));
+    const bufferHeight = Math.max(1, Math.ceil(coveredHeight * scale));
+
+    if (!this.buffer || this.buffer.width !== bufferWidth || this.buffer.height !== bufferHeight) {
+      if (this.buffer) {
+        this.buffer.remove();
+      }
+      this.buffer = p.createGraphics(bufferWidth, bufferHeight);
+      this.buffer.pixelDensity(1);
+    }
+    // Transparent, so the ink sits on either background
+    this.buffer.clear();
+
+    this.view = { x: left, y: top, width: bufferWidth / scale, height: bufferHeight / scale, zoom, scale };
+    this.designColors = designColors;
+    this.isDirty = false;
+    if (this.archive) {
+      this.renderArchive(p);
+    }
+    this.strokes.forEach(stroke => this.renderStroke(stroke));
+  }
+
+  /**
+   * Draw the archive rasters into the buffer, the design-colour ones in the current colours
+   */
+  renderArchive(p) {
+    const { x, y, scale } = this.view;
+    const archive = this.archive;
+    const ctx = this.buffer.drawingContext;
+
+    for (const name in archive.layers) {
+      const layer = archive.layers[name];
+      let image = layer.elt;
+      if (name !== 'fixed') {
+        if (!this.tintBuffer || this.tintBuffer.width !== layer.width || this.tintBuffer.height !== layer.height) {
+          if (this.tintBuffer) {
+            this.tintBuffer.remove();
+          }
+          this.tintBuffer = p.createGraphics(layer.width, layer.height);
+          this.tintBuffer.pixelDensity(1);
+        }
+        // The white ink's alpha, filled with the design colour
+        const tintCtx = this.tintBuffer.drawingContext;
+        const color = this.designColors[name];
+        tintCtx.setTransform(1, 0, 0, 1, 0, 0);
+        tintCtx.globalCompositeOperation = 'copy';
+        tintCtx.drawImage(layer.elt, 0, 0);
+        tintCtx.globalCompositeOperation = 'source-in';
+        tintCtx.fillStyle = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+        tintCtx.fillRect(0, 0, layer.width, layer.height);
+        tintCtx.globalCompositeOperation = 'source-over';
+        image = this.tintBuffer.elt;
+      }
+      ctx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+      ctx.drawImage(image, archive.bounds.minX, archive.bounds.minY, layer.width / archive.scale, layer.height / archive.scale);
+    }
+  }
+
+  /**
+   * Render a stroke record into the buffer, from run `firstRun` on
+   */
+  renderStroke(stroke, firstRun = 0) {
+    const { x, y, width, height, scale } = this.view;
+    const { bounds } = stroke;
+    if (bounds.maxX < x || bounds.maxY < y || bounds.minX > x + width || bounds.minY > y + height) return;
+
+    // Straight to the canvas context: much faster than p5 vertices when replaying long histories
+    const ctx = this.buffer.drawingContext;
+    ctx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+    strokeRuns(ctx, stroke, stroke.color || this.designColors[stroke.design], firstRun);
+  }
+}
@@ -1,24 +1,303 @@
 import { Vector } from '../utils/Vector.js';
 import { MathUtils } from '../utils/MathUtils.js';
+import { TraceLayer } from './TraceLayer.js';
+import { TraceBuffer } from './TraceBuffer.js';
+
+/**
+ * Turn the hue of an [r, g, b] colour by some degrees, keeping saturation and value
+ */
+function rotateHue(color, degrees) {
+  const [r, g, b] = color.map(c => c / 255);
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  if (delta === 0) return color;
+
+  let h;
+  if (max === r) {
+    h = ((g - b) / delta + 6) % 6;
+  } else if (max === g) {
+    h = (b - r) / delta + 2;
+  } else {
+    h = (r - g) / delta + 4;
+  }
+  h = (((h + degrees / 60) % 6) + 6) % 6;
+
+  // Back to RGB with the same saturation and value
+  const s = delta / max;
+  const f = h - Math.floor(h);
+  const p = max * (1 - s);
+  const q = max * (1 - f * s);
+  const t = max * (1 - (1 - f) * s);
+  const rgb = [[max, t, p], [q, max, p], [p, max, t], [p, q, max], [t, p, max], [max, p, q]][Math.floor(h)];
+  return rgb.map(c => Math.round(c * 255));
+}
+
+const TWO_PI = Math.PI * 2;
+
+// Colours the 'palette' mode steps through, one per revolution
+const PALETTES = {
+  rainbow: [[230, 60, 60], [240, 150, 40], [230, 210, 50], [60, 180, 90], [50, 130, 220], [140, 80, 200]],
+  sunset: [[255, 94, 77], [255, 154, 0], [255, 206, 84], [237, 85, 101], [160, 64, 140]],
+  ocean: [[0, 63, 92], [47, 75, 124], [102, 81, 145], [0, 128, 128], [72, 170, 173]],
+  earth: [[94, 60, 40], [160, 110, 60], [200, 160, 90], [110, 130, 70], [60, 90, 60]]
+};
+
+const COLOR_MODES = ['solid', 'age', 'revolution', 'palette', 'outward'];
+
+/**
+ * Blend two [r, g, b] colours (t = 0 gives a, t = 1 gives b)
+ */
+function mixColors(a, b, t) {
+  return [0, 1, 2].map(i => Math.round(a[i] + (b[i] - a[i]) * t));
+}
+
+// Colour maps for the heatmaps, from the low to the high end of the metric
+const COLORMAPS = {
+  viridis: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]],
+  magma: [[0, 0, 4], [81, 18, 124], [183, 55, 121], [252, 137, 97], [252, 253, 191]],
+  plasma: [[13, 8, 135], [126, 3, 168], [204, 71, 120], [248, 149, 64], [240, 249, 33]],
+  coolwarm: [[59, 76, 192], [141, 176, 254], [221, 221, 221], [244, 154, 123], [180, 4, 38]],
+  grayscale: [[30, 30, 30], [230, 230, 230]]
+};
+
+// Heatmaps: 'color' and 'width' follow the metric, 'calligraphy' thins and lightens the stroke where the pen is fast
+const HEAT_MODES = ['off', 'color', 'width', 'calligraphy'];
+const HEAT_METRICS = ['speed', 'curvature'];
+
+// Stroke width factor at the low and high ends of the metric
+const HEAT_WIDTHS = {
+  width: [0.3, 1.6],
+  calligraphy: [1.6, 0.3]
+};
+
+/**
+ * Curvature (1 / radius) of the circle through three points, null when two of them coincide
+ */
+function curvatureThrough(ax, ay, bx, by, cx, cy) {
+  const lengths = Math.hypot(bx - ax, by - ay) * Math.hypot(cx - bx, cy - by) * Math.hypot(cx - ax, cy - ay);
+  if (lengths < 1e-9) return null;
+  const cross = (bx - ax) * (cy - by) - (by - ay) * (cx - bx);
+  return 2 * Math.abs(cross) / lengths;
+}
+
+// Floats of a point trace entry: position, pen speed and curvature (see addTracePoint), and the
+// hue shift and trace width it was recorded with, which automation changes as the crank turns
+const X = 0;
+const Y = 1;
+const METRIC_FIELDS = { speed: 2, curvature: 3 };
+const HUE = 4;
+const WIDTH = 5;
+const POINT_STRIDE = 6;
+
+// With fading off, paths keep this many of their newest points (and rod trace frames) as vectors;
+// older ones are baked into the accumulation layer in chunks
+const LIVE_POINTS = 720;
+const LIVE_FRAMES = 60;
+
+// Trace keys: rod id, `coupler_<rodId>_<index>` or `fullrod_<rodId>`, prefixed with `clone<k>_` for symmetry clones
+const TRACE_KEY = /^(clone\d+_)?(coupler_|fullrod_)?(\d+)(_\d+)?$/;
 
 /**
  * System for tracking and rendering motion paths
  */
 export class TraceSystem {
   constructor() {
-    this.tracePaths = {}; // Object to hold multiple trace paths
-    this.fullRodTracePaths = {}; // Object to hold full rod traces
+    this.tracePaths = {}; // Point trace ring buffers (TraceBuffer) by trace key
+    this.fullRodTracePaths = {}; // Full rod trace ring buffers, one entry per sweep
+    this.step = 0; // Aging clock: entries are as old as the steps since they were written
     this.traceColor = [0, 100, 0]; // Dark green
     this.fullRodTraceColor = [0, 150, 0]; // Lighter green for full rod traces
-    this.fadeLifespan = 360; // 1 full rotation (360 frames)
+    this.fadeLifespan = 1440; // 1 full rotation (in simulation steps)
+    this.stepsPerSecond = 240; // Simulation rate, to turn pen movement per step into speed (set by the mechanism)
     this.fullRodTraceSegments = 8; // Number of points to trace along rod length
     this.traceWidth = 4; // Trace stroke width
     this.rodsWidth = 4; // Rods stroke width
     this.jointSizeMultiplier = 5; // Multiplier for joint size relative to trace/rod width
     this.isInverse = false; // Track inverse mode
     this.fadingEnabled = true; // Control whether traces fade over time
-    this.maxTracePointsNoFade = 3600; // Max points when fading is off (10 rotations worth)
-    this.maxRodTracesNoFade = 400; // Max rod trace frames when fading is off
+    this.maxTracePointsNoFade = 14400; // Max points when fading is off (10 rotations worth)
+    this.maxRodTracesNoFade = 400; // Max rod trace frames when fading is off (added once per frame)
+    this.hueShift = 0; // Degrees added to the trace hue when drawing (driven by automation)
+
+    // Colour mode: 'solid', 'age' (gradient from new to old), 'revolution' (hue turns once per
+    // revolution), 'palette' (steps each revolution) or 'outward' (gradient from the joint along
+    // the rod, for full-rod traces only)
+    this.colorMode = 'solid';
+    this.gradientColor = [255, 200, 0]; // Second stop of the 'age' and 'outward' gradients
+    this.palette = 'rainbow';
+
+    // Heatmap of point traces by pen speed or path curvature (see HEAT_MODES)
+    this.heatMode = 'off';
+    this.heatMetric = 'speed';
+    this.colormap = 'viridis';
+    this.heatRange = null; // Metric range of the last drawn frame, for the legend
+
+    this.layer = new TraceLayer(); // Baked ink of finished trace segments (fading off)
+    this.layerFadeStart = null; // Step fading came back on at, while the baked ink fades out
+    this.bakeStyle = { getRodStyle: null }; // Style arguments of the last draw, to bake with in between
+  }
+
+  static getPaletteNames() {
+    return Object.keys(PALETTES);
+  }
+
+  static getColormapNames() {
+    return Object.keys(COLORMAPS);
+  }
+
+  /**
+   * Colour at a position (0-1) along a colour map
+   */
+  static sampleColormap(name, t) {
+    const stops = COLORMAPS[name] || COLORMAPS.viridis;
+    const scaled = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(scaled));
+    return mixColors(stops[index], stops[index + 1], scaled - index);
+  }
+
+  getHeatmap() {
+    return {
+      mode: this.heatMode,
+      metric: this.heatMetric,
+      colormap: this.colormap
+    };
+  }
+
+  /**
+   * Apply (part of) heatmap settings; unknown or invalid fields are ignored
+   */
+  setHeatmap(settings) {
+    if (!settings) return;
+    if (HEAT_MODES.includes(settings.mode)) {
+      this.heatMode = settings.mode;
+    }
+    if (HEAT_METRICS.includes(settings.metric)) {
+      this.heatMetric = settings.metric;
+    }
+    if (COLORMAPS[settings.colormap]) {
+      this.colormap = settings.colormap;
+    }
+  }
+
+  /**
+   * Metric the heatmap follows (calligraphy always follows the speed)
+   */
+  getHeatMetric() {
+    return this.heatMode === 'calligraphy' ? 'speed' : this.heatMetric;
+  }
+
+  /**
+   * Stroke width factor at a position (0-1) along the metric range, 1 when the heatmap doesn't set widths
+   */
+  getHeatWidth(t) {
+    const widths = HEAT_WIDTHS[this.heatMode];
+    return widths ? widths[0] + (widths[1] - widths[0]) * t : 1;
+  }
+
+  /**
+   * Low and high ends of the heatmap metric over all point traces: the 5th and 95th percentiles,
+   * so spikes at cusps and dead points don't flatten the rest. Null when off or without points
+   */
+  getHeatRange() {
+    if (this.heatMode === 'off') return null;
+    const metric = this.getHeatMetric();
+    const values = [];
+    for (const rodId in this.tracePaths) {
+      const path = this.tracePaths[rodId];
+      // A few hundred samples per path are plenty for the percentiles
+      const stride = Math.max(1, Math.floor(path.length / 500));
+      for (let i = 1; i < path.length; i += stride) {
+        values.push(path.get(i, METRIC_FIELDS[metric]));
+      }
+    }
+    if (values.length === 0) return null;
+
+    values.sort((a, b) => a - b);
+    const at = (q) => values[Math.floor(q * (values.length - 1))];
+    return { metric, min: at(0.05), max: at(0.95) };
+  }
+
+  getColorMode() {
+    return {
+      mode: this.colorMode,
+      endColor: { r: this.gradientColor[0], g: this.gradientColor[1], b: this.gradientColor[2] },
+      palette: this.palette
+    };
+  }
+
+  /**
+   * Apply (part of) colour mode settings; unknown or invalid fields are ignored
+   */
+  setColorMode(settings) {
+    if (!settings) return;
+    if (COLOR_MODES.includes(settings.mode)) {
+      this.colorMode = settings.mode;
+    }
+    const end = settings.endColor;
+    if (end && ['r', 'g', 'b'].every(key => isFinite(end[key]))) {
+      this.gradientColor = [end.r, end.g, end.b].map(c => Math.max(0, Math.min(255, Math.round(c))));
+    }
+    if (PALETTES[settings.palette]) {
+      this.palette = settings.palette;
+    }
+  }
+
+  /**
+   * Colour of a trace point or rod trace under the colour mode
+   * @param {number[]} base - Colour of the path (hue shift included)
+   * @param {number} t - Gradient position: 0 at the newest point or at the joint, 1 at the far end
+   * @param {number} angle - Crank angle the point was recorded at
+   * @param {number} hueShift - Hue shift the point was recorded with
+   */
+  shade(base, t, angle, hueShift = this.hueShift) {
+    switch (this.colorMode) {
+      case 'age':
+      case 'outward':
+        return mixColors(base, this.shiftHue(this.gradientColor, hueShift), t);
+      case 'revolution':
+        return rotateHue(base, angle / TWO_PI * 360);
+      case 'palette': {
+        const colors = PALETTES[this.palette];
+        const index = ((Math.floor(angle / TWO_PI) % colors.length) + colors.length) % colors.length;
+        return this.shiftHue(colors[index], hueShift);
+      }
+      default:
+        return base;
+    }
+  }
+
+  shiftHue(color, hueShift = this.hueShift) {
+    return hueShift ? rotateHue(color, hueShift) : color;
+  }
+
+  /**
+   * Clean up a per-rod trace style {color: {r, g, b}|null, opacity: 0-1, width: px|null}
+   * A missing colour or width means the design's; a style with nothing of its own is null
+   */
+  static normalizeStyle(style) {
+    if (!style) return null;
+    const channel = (value) => Math.max(0, Math.min(255, Math.round(value)));
+    const color = style.color && ['r', 'g', 'b'].every(key => isFinite(style.color[key]))
+      ? { r: channel(style.color.r), g: channel(style.color.g), b: channel(style.color.b) }
+      : null;
+    const opacity = isFinite(style.opacity) ? Math.max(0, Math.min(1, style.opacity)) : 1;
+    const width = isFinite(style.width) && style.width > 0 ? style.width : null;
+    if (!color && opacity === 1 && width === null) return null;
+    return { color, opacity, width };
+  }
+
+  /**
+   * Rod id and kind of a trace key (see TRACE_KEY), null for keys of other shapes
+   */
+  static parseKey(key) {
+    const match = TRACE_KEY.exec(key);
+    if (!match) return null;
+    return {
+      clonePrefix: match[1] || '',
+      kind: match[2] || '',
+      rodId: Number(match[3]),
+      suffix: match[4] || ''
+    };
   }
 
   setTraceColor(color) {
@@ -56,6 +335,14 @@ export class TraceSystem {
   }
 
   setFading(enabled) {
+    if (enabled && !this.fadingEnabled && !this.layer.isEmpty()) {
+      // Baked ink has no ages, so the whole layer fades out over one lifespan (see draw)
+      this.layerFadeStart = this.step;
+    } else if (!enabled && this.layerFadeStart !== null) {
+      // Half-faded ink can't go back to full strength with the new ink baked over it
+      this.layer.clear();
+      this.layerFadeStart = null;
+    }
     this.fadingEnabled = enabled;
   }
 
@@ -87,17 +374,47 @@ export class TraceSystem {
     return this.rodsWidth;
   }
 
-  updateFadeLifespan(framesPerRound) {
-    this.fadeLifespan = framesPerRound;
+  /**
+   * Traces are aged once per simulation step
+   * @param {number} stepsPerRound - Simulation steps in one crank revolution
+   */
+  updateFadeLifespan(stepsPerRound) {
+    this.fadeLifespan = stepsPerRound;
+    this.maxTracePointsNoFade = stepsPerRound * 10;
   }
 
-  addTracePoint(rodId, position) {
+  /**
+   * Points also carry the pen speed (distance per second: one step's movement at the simulation
+   * rate, so a speed profile that speeds the crank up shows) and the path curvature (1 / radius)
+   * there, for the heatmaps
+   * @param {number} angle - Crank angle at this point (for the colour modes that step per revolution)
+   */
+  addTracePoint(rodId, position, angle = 0) {
     if (!this.tracePaths[rodId]) {
-      this.tracePaths[rodId] = [];
+      this.tracePaths[rodId] = new TraceBuffer(POINT_STRIDE);
     }
 
     const path = this.tracePaths[rodId];
-    path.push({ pos: position.copy(), age: 0 });
+    const last = path.length - 1;
+    let speed = 0;
+    let curvature = 0;
+    if (last >= 0) {
+      const previousX = path.get(last, X);
+      const previousY = path.get(last, Y);
+      speed = Math.hypot(position.x - previousX, position.y - previousY) * this.stepsPerSecond;
+      const bend = last >= 1
+        ? curvatureThrough(path.get(last - 1, X), path.get(last - 1, Y), previousX, previousY, position.x, position.y)
+        : null;
+      curvature = bend !== null ? bend : path.get(last, METRIC_FIELDS.curvature);
+    }
+
+    const offset = path.push(this.step, angle);
+    path.data[offset + X] = position.x;
+    path.data[offset + Y] = position.y;
+    path.data[offset + METRIC_FIELDS.speed] = speed;
+    path.data[offset + METRIC_FIELDS.curvature] = curvature;
+    path.data[offset + HUE] = this.hueShift;
+    path.data[offset + WIDTH] = this.traceWidth;
   }
 
   getLastPoint(rodId) {
@@ -105,155 +422,413 @@ export class TraceSystem {
     if (!path || path.length === 0) {
       return null;
     }
-    return path[path.length - 1];
+    const last = path.length - 1;
+    return {
+      pos: new Vector(path.get(last, X), path.get(last, Y)),
+      age: this.getAge(path, last),
+      angle: path.getAngle(last),
+      speed: path.get(last, METRIC_FIELDS.speed),
+      curvature: path.get(last, METRIC_FIELDS.curvature)
+    };
   }
 
-  addFullRodTrace(rodId, startPos, endPos) {
+  /**
+   * Floats of the x, y pairs along the rod in a full-rod trace entry; the hue shift it was
+   * recorded with follows them
+   */
+  getFrameCoordCount() {
+    return (this.fullRodTraceSegments + 1) * 2;
+  }
+
+  addFullRodTrace(rodId, startPos, endPos, angle = 0) {
     if (!this.fullRodTracePaths[rodId]) {
-      this.fullRodTracePaths[rodId] = [];
+      this.fullRodTracePaths[rodId] = new TraceBuffer(this.getFrameCoordCount() + 1, 64);
     }
-    
+
     const path = this.fullRodTracePaths[rodId];
-    const tracePoints = [];
-    
+    const offset = path.push(this.step, angle);
+    path.data[offset + this.getFrameCoordCount()] = this.hueShift;
+
     // Create multiple points along the rod length
     for (let i = 0; i <= this.fullRodTraceSegments; i++) {
       const t = i / this.fullRodTraceSegments;
-      const x = startPos.x + (endPos.x - startPos.x) * t;
-      const y = startPos.y + (endPos.y - startPos.y) * t;
-      tracePoints.push(new Vector(x, y));
+      path.data[offset + i * 2] = startPos.x + (endPos.x - startPos.x) * t;
+      path.data[offset + i * 2 + 1] = startPos.y + (endPos.y - startPos.y) * t;
     }
-    
-    path.push({ points: tracePoints, age: 0 });
+  }
+
+  /**
+   * Simulation steps since entry i of a path was written (while fading is on)
+   */
+  getAge(path, i) {
+    return this.step - path.getStep(i);
   }
 
   update() {
     if (!this.fadingEnabled) {
+      // Many steps simulated at once (scrubbing, Draw Cycle) have no draws in between to bake
+      // older ink, so bake it here before a path reaches its limit
+      const isFull = Object.values(this.tracePaths).some(path => path.length >= this.maxTracePointsNoFade)
+        || Object.values(this.fullRodTracePaths).some(path => path.length >= this.maxRodTracesNoFade);
+      if (isFull) {
+        this.bakeHistory(this.bakeStyle.getRodStyle, this.getHeatRange());
+      }
+
       // When fading is disabled, enforce max trace limits to prevent infinite growth
+      // (baking keeps paths well below them, so this is only a safety net)
       for (const rodId in this.tracePaths) {
-        let path = this.tracePaths[rodId];
+        const path = this.tracePaths[rodId];
         if (path.length > this.maxTracePointsNoFade) {
           // Remove oldest points to stay under limit
-          path.splice(0, path.length - this.maxTracePointsNoFade);
+          path.dropOldest(path.length - this.maxTracePointsNoFade);
         }
       }
 
       for (const rodId in this.fullRodTracePaths) {
-        let path = this.fullRodTracePaths[rodId];
+        const path = this.fullRodTracePaths[rodId];
         if (path.length > this.maxRodTracesNoFade) {
           // Remove oldest frames to stay under limit
-          path.splice(0, path.length - this.maxRodTracesNoFade);
+          path.dropOldest(path.length - this.maxRodTracesNoFade);
         }
       }
       return;
     }
 
-    // Age trace points using original "flowing" logic
+    // Age everything at once (the clock stands still while fading is off, as ages did)
+    this.step++;
+
+    // Remove trace points older than the lifespan, all of them at the old end
     for (const rodId in this.tracePaths) {
-      let path = this.tracePaths[rodId];
+      const path = this.tracePaths[rodId];
+      let expired = 0;
+      while (expired < path.length && this.getAge(path, expired) > this.fadeLifespan) {
+        expired++;
+      }
+      path.dropOldest(expired);
+    }
+
+    // Remove completely faded rod traces (age >= fadeLifespan)
+    for (const rodId in this.fullRodTracePaths) {
+      const path = this.fullRodTracePaths[rodId];
+      let expired = 0;
+      while (expired < path.length && this.getAge(path, expired) >= this.fadeLifespan) {
+        expired++;
+      }
+      path.dropOldest(expired);
+    }
+  }
+
+  /**
+   * Colour, opacity and stroke width of one path: the rod's own style over the design's
+   * @param {Function|null} getRodStyle - (rodId, isFullRod) => style or null
+   * @returns {{color: number[], baseColor: number[], opacity: number, weight: number,
+   *   isDesignColor: boolean, isOwnWidth: boolean}}
+   *   color: with the current hue shift; baseColor: without, for entries that recorded their own
+   *   isDesignColor: the base colour is the design's, not a rod colour
+   *   isOwnWidth: the rod has a width of its own, so recorded trace widths don't apply
+   */
+  getPathStyle(key, isFullRod, getRodStyle) {
+    const parsed = getRodStyle ? TraceSystem.parseKey(key) : null;
+    const style = parsed ? getRodStyle(parsed.rodId, isFullRod) : null;
+    let color = isFullRod ? this.fullRodTraceColor : this.traceColor;
+    if (style && style.color) {
+      color = [style.color.r, style.color.g, style.color.b];
+    }
+    const width = style && style.width ? style.width : (isFullRod ? this.rodsWidth : this.traceWidth);
+    return {
+      color: this.shiftHue(color),
+      baseColor: color,
+      opacity: style ? style.opacity : 1,
+      weight: isFullRod ? width : width * this.jointSizeMultiplier,
+      isDesignColor: !(style && style.color),
+      isOwnWidth: Boolean(style && style.width)
+    };
+  }
+
+  getFrameHue(path, frameIdx) {
+    return path.data[path.offset(frameIdx) + this.getFrameCoordCount()];
+  }
+
+  /**
+   * Colour of a full-rod trace frame under the colour mode and its recorded hue shift, or of one
+   * of its segments for the 'outward' gradient
+   * @param {number[]} baseColor - Path colour before the hue shift
+   */
+  getFrameColor(path, frameIdx, baseColor, segment = null) {
+    const angle = path.getAngle(frameIdx);
+    const hueShift = this.getFrameHue(path, frameIdx);
+    const color = this.shiftHue(baseColor, hueShift);
+    if (segment !== null) {
+      return this.shade(color, (segment + 0.5) / this.fullRodTraceSegments, angle, hueShift);
+    }
+    if (this.colorMode === 'solid') return color;
+    const age = path.length > 1 ? (path.length - 1 - frameIdx) / (path.length - 1) : 0;
+    return this.shade(color, age, angle, hueShift);
+  }
+
+  /**
+   * How each point of a point trace is drawn: colour (colour mode, recorded hue shift or
+   * heatmap), width (recorded trace width and heatmap) and calligraphy ink, as functions of the
+   * point index
+   * @param {Object} pathStyle - See getPathStyle
+   */
+  getPointStyler(path, pathStyle, heatRange) {
+    const { baseColor, weight, isOwnWidth } = pathStyle;
+    // 'outward' runs from the joint along its rod, so point traces keep the trace colour
+    const isShaded = this.colorMode !== 'solid' && this.colorMode !== 'outward';
+
+    // Hue shifts and widths automation recorded along the path
+    let isHueShifted = false;
+    let isHueVarying = false;
+    let isWidthVarying = false;
+    for (let i = 0; i < path.length; i++) {
+      isHueShifted = isHueShifted || path.get(i, HUE) !== 0;
+      isHueVarying = isHueVarying || path.get(i, HUE) !== path.get(0, HUE);
+      isWidthVarying = isWidthVarying || (!isOwnWidth && path.get(i, WIDTH) !== path.get(0, WIDTH));
+    }
+    const hueAt = (index) => path.get(index, HUE);
+    const widthAt = (index) => isOwnWidth ? weight : path.get(index, WIDTH) * this.jointSizeMultiplier;
+
+    // Gradient position of each point for the age gradient
+    const gradientAt = (index) => (path.length - 1 - index) / (path.length - 1);
+    let colorAt = (index) => {
+      const color = this.shiftHue(baseColor, hueAt(index));
+      return isShaded ? this.shade(color, gradientAt(index), path.getAngle(index), hueAt(index)) : color;
+    };
 
-      // Original logic: iterate backwards, age each point, and remove chunks when finding old point
-      for (let i = path.length - 1; i >= 0; i--) {
-        path[i].age++;
-        if (path[i].age > this.fadeLifespan) {
-          path.splice(0, i + 1); // Remove from start to current position
+    // Heatmap position of each point, which can take over the colour or set the width
+    let heatAt = () => 0;
+    if (heatRange) {
+      const span = heatRange.max - heatRange.min;
+      const field = METRIC_FIELDS[heatRange.metric];
+      heatAt = (index) => span > 0 ? Math.max(0, Math.min(1, (path.get(index, field) - heatRange.min) / span)) : 0.5;
+    }
+    if (heatRange && this.heatMode === 'color') {
+      colorAt = (index) => TraceSystem.sampleColormap(this.colormap, heatAt(index));
+    }
+    const isWeighted = Boolean(heatRange) && this.heatMode !== 'color';
+
+    return {
+      colorAt,
+      heatAt,
+      // Fast strokes of a calligraphy pen are also lighter
+      inkAt: (index) => this.heatMode === 'calligraphy' && heatRange ? 1 - 0.6 * heatAt(index) : 1,
+      widthAt,
+      weightAt: (index) => isWeighted ? widthAt(index) * this.getHeatWidth(heatAt(index)) : widthAt(index),
+      isBanded: isShaded || isHueVarying || Boolean(heatRange && this.heatMode === 'color'),
+      isHueShifted,
+      isWeighted,
+      isWidthVarying
+    };
+  }
+
+  /**
+   * Alpha of entry i of a path, fading out over the lifespan
+   */
+  getAlpha(path, i) {
+    return this.fadingEnabled ? MathUtils.map(this.getAge(path, i), 0, this.fadeLifespan, 255, 0) : 255;
+  }
+
+  /**
+   * End of the band of a point trace that starts at index i: the first point whose alpha,
+   * colour or width is too far from the start to share its stroke
+   */
+  findBandEnd(path, i, styler) {
+    const currentAlpha = this.getAlpha(path, i);
+    const bandColor = styler.colorAt(i);
+    const bandHeat = styler.heatAt(i);
+    const bandWidth = styler.widthAt(i);
+
+    // Continue adding points while alpha is similar (within 10 units)
+    let j = i + 1;
+    while (j < path.length) {
+      // If alpha difference is too large, stop this segment (skip check when fading is disabled)
+      if (this.fadingEnabled && Math.abs(this.getAlpha(path, j) - currentAlpha) > 10) {
+        break;
+      }
+
+      // Same for the colour under a colour mode or heatmap, and for a heatmap's width
+      if (styler.isWeighted && Math.abs(styler.heatAt(j) - bandHeat) > 0.04) {
+        break;
+      }
+      if (styler.isWidthVarying && Math.abs(styler.widthAt(j) - bandWidth) > 0.04 * bandWidth) {
+        break;
+      }
+      if (styler.isBanded) {
+        const nextColor = styler.colorAt(j);
+        if (Math.abs(nextColor[0] - bandColor[0]) + Math.abs(nextColor[1] - bandColor[1]) + Math.abs(nextColor[2] - bandColor[2]) > 24) {
           break;
         }
       }
+      j++;
     }
+    return j;
+  }
 
-    // Age all full-rod trace points and remove completely faded ones
-    for (const rodId in this.fullRodTracePaths) {
-      let path = this.fullRodTracePaths[rodId];
-
-      // Age all rod traces
-      for (let i = 0; i < path.length; i++) {
-        path[i].age++;
+  /**
+   * With fading off, bake all but the newest points and rod trace frames of each path into the
+   * accumulation layer, in chunks, so the vectors drawn each frame stay few
+   */
+  bakeHistory(getRodStyle, heatRange) {
+    // Stay well inside the safety limits of update()
+    const livePoints = Math.min(LIVE_POINTS, Math.floor(this.maxTracePointsNoFade / 4));
+    const liveFrames = Math.min(LIVE_FRAMES, Math.floor(this.maxRodTracesNoFade / 4));
+
+    for (const key in this.tracePaths) {
+      const path = this.tracePaths[key];
+      if (path.length < livePoints * 1.5 + 2) continue;
+
+      const pathStyle = this.getPathStyle(key, false, getRodStyle);
+      const { opacity, isDesignColor } = pathStyle;
+      const styler = this.getPointStyler(path, pathStyle, heatRange);
+      const followsDesign = isDesignColor && !styler.isBanded && !styler.isHueShifted;
+      const end = path.length - livePoints;
+
+      // The same bands as drawn live; the point at `end` stays, so baked and live ink join
+      let i = 0;
+      while (i < end) {
+        const last = Math.min(Math.max(i + 1, this.findBandEnd(path, i, styler) - 1), end);
+        this.layer.add({
+          key,
+          coords: path.copyPairs(i, last, X),
+          color: followsDesign ? null : styler.colorAt(i),
+          design: 'trace',
+          alpha: 255 * opacity * styler.inkAt(i),
+          weight: styler.weightAt(i)
+        });
+        i = last;
       }
+      path.dropOldest(end);
+    }
 
-      // Remove completely faded rod traces (age >= fadeLifespan)
-      while (path.length > 0 && path[0].age >= this.fadeLifespan) {
-        path.shift();
+    for (const key in this.fullRodTracePaths) {
+      const path = this.fullRodTracePaths[key];
+      if (path.length < liveFrames * 1.5 + 1) continue;
+
+      const { baseColor: fullRodTraceColor, opacity, weight, isDesignColor } = this.getPathStyle(key, true, getRodStyle);
+      const end = path.length - liveFrames;
+      for (let frameIdx = 0; frameIdx < end; frameIdx++) {
+        const offset = path.offset(frameIdx);
+        if (this.colorMode === 'outward') {
+          for (let i = 0; i < this.fullRodTraceSegments; i++) {
+            const color = this.getFrameColor(path, frameIdx, fullRodTraceColor, i);
+            const coords = path.data.subarray(offset + i * 2, offset + i * 2 + 4);
+            this.layer.add({ key, coords, color, design: 'fullRod', alpha: 255 * opacity, weight });
+          }
+          continue;
+        }
+        const followsDesign = isDesignColor && this.colorMode === 'solid' && this.getFrameHue(path, frameIdx) === 0;
+        const color = followsDesign ? null : this.getFrameColor(path, frameIdx, fullRodTraceColor);
+        const coords = path.data.subarray(offset, offset + this.getFrameCoordCount());
+        this.layer.add({ key, coords, color, design: 'fullRod', alpha: 255 * opacity, weight });
       }
+      path.dropOldest(end);
     }
   }
 
-  draw(p, cameraZoom) {
+  /**
+   * @param {Camera} camera - For the accumulation layer, which renders at the camera's zoom
+   * @param {Function|null} getRodStyle - Per-rod styles, (rodId, isFullRod) => style or null
+   */
+  draw(p, camera, getRodStyle = null) {
     p.noFill();
+    const heatRange = this.getHeatRange();
+    this.heatRange = heatRange;
+    this.bakeStyle = { getRodStyle };
+
+    // Older ink comes from the accumulation layer (bottom layer)
+    if (!this.fadingEnabled) {
+      this.bakeHistory(getRodStyle, heatRange);
+    }
+    let layerAlpha = 255;
+    if (this.layerFadeStart !== null) {
+      layerAlpha = Math.min(255, MathUtils.map(this.step - this.layerFadeStart, 0, this.fadeLifespan, 255, 0));
+      if (layerAlpha <= 0) {
+        this.layer.clear();
+        this.layerFadeStart = null;
+      }
+    }
+    this.layer.draw(p, camera, { trace: this.traceColor, fullRod: this.fullRodTraceColor }, layerAlpha);
 
-    // Draw full-rod traces first (bottom layer)
-    p.strokeWeight(this.rodsWidth);
+    // Draw full-rod traces next
     for (const rodId in this.fullRodTracePaths) {
-      let path = this.fullRodTracePaths[rodId];
+      const path = this.fullRodTracePaths[rodId];
 
       if (path.length === 0) continue;
 
+      const { baseColor: fullRodTraceColor, opacity, weight } = this.getPathStyle(rodId, true, getRodStyle);
+      const data = path.data;
+      p.strokeWeight(weight);
+
       // Use beginShape for better performance
       for (let frameIdx = 0; frameIdx < path.length; frameIdx++) {
-        let frame = path[frameIdx];
-        let alpha = this.fadingEnabled ? MathUtils.map(frame.age, 0, this.fadeLifespan, 255, 0) : 255;
+        const alpha = this.getAlpha(path, frameIdx) * opacity;
         if (alpha <= 0) continue;
+        const offset = path.offset(frameIdx);
+
+        // The outward gradient runs along the rod, segment by segment
+        if (this.colorMode === 'outward') {
+          for (let i = 0; i < this.fullRodTraceSegments; i++) {
+            const color = this.getFrameColor(path, frameIdx, fullRodTraceColor, i);
+            const start = offset + i * 2;
+            p.stroke(color[0], color[1], color[2], alpha);
+            p.line(data[start], data[start + 1], data[start + 2], data[start + 3]);
+          }
+          continue;
+        }
 
-        p.stroke(this.fullRodTraceColor[0], this.fullRodTraceColor[1], this.fullRodTraceColor[2], alpha);
+        const color = this.getFrameColor(path, frameIdx, fullRodTraceColor);
+        p.stroke(color[0], color[1], color[2], alpha);
         p.beginShape();
-        for (let i = 0; i < frame.points.length; i++) {
-          p.vertex(frame.points[i].x, frame.points[i].y);
+        for (let i = 0; i <= this.fullRodTraceSegments; i++) {
+          p.vertex(data[offset + i * 2], data[offset + i * 2 + 1]);
         }
         p.endShape();
       }
     }
 
     // Draw joint point traces on top with smooth curves and flowing bands
-    p.strokeWeight(this.traceWidth * this.jointSizeMultiplier);
     for (const rodId in this.tracePaths) {
-      let path = this.tracePaths[rodId];
+      const path = this.tracePaths[rodId];
 
       if (path.length < 2) continue;
 
-      // Draw smooth curves with batched alpha changes for flow effect
+      const pathStyle = this.getPathStyle(rodId, false, getRodStyle);
+      const { opacity } = pathStyle;
+      const styler = this.getPointStyler(path, pathStyle, heatRange);
+
+      // Draw smooth curves with batched alpha and colour changes for flow effect
       let i = 0;
       while (i < path.length - 1) {
         // Calculate alpha for current point
-        let currentAlpha = this.fadingEnabled ? MathUtils.map(path[i].age, 0, this.fadeLifespan, 255, 0) : 255;
+        const currentAlpha = this.getAlpha(path, i);
         if (currentAlpha <= 0) {
           i++;
           continue;
         }
 
         // Set stroke for this band
-        p.stroke(this.traceColor[0], this.traceColor[1], this.traceColor[2], currentAlpha);
+        const bandColor = styler.colorAt(i);
+        p.stroke(bandColor[0], bandColor[1], bandColor[2], currentAlpha * opacity * styler.inkAt(i));
+        p.strokeWeight(styler.weightAt(i));
 
         // Start a curve segment
         p.beginShape();
         p.noFill();
 
         // Add first control point (before current)
-        let p0 = (i > 0) ? path[i - 1] : path[i];
-        p.curveVertex(p0.pos.x, p0.pos.y);
-
-        // Add current point
-        p.curveVertex(path[i].pos.x, path[i].pos.y);
+        const first = i > 0 ? i - 1 : i;
+        p.curveVertex(path.get(first, X), path.get(first, Y));
 
-        // Continue adding points while alpha is similar (within 10 units)
-        let j = i + 1;
-        while (j < path.length) {
-          let nextAlpha = this.fadingEnabled ? MathUtils.map(path[j].age, 0, this.fadeLifespan, 255, 0) : 255;
-
-          // If alpha difference is too large, stop this segment (skip check when fading is disabled)
-          if (this.fadingEnabled && Math.abs(nextAlpha - currentAlpha) > 10) {
-            break;
-          }
-
-          p.curveVertex(path[j].pos.x, path[j].pos.y);
-          j++;
+        // Add current point, then the rest of the band
+        const j = this.findBandEnd(path, i, styler);
+        for (let k = i; k < j; k++) {
+          p.curveVertex(path.get(k, X), path.get(k, Y));
         }
 
         // Add final control point (after last point)
-        if (j < path.length) {
-          p.curveVertex(path[j].pos.x, path[j].pos.y);
-        } else if (j - 1 < path.length) {
-          p.curveVertex(path[j - 1].pos.x, path[j - 1].pos.y);
-        }
+        const last = Math.min(j, path.length - 1);
+        p.curveVertex(path.get(last, X), path.get(last, Y));
 
         p.endShape();
 
@@ -263,58 +838,120 @@ export class TraceSystem {
     }
   }
 
+  /**
+   * Undo the newest steps (the crank stepped back): drop their trace points and the full-rod
+   * sweeps of their frames. Baked ink stays, as it is the drawing so far
+   */
+  rewind(stepCount, frameCount) {
+    for (const rodId in this.tracePaths) {
+      this.tracePaths[rodId].dropNewest(stepCount);
+    }
+    for (const rodId in this.fullRodTracePaths) {
+      this.fullRodTracePaths[rodId].dropNewest(frameCount);
+    }
+    if (this.fadingEnabled) {
+      // Turn the aging clock back too, so what's left is as old as before those steps
+      this.step -= stepCount;
+    }
+  }
+
   clearTrace(rodId = null) {
     if (rodId !== null) {
       delete this.tracePaths[rodId];
       delete this.fullRodTracePaths[rodId];
+      this.layer.removeWhere(key => key === String(rodId));
     } else {
       this.tracePaths = {};
       this.fullRodTracePaths = {};
+      this.layer.clear();
     }
   }
 
   clearAllTraces() {
     this.tracePaths = {};
     this.fullRodTracePaths = {};
+    this.layer.clear();
+  }
+
+  /**
+   * Drop the paths whose keys start with a prefix (e.g. one symmetry clone's)
+   */
+  clearTracesWithPrefix(prefix) {
+    [this.tracePaths, this.fullRodTracePaths].forEach(paths => {
+      Object.keys(paths).forEach(key => {
+        if (key.startsWith(prefix)) {
+          delete paths[key];
+        }
+      });
+    });
+    this.layer.removeWhere(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Move paths to new rod ids after rods were inserted, deleted or reordered (keys as in TRACE_KEY)
+   * @param {Map<number, number>} idMap - Old rod id to new rod id (paths of rods not in it are dropped)
+   */
+  renumberTraces(idMap) {
+    const renumberKey = (key) => {
+      const parsed = TraceSystem.parseKey(key);
+      if (!parsed || !idMap.has(parsed.rodId)) return null;
+      return `${parsed.clonePrefix}${parsed.kind}${idMap.get(parsed.rodId)}${parsed.suffix}`;
+    };
+    const renumber = (paths) => {
+      const renumbered = {};
+      for (const key in paths) {
+        const newKey = renumberKey(key);
+        if (newKey === null) continue;
+        renumbered[newKey] = paths[key];
+      }
+      return renumbered;
+    };
+    this.tracePaths = renumber(this.tracePaths);
+    this.fullRodTracePaths = renumber(this.fullRodTracePaths);
+    this.layer.renameKeys(renumberKey);
   }
 
   calculateBounds() {
-    const points = [];
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    const include = (x, y) => {
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    };
 
-    // Collect all point trace positions
+    // All point trace positions
     for (const rodId in this.tracePaths) {
       const path = this.tracePaths[rodId];
-      path.forEach(tracePoint => {
-        points.push(tracePoint.pos);
-      });
+      for (let i = 0; i < path.length; i++) {
+        include(path.get(i, X), path.get(i, Y));
+      }
     }
 
-    // Collect all full rod trace positions
+    // All full rod trace positions
     for (const rodId in this.fullRodTracePaths) {
       const path = this.fullRodTracePaths[rodId];
-      path.forEach(frame => {
-        frame.points.forEach(point => {
-          points.push(point);
-        });
-      });
+      for (let i = 0; i < path.length; i++) {
+        const offset = path.offset(i);
+        for (let k = 0; k < this.getFrameCoordCount(); k += 2) {
+          include(path.data[offset + k], path.data[offset + k + 1]);
+        }
+      }
     }
 
-    if (points.length === 0) {
-      return null; // No traces yet
+    // And the corners of the baked ink
+    const baked = this.layer.getBounds();
+    if (baked) {
+      include(baked.minX, baked.minY);
+      include(baked.maxX, baked.maxY);
     }
 
-    // Find min/max coordinates
-    let minX = points[0].x;
-    let maxX = points[0].x;
-    let minY = points[0].y;
-    let maxY = points[0].y;
-
-    points.forEach(point => {
-      minX = Math.min(minX, point.x);
-      maxX = Math.max(maxX, point.x);
-      minY = Math.min(minY, point.y);
-      maxY = Math.max(maxY, point.y);
-    });
+    if (minX === Infinity) {
+      return null; // No traces yet
+    }
 
     // Add padding for stroke width
     const padding = 10; // Half of stroke weight
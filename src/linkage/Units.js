@@ -0,0 +1,93 @@
+// Millimetres per display unit ('px' shows canvas pixels as they are)
+const UNITS = {
+  px: { label: 'px', mm: null, digits: 0 },
+  mm: { label: 'mm', mm: 1, digits: 1 },
+  cm: { label: 'cm', mm: 10, digits: 2 },
+  in: { label: 'in', mm: 25.4, digits: 3 }
+};
+
+/**
+ * Document units for building physical machines: canvas pixels map to real lengths through a
+ * scale factor (millimetres per pixel), shown in mm, cm or inches. An optional stock size rounds
+ * rod lengths to whole multiples of it
+ */
+export class Units {
+  constructor() {
+    this.unit = 'px'; // 'px' | 'mm' | 'cm' | 'in'
+    this.mmPerPixel = 0.5; // Scale factor: real millimetres for one canvas pixel
+    this.snap = 0; // Round rod lengths to multiples of this many millimetres (0 = off)
+  }
+
+  static getUnitOptions() {
+    return Object.keys(UNITS).map(unit => ({ value: unit, label: UNITS[unit].label }));
+  }
+
+  isActive() {
+    return this.unit !== 'px';
+  }
+
+  getLabel() {
+    return UNITS[this.unit].label;
+  }
+
+  /**
+   * Canvas pixels in the display unit
+   */
+  toUnits(pixels) {
+    if (!this.isActive()) return pixels;
+    return pixels * this.mmPerPixel / UNITS[this.unit].mm;
+  }
+
+  /**
+   * Display units back to canvas pixels
+   */
+  fromUnits(value) {
+    if (!this.isActive()) return value;
+    return value * UNITS[this.unit].mm / this.mmPerPixel;
+  }
+
+  /**
+   * A pixel length as text in the display unit, e.g. "42.5 mm"
+   */
+  format(pixels) {
+    const value = this.toUnits(pixels);
+    return `${Number(value.toFixed(UNITS[this.unit].digits))} ${this.getLabel()}`;
+  }
+
+  isSnapping() {
+    return this.isActive() && this.snap > 0;
+  }
+
+  /**
+   * Round a pixel length to the nearest whole stock size (never below one stock size)
+   */
+  snapLength(pixels) {
+    if (!this.isSnapping()) return pixels;
+    const mm = Math.max(this.snap, Math.round(pixels * this.mmPerPixel / this.snap) * this.snap);
+    return mm / this.mmPerPixel;
+  }
+
+  getSettings() {
+    return {
+      unit: this.unit,
+      mmPerPixel: this.mmPerPixel,
+      snap: this.snap
+    };
+  }
+
+  /**
+   * Apply (part of) a settings object; unknown or invalid fields are ignored
+   */
+  setSettings(settings) {
+    if (!settings) return;
+    if (UNITS[settings.unit]) {
+      this.unit = settings.unit;
+    }
+    if (isFinite(settings.mmPerPixel) && settings.mmPerPixel > 0) {
+      this.mmPerPixel = settings.mmPerPixel;
+    }
+    if (isFinite(settings.snap) && settings.snap >= 0) {
+      this.snap = settings.snap;
+    }
+  }
+}
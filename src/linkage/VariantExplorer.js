@@ -0,0 +1,142 @@
+import { KinematicsSampler } from './KinematicsSampler.js';
+import { Random } from '../utils/Random.js';
+
+const SAMPLES_PER_REVOLUTION = 180;
+const MAX_ATTEMPTS = 12; // Mutations tried per variant before settling for one that doesn't fully close
+const MIN_LENGTH = 5;
+
+/**
+ * Evolutionary design exploration: mutates a design into a generation of variants and breeds
+ * new generations from picked parents. All randomness comes from one seeded stream, so the same
+ * seed, design and picks give the same variants. Uses no p5 or DOM, so it also runs headless
+ */
+export class VariantExplorer {
+  constructor(seed = Random.randomSeed()) {
+    this.random = new Random(seed);
+    this.strength = 0.5; // 0-1: how far variants stray from their parents
+    this.generation = 0;
+    this.variants = [];
+  }
+
+  getSeed() {
+    return this.random.getSeed();
+  }
+
+  /**
+   * Start a new run from one design (restarts the random stream at the seed)
+   * @param {Object} state - State object (StateSerializer.exportState)
+   * @param {number} count - Variants per generation
+   */
+  start(state, count = 9, seed = this.getSeed()) {
+    this.random.setSeed(seed);
+    this.generation = 0;
+    return this.breed([state], count);
+  }
+
+  /**
+   * Next generation: every child mixes the parents (when they share a topology) and mutates
+   * @param {Object[]} parents - Parent states
+   * @returns {Array<{state: Object, sample: Object}>} Variants with their sampled paths
+   */
+  breed(parents, count = 9) {
+    this.generation++;
+    this.variants = [];
+    for (let i = 0; i < count; i++) {
+      let variant = null;
+      for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const state = this.mutate(this.crossover(parents));
+        const sample = this.sample(state);
+        variant = { state, sample };
+        if (sample && VariantExplorer.isViable(sample)) break;
+      }
+      this.variants.push(variant);
+    }
+    return this.variants;
+  }
+
+  /**
+   * Rods of same-topology parents are picked one by one from a random parent;
+   * otherwise a single parent is copied
+   */
+  crossover(parents) {
+    const random = this.random;
+    const first = random.pick(parents);
+    const child = JSON.parse(JSON.stringify(first));
+    const mates = parents.filter(parent => VariantExplorer.getTopology(parent) === VariantExplorer.getTopology(first));
+    if (mates.length < 2) return child;
+
+    child.anchor.crank.length = random.pick(mates).anchor.crank.length;
+    child.rods = child.rods.map((rodData, index) => JSON.parse(JSON.stringify(random.pick(mates).rods[index])));
+    return child;
+  }
+
+  /**
+   * Perturb lengths (log-normal), guide points and trace flags of a copy of the state
+   */
+  mutate(state) {
+    const random = this.random;
+    const strength = this.strength;
+    const child = JSON.parse(JSON.stringify(state));
+    const scaleLength = (length) => Math.max(MIN_LENGTH, length * Math.exp(random.gaussian(0, 0.25 * strength)));
+
+    child.anchor.crank.length = scaleLength(child.anchor.crank.length);
+    child.rods.forEach(rodData => {
+      rodData.length = scaleLength(rodData.length);
+      if (rodData.constraint === 'circle') {
+        rodData.pivotLength = scaleLength(rodData.pivotLength);
+      }
+      if (rodData.guidePoint) {
+        rodData.guidePoint.x += random.gaussian(0, 40 * strength);
+        rodData.guidePoint.y += random.gaussian(0, 40 * strength);
+      }
+      if (random.chance(0.15 * strength)) {
+        rodData.isTracing = !rodData.isTracing;
+      }
+    });
+
+    // Keep at least one traced joint so every variant draws something
+    const crank = child.anchor.crank;
+    if (!crank.isTracing && !child.rods.some(rodData => rodData.isTracing)) {
+      const last = child.rods[child.rods.length - 1] || crank;
+      last.isTracing = true;
+    }
+    return child;
+  }
+
+  /**
+   * Paths of the traced joints and coupler points over one cycle (null when the state can't run)
+   */
+  sample(state) {
+    try {
+      const result = new KinematicsSampler(state).sampleCycle({ samplesPerRevolution: SAMPLES_PER_REVOLUTION });
+      const traced = [state.anchor.crank, ...state.rods];
+      const paths = [];
+      traced.forEach((rodData, i) => {
+        if (rodData.isTracing) {
+          paths.push(result.joints[i]);
+        }
+        (rodData.couplerPoints || []).forEach((point, k) => {
+          if (point.isTracing) {
+            paths.push(result.couplerPoints[`${i}_${k}`]);
+          }
+        });
+      });
+      return { paths, unreachable: result.unreachable };
+    } catch (error) {
+      console.warn('Could not sample variant:', error);
+      return null;
+    }
+  }
+
+  static isViable(sample) {
+    return sample.unreachable.every(ids => ids.length === 0) &&
+      sample.paths.every(path => path.every(p => p && isFinite(p.x) && isFinite(p.y)));
+  }
+
+  /**
+   * Rods, parents and constraint types; lengths and positions may differ
+   */
+  static getTopology(state) {
+    return state.rods.map(rodData => `${rodData.id}:${rodData.parentId}:${rodData.anchor ? 'crank' : rodData.constraint || 'guide'}`).join('|');
+  }
+}
@@ -0,0 +1,15 @@
+import { sampleCycle } from './KinematicsSampler.js';
+
+/**
+ * Worker entry for KinematicsSampler
+ * Message in: { id, state, options }  Message out: { id, result } or { id, error }
+ * Create with: new Worker(new URL('./kinematics.worker.js', import.meta.url), { type: 'module' })
+ */
+self.onmessage = (event) => {
+  const { id, state, options } = event.data;
+  try {
+    self.postMessage({ id, result: sampleCycle(state, options) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,139 @@
+import { MenuSection } from './MenuSection.js';
+import { Automation } from '../linkage/Automation.js';
+
+// Starting amount for a new automation, in the property's own units
+const DEFAULT_AMOUNTS = {
+  speed: 0.05,
+  traceWidth: 2,
+  hue: 180
+};
+
+const SHAPES = [
+  { value: 'sine', label: 'Sine' },
+  { value: 'triangle', label: 'Triangle' },
+  { value: 'saw', label: 'Saw' },
+  { value: 'ramp', label: 'Ramp' }
+];
+
+/**
+ * Menu section for automations: LFOs and ramps on rod lengths, guide points, anchors,
+ * crank speed, trace width and hue
+ */
+export class AutomationPanel extends MenuSection {
+  constructor(onChange, renderer, mechanism, traceSystem) {
+    super('automationContainer', onChange, renderer, mechanism);
+    this.traceSystem = traceSystem;
+    this.draft = { target: null, shape: 'sine', amount: 20, period: 4 };
+  }
+
+  /**
+   * Rebuild the panel (after loading a state or switching dark mode)
+   */
+  refresh() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    this.container.appendChild(this.createTitle('Automation'));
+
+    const automation = this.mechanism.automation;
+    automation.automations.forEach(entry => {
+      this.container.appendChild(this.buildRow(entry));
+    });
+
+    const targets = automation.getTargets();
+    const targetKey = (target) => `${target.property}:${target.id}`;
+    if (!this.draft.target || !targets.some(target => targetKey(target) === this.draft.target)) {
+      this.draft.target = targetKey(targets[0]);
+    }
+
+    this.container.appendChild(this.createSelect({
+      label: 'Target',
+      value: this.draft.target,
+      options: targets.map(target => ({ value: targetKey(target), label: target.label })),
+      onChange: (value) => {
+        this.draft.target = value;
+        this.draft.amount = DEFAULT_AMOUNTS[value.split(':')[0]] || 20;
+        this.refresh();
+      }
+    }));
+
+    this.container.appendChild(this.createSelect({
+      label: 'Shape',
+      value: this.draft.shape,
+      options: SHAPES,
+      onChange: (shape) => {
+        this.draft.shape = shape;
+        this.refresh();
+      }
+    }));
+
+    this.container.appendChild(this.createTextInput({
+      label: this.draft.shape === 'ramp' ? 'Change' : 'Amount (±)',
+      value: String(this.draft.amount),
+      onCommit: (text) => {
+        const amount = Number(text);
+        if (text.trim() !== '' && isFinite(amount)) {
+          this.draft.amount = amount;
+        }
+        return String(this.draft.amount);
+      }
+    }));
+
+    this.container.appendChild(this.createTextInput({
+      label: 'Period (revolutions)',
+      value: String(this.draft.period),
+      onCommit: (text) => {
+        const period = Number(text);
+        if (isFinite(period) && period > 0) {
+          this.draft.period = period;
+        }
+        return String(this.draft.period);
+      }
+    }));
+
+    this.container.appendChild(this.createButton('Add Automation', () => {
+      const [property, id] = this.draft.target.split(':');
+      automation.add({
+        property,
+        id: id === 'null' ? null : Number(id),
+        shape: this.draft.shape,
+        amount: this.draft.amount,
+        period: this.draft.period
+      });
+      this.notifyChange();
+      this.refresh();
+    }));
+
+    if (automation.automations.length > 0 && this.traceSystem.getFading()) {
+      this.container.appendChild(this.createHint('Turn Fade Trace off to keep the whole evolving drawing'));
+    }
+  }
+
+  buildRow(entry) {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 4px;
+      font-size: 12px;
+    `;
+
+    const label = document.createElement('span');
+    const amount = Number(entry.amount.toFixed(3));
+    const change = entry.shape === 'ramp' ? `${amount >= 0 ? '+' : ''}${amount} over` : `±${amount} every`;
+    label.textContent = `${Automation.getPropertyLabel(entry.property, entry.id)}: ${entry.shape} ${change} ${entry.period} rev`;
+    label.style.cssText = `
+      flex: 1;
+      color: ${this.getTextColor()};
+    `;
+    row.appendChild(label);
+
+    row.appendChild(this.createButton('Remove', () => {
+      this.mechanism.automation.remove(entry);
+      this.notifyChange();
+      this.refresh();
+    }));
+    return row;
+  }
+}
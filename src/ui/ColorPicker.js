@@ -1,3 +1,13 @@
+import { TraceSystem } from '../linkage/TraceSystem.js';
+
+const COLOR_MODE_OPTIONS = [
+  { value: 'solid', label: 'Solid' },
+  { value: 'age', label: 'Age Gradient' },
+  { value: 'revolution', label: 'Hue per Revolution' },
+  { value: 'palette', label: 'Palette' },
+  { value: 'outward', label: 'Joint Outward (Rod Traces)' }
+];
+
 /**
  * Design panel component embedded in menu for selecting trace colors and widths
  */
@@ -11,6 +21,7 @@ export class ColorPicker {
     this.currentHSV = this.rgbToHSV(128, 0, 128); // Store HSV separately
     this.traceWidth = 4; // Default trace width
     this.rodsWidth = 4; // Default rods width
+    this.colorMode = { mode: 'solid', endColor: { r: 255, g: 200, b: 0 }, palette: 'rainbow' };
     this.sliders = {};
     this.initialize();
   }
@@ -91,6 +102,7 @@ export class ColorPicker {
     this.currentHSV = this.rgbToHSV(this.currentColor.r, this.currentColor.g, this.currentColor.b);
     this.traceWidth = this.traceSystem.getTraceWidth();
     this.rodsWidth = this.traceSystem.getRodsWidth();
+    this.colorMode = this.traceSystem.getColorMode();
 
     // Create HSV sliders
     this.createHSVSliders();
@@ -98,6 +110,9 @@ export class ColorPicker {
     // Update slider gradients immediately after creation
     this.updateSliderGradients();
 
+    // Colour mode below the colour it starts from
+    this.createColorModeControls();
+
     // Create width sliders
     this.createWidthSliders();
 
@@ -264,6 +279,154 @@ export class ColorPicker {
     });
   }
 
+  /**
+   * Colour mode select, with the gradient's end hue or the palette where the mode uses one
+   */
+  createColorModeControls() {
+    const createSelectRow = (label, options, onChange) => {
+      // Labels in the menu are recoloured with dark mode; the select follows its label
+      const row = document.createElement('label');
+      row.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        font-size: 12px;
+        color: ${this.renderer.getInverse() ? 'black' : 'white'};
+      `;
+
+      const labelText = document.createElement('span');
+      labelText.textContent = label;
+      labelText.style.cssText = `
+        font-weight: 500;
+      `;
+
+      const select = document.createElement('select');
+      select.style.cssText = `
+        width: 130px;
+        padding: 1px 2px;
+        font-size: 11px;
+        color: inherit;
+        background: transparent;
+        border: 1px solid currentColor;
+        outline: none;
+        cursor: pointer;
+      `;
+      options.forEach(option => {
+        const optionEl = document.createElement('option');
+        optionEl.value = option.value;
+        optionEl.textContent = option.label;
+        optionEl.style.color = 'black';
+        select.appendChild(optionEl);
+      });
+
+      select.onchange = (e) => {
+        e.stopPropagation();
+        onChange(select.value);
+      };
+      select.onmousedown = (e) => e.stopPropagation();
+      select.ontouchstart = (e) => e.stopPropagation();
+
+      row.appendChild(labelText);
+      row.appendChild(select);
+      this.hsvSlidersContainer.appendChild(row);
+      return { row, select };
+    };
+
+    const applyColorMode = (changes) => {
+      this.colorMode = { ...this.colorMode, ...changes };
+      this.syncColorModeControls();
+      if (this.onDesignChange) {
+        this.onDesignChange(this.getDesign());
+      }
+    };
+
+    this.sliders.colorMode = createSelectRow('Colour Mode', COLOR_MODE_OPTIONS, (mode) => applyColorMode({ mode }));
+    this.sliders.palette = createSelectRow(
+      'Palette',
+      TraceSystem.getPaletteNames().map(name => ({ value: name, label: name[0].toUpperCase() + name.slice(1) })),
+      (palette) => applyColorMode({ palette })
+    );
+
+    // End colour of the gradients: its hue, at least half as saturated and bright as full colour
+    const endGroup = document.createElement('div');
+    const endLabel = document.createElement('div');
+    endLabel.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      align-items: baseline;
+      margin-bottom: 4px;
+      font-size: 12px;
+      color: white;
+    `;
+    const endLabelText = document.createElement('span');
+    endLabelText.textContent = 'End Hue';
+    endLabelText.style.cssText = `
+      font-weight: 500;
+    `;
+    const endValueText = document.createElement('span');
+    endValueText.style.cssText = `
+      font-weight: 600;
+      color: white;
+      font-size: 11px;
+      font-family: monospace;
+    `;
+    endLabel.appendChild(endLabelText);
+    endLabel.appendChild(endValueText);
+
+    const endSlider = document.createElement('input');
+    endSlider.type = 'range';
+    endSlider.min = '0';
+    endSlider.max = '360';
+    endSlider.style.cssText = `
+      width: 100%;
+      height: 6px;
+      border-radius: 3px;
+      outline: none;
+      -webkit-appearance: none;
+      appearance: none;
+      background: ${this.sliders.h.gradient};
+      cursor: pointer;
+    `;
+    endSlider.oninput = (e) => {
+      e.stopPropagation();
+      const hue = parseInt(endSlider.value);
+      applyColorMode({ endColor: this.hsvToRGB(hue, Math.max(this.currentHSV.s, 50), Math.max(this.currentHSV.v, 50)) });
+    };
+    endSlider.onmousedown = (e) => e.stopPropagation();
+    endSlider.onmousemove = (e) => e.stopPropagation();
+    endSlider.onmouseup = (e) => e.stopPropagation();
+    endSlider.ontouchstart = (e) => e.stopPropagation();
+    endSlider.ontouchmove = (e) => e.stopPropagation();
+    endSlider.ontouchend = (e) => e.stopPropagation();
+
+    endGroup.appendChild(endLabel);
+    endGroup.appendChild(endSlider);
+    this.hsvSlidersContainer.appendChild(endGroup);
+    this.sliders.endHue = { row: endGroup, slider: endSlider, valueText: endValueText };
+
+    this.syncColorModeControls();
+  }
+
+  /**
+   * Show the colour mode settings and only the controls its mode uses
+   */
+  syncColorModeControls() {
+    const { mode, endColor, palette } = this.colorMode;
+    if (this.sliders.colorMode) {
+      this.sliders.colorMode.select.value = mode;
+    }
+    if (this.sliders.palette) {
+      this.sliders.palette.select.value = palette;
+      this.sliders.palette.row.style.display = mode === 'palette' ? 'flex' : 'none';
+    }
+    if (this.sliders.endHue) {
+      const hue = this.rgbToHSV(endColor.r, endColor.g, endColor.b).h;
+      this.sliders.endHue.slider.value = hue;
+      this.sliders.endHue.valueText.textContent = hue + '°';
+      this.sliders.endHue.row.style.display = mode === 'age' || mode === 'outward' ? 'block' : 'none';
+    }
+  }
+
   createWidthSliders() {
     const widthConfigs = [
       { name: 'traceWidth', label: 'Trace Width', value: this.traceWidth },
@@ -475,6 +638,15 @@ export class ColorPicker {
       }
     }
 
+    if (design.colorMode) {
+      this.colorMode = {
+        mode: design.colorMode.mode,
+        endColor: { ...design.colorMode.endColor },
+        palette: design.colorMode.palette
+      };
+      this.syncColorModeControls();
+    }
+
     if (design.fadingEnabled !== undefined && this.sliders.fade) {
       this.sliders.fade.checkbox.checked = design.fadingEnabled;
     }
@@ -495,6 +667,7 @@ export class ColorPicker {
       color: { ...this.currentColor },
       traceWidth: this.traceWidth,
       rodsWidth: this.rodsWidth,
+      colorMode: { ...this.colorMode, endColor: { ...this.colorMode.endColor } },
       fadingEnabled: this.sliders.fade ? this.sliders.fade.checkbox.checked : true
     };
   }
@@ -0,0 +1,113 @@
+import { MenuSection } from './MenuSection.js';
+
+/**
+ * Menu section listing mechanism issues found by MechanismDiagnostics
+ * Clicking an issue selects its rod; issues can pause the mechanism as they appear
+ */
+export class DiagnosticsPanel extends MenuSection {
+  constructor(onSelectRod, renderer, mechanism, diagnostics) {
+    super('diagnosticsContainer', null, renderer, mechanism);
+    this.onSelectRod = onSelectRod;
+    this.diagnostics = diagnostics;
+    this.issueList = null;
+    this.listedKeys = null;
+  }
+
+  /**
+   * Rebuild the panel (after loading a state or switching dark mode)
+   */
+  refresh() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    this.container.appendChild(this.createTitle('Diagnostics'));
+
+    this.container.appendChild(this.createSelect({
+      label: 'Pause on Issue',
+      value: this.diagnostics.autoPause ? 'on' : 'off',
+      options: [
+        { value: 'off', label: 'Off' },
+        { value: 'on', label: 'On' }
+      ],
+      onChange: (value) => {
+        this.diagnostics.autoPause = value === 'on';
+      }
+    }));
+
+    this.issueList = document.createElement('div');
+    this.issueList.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+    `;
+    this.container.appendChild(this.issueList);
+    this.listedKeys = null;
+    this.sync();
+  }
+
+  /**
+   * Update the issue list when it changed (called every frame)
+   */
+  sync() {
+    if (!this.issueList) return;
+
+    const issues = this.diagnostics.issues;
+    const keys = issues.map(issue => issue.key).join('|');
+    if (keys === this.listedKeys) return;
+    this.listedKeys = keys;
+
+    this.issueList.innerHTML = '';
+    if (issues.length === 0) {
+      this.issueList.appendChild(this.createHint('No issues'));
+      return;
+    }
+
+    issues.forEach(issue => {
+      this.issueList.appendChild(this.createIssueRow(issue));
+    });
+
+    // Load repairs stay listed until dismissed
+    if (this.mechanism.stateRepairs.length > 0) {
+      this.issueList.appendChild(this.createButton('Dismiss Fixes', () => {
+        this.mechanism.stateRepairs = [];
+        this.diagnostics.check();
+        this.sync();
+      }));
+    }
+  }
+
+  createIssueRow(issue) {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      font-size: 11px;
+      color: ${this.getTextColor()};
+      cursor: ${issue.rodId !== null ? 'pointer' : 'default'};
+    `;
+
+    const dot = document.createElement('span');
+    dot.style.cssText = `
+      flex: none;
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      background: ${issue.severity === 'error' ? 'rgb(220, 40, 40)' : 'rgb(230, 140, 0)'};
+    `;
+    row.appendChild(dot);
+
+    const text = document.createElement('span');
+    text.textContent = issue.message;
+    row.appendChild(text);
+
+    if (issue.rodId !== null) {
+      row.onclick = (e) => {
+        e.stopPropagation();
+        this.onSelectRod(issue.rodId);
+      };
+    }
+    this.stopPointerPropagation(row);
+    return row;
+  }
+}
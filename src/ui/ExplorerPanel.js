@@ -0,0 +1,219 @@
+import { MenuSection } from './MenuSection.js';
+import { VariantExplorer } from '../linkage/VariantExplorer.js';
+import { Random } from '../utils/Random.js';
+
+const THUMBNAIL_SIZE = 100; // Same size as saved-state thumbnails
+const VARIANT_COUNT = 9;
+
+/**
+ * Menu section for exploring mutated variants of the current design in a grid of trace thumbnails
+ * Click thumbnails to pick parents, breed the next generation, load or save a pick
+ */
+export class ExplorerPanel extends MenuSection {
+  constructor(onLoad, onSave, renderer, mechanism, stateSerializer) {
+    super('explorerContainer', null, renderer, mechanism);
+    this.onLoad = onLoad;
+    this.onSave = onSave;
+    this.stateSerializer = stateSerializer;
+    this.explorer = new VariantExplorer();
+    this.selected = new Set();
+    this.thumbnails = [];
+  }
+
+  /**
+   * Rebuild the panel (after loading a state or switching dark mode)
+   */
+  refresh() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    this.container.appendChild(this.createTitle('Explore Variants'));
+
+    const seedRow = document.createElement('div');
+    seedRow.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 4px;
+    `;
+    const seedInput = this.createTextInput({
+      label: 'Seed',
+      value: String(this.explorer.getSeed()),
+      onCommit: (text) => {
+        const seed = Number(text);
+        if (Number.isInteger(seed) && seed >= 0) {
+          this.explorer.random.setSeed(seed);
+        }
+        return String(this.explorer.getSeed());
+      }
+    });
+    seedInput.style.flex = '1';
+    seedRow.appendChild(seedInput);
+    seedRow.appendChild(this.createButton('New Seed', () => {
+      this.explorer.random.setSeed(Random.randomSeed());
+      this.refresh();
+    }));
+    this.container.appendChild(seedRow);
+
+    this.container.appendChild(this.createSlider({
+      label: 'Mutation Strength',
+      min: 5,
+      max: 100,
+      value: Math.round(this.explorer.strength * 100),
+      format: (value) => value + '%',
+      onInput: (value) => {
+        this.explorer.strength = value / 100;
+      }
+    }));
+
+    const actionRow = document.createElement('div');
+    actionRow.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      gap: 4px;
+    `;
+    actionRow.appendChild(this.createButton('Generate', () => this.generate()));
+    if (this.explorer.variants.length > 0) {
+      actionRow.appendChild(this.createButton('Breed Picks', () => this.breed()));
+    }
+    this.container.appendChild(actionRow);
+
+    if (this.explorer.variants.length === 0) {
+      this.container.appendChild(this.createHint('Generate variants of the current design'));
+      return;
+    }
+
+    this.container.appendChild(this.createHint(`Generation ${this.explorer.generation} · click to pick parents`));
+    this.container.appendChild(this.buildGrid());
+
+    if (this.selected.size > 0) {
+      const pickRow = document.createElement('div');
+      pickRow.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        gap: 4px;
+      `;
+      pickRow.appendChild(this.createButton('Load Pick', () => this.loadPick()));
+      pickRow.appendChild(this.createButton('Save Picks', () => this.savePicks()));
+      this.container.appendChild(pickRow);
+    }
+  }
+
+  buildGrid() {
+    const grid = document.createElement('div');
+    grid.style.cssText = `
+      display: grid;
+      grid-template-columns: repeat(3, 1fr);
+      gap: 4px;
+    `;
+
+    this.thumbnails = this.explorer.variants.map((variant, i) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = THUMBNAIL_SIZE;
+      canvas.height = THUMBNAIL_SIZE;
+      const isSelected = this.selected.has(i);
+      canvas.style.cssText = `
+        width: 100%;
+        cursor: pointer;
+        border: ${isSelected ? 3 : 1}px solid ${isSelected ? this.getTextColor() : 'rgba(128, 128, 128, 0.5)'};
+      `;
+      this.drawThumbnail(canvas, variant);
+
+      canvas.onclick = (e) => {
+        e.stopPropagation();
+        if (this.selected.has(i)) {
+          this.selected.delete(i);
+        } else {
+          this.selected.add(i);
+        }
+        this.refresh();
+      };
+      this.stopPointerPropagation(canvas);
+      grid.appendChild(canvas);
+      return canvas;
+    });
+    return grid;
+  }
+
+  /**
+   * Draw the sampled trace paths, fitted to the thumbnail
+   */
+  drawThumbnail(canvas, variant) {
+    const ctx = canvas.getContext('2d');
+    const isInverse = this.renderer.getInverse();
+    ctx.fillStyle = isInverse ? '#000000' : '#f5f5f5';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const paths = variant.sample ? variant.sample.paths : [];
+    const points = paths.flat().filter(p => p && isFinite(p.x) && isFinite(p.y));
+    if (points.length === 0) return;
+
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const width = Math.max(...xs) - minX || 1;
+    const height = Math.max(...ys) - minY || 1;
+    const padding = 8;
+    const scale = Math.min((canvas.width - 2 * padding) / width, (canvas.height - 2 * padding) / height);
+    const offsetX = (canvas.width - width * scale) / 2 - minX * scale;
+    const offsetY = (canvas.height - height * scale) / 2 - minY * scale;
+
+    const color = variant.state.traceColor || { r: 0, g: 100, b: 0 };
+    ctx.strokeStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+    ctx.lineWidth = 1.5;
+    ctx.lineJoin = 'round';
+    paths.forEach(path => {
+      ctx.beginPath();
+      path.forEach((p, k) => {
+        if (!p) return;
+        if (k === 0) {
+          ctx.moveTo(p.x * scale + offsetX, p.y * scale + offsetY);
+        } else {
+          ctx.lineTo(p.x * scale + offsetX, p.y * scale + offsetY);
+        }
+      });
+      ctx.closePath();
+      ctx.stroke();
+    });
+
+    // Variants whose loops lock up somewhere on the way are marked
+    if (variant.sample && !VariantExplorer.isViable(variant.sample)) {
+      ctx.fillStyle = 'rgb(220, 40, 40)';
+      ctx.font = '10px sans-serif';
+      ctx.fillText('locks', 4, canvas.height - 4);
+    }
+  }
+
+  /**
+   * First generation: mutations of the design in the editor
+   */
+  generate() {
+    this.selected.clear();
+    this.explorer.start(this.stateSerializer.exportState(), VARIANT_COUNT);
+    this.refresh();
+  }
+
+  breed() {
+    if (this.selected.size === 0) {
+      alert('Pick one or more variants as parents first.');
+      return;
+    }
+    const parents = [...this.selected].map(i => this.explorer.variants[i].state);
+    this.selected.clear();
+    this.explorer.breed(parents, VARIANT_COUNT);
+    this.refresh();
+  }
+
+  loadPick() {
+    const [first] = this.selected;
+    if (first === undefined) return;
+    this.onLoad(this.explorer.variants[first].state);
+  }
+
+  savePicks() {
+    this.selected.forEach(i => {
+      this.onSave(this.explorer.variants[i].state, this.thumbnails[i].toDataURL('image/png'));
+    });
+  }
+}
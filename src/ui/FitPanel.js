@@ -0,0 +1,268 @@
+import { MenuSection } from './MenuSection.js';
+import { CurveFitter } from '../linkage/CurveFitter.js';
+import { KinematicsSampler } from '../linkage/KinematicsSampler.js';
+import { StateSerializer } from '../utils/StateSerializer.js';
+import { SvgPath } from '../utils/SvgPath.js';
+
+const FRAME_BUDGET_MS = 8; // Fitting time per frame, leaves room for drawing
+const MIN_TARGET_POINTS = 8;
+const SHOW_INTERVAL_MS = 250; // Redrawing a whole cycle is heavy, so improvements are shown a few times a second
+
+/**
+ * Menu section for fitting the mechanism to a target curve (drawn on the canvas or SVG path data)
+ * The fit runs a little every frame and shows its best design live; stopping keeps it as a normal state
+ */
+export class FitPanel extends MenuSection {
+  constructor(onApply, renderer, mechanism, stateSerializer) {
+    super('fitContainer', null, renderer, mechanism);
+    this.onApply = onApply;
+    this.stateSerializer = stateSerializer;
+    this.fitter = null;
+    this.startState = null;
+    this.isDrawingTarget = false;
+    this.drawnPoints = [];
+    this.rodId = null;
+    this.locks = { anchor: false, lengths: false, guidePoints: false };
+    this.lockedRodIds = [];
+    this.progressText = null;
+    this.summary = null;
+    this.hasUnshownBest = false;
+    this.lastShownTime = 0;
+  }
+
+  /**
+   * Rebuild the panel (after loading a state or switching dark mode)
+   */
+  refresh() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    this.container.appendChild(this.createTitle('Fit to Curve'));
+
+    const targetRow = document.createElement('div');
+    targetRow.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      gap: 4px;
+    `;
+    targetRow.appendChild(this.createButton(this.isDrawingTarget ? 'Cancel' : 'Draw Target', () => {
+      this.isDrawingTarget = !this.isDrawingTarget;
+      this.refresh();
+    }));
+    if (this.renderer.fitTarget) {
+      targetRow.appendChild(this.createButton('Clear Target', () => {
+        this.stop();
+        this.renderer.fitTarget = null;
+        this.refresh();
+      }));
+    }
+    this.container.appendChild(targetRow);
+
+    if (this.isDrawingTarget) {
+      this.container.appendChild(this.createHint('Drag on the canvas to draw a closed curve'));
+    }
+
+    // Path data is fitted into the box of the current joint path
+    this.container.appendChild(this.createTextInput({
+      label: 'SVG Path',
+      value: '',
+      onCommit: (text) => {
+        if (text.trim() === '') return '';
+        const points = SvgPath.parse(text);
+        if (!points || points.length < 2) {
+          alert('Could not read the SVG path data.');
+          return text;
+        }
+        this.setTarget(CurveFitter.placeInBox(points, this.getPathBox()));
+        return '';
+      }
+    }));
+
+    this.rodId = this.getFitRodId();
+    this.container.appendChild(this.createSelect({
+      label: 'Fit Joint',
+      value: String(this.rodId),
+      options: this.mechanism.rods.map(rod => ({ value: String(rod.id), label: `Rod ${rod.id}` })),
+      onChange: (value) => {
+        this.rodId = Number(value);
+      }
+    }));
+
+    [['anchor', 'Lock Anchors'], ['lengths', 'Lock Lengths'], ['guidePoints', 'Lock Guide Points']].forEach(([group, label]) => {
+      this.container.appendChild(this.createSelect({
+        label,
+        value: this.locks[group] ? 'on' : 'off',
+        options: [
+          { value: 'off', label: 'Off' },
+          { value: 'on', label: 'On' }
+        ],
+        onChange: (value) => {
+          this.locks[group] = value === 'on';
+        }
+      }));
+    });
+
+    // Rods to keep as they are, e.g. "0, 2"
+    this.container.appendChild(this.createTextInput({
+      label: 'Locked Rods',
+      value: this.lockedRodIds.join(', '),
+      onCommit: (text) => {
+        this.lockedRodIds = text.split(/[\s,;]+/)
+          .filter(part => part !== '')
+          .map(Number)
+          .filter(id => Number.isInteger(id) && id >= 0 && id < this.mechanism.rods.length);
+        return this.lockedRodIds.join(', ');
+      }
+    }));
+
+    const buttonRow = document.createElement('div');
+    buttonRow.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      gap: 4px;
+    `;
+    if (this.fitter) {
+      buttonRow.appendChild(this.createButton('Stop', () => this.stop()));
+    } else {
+      buttonRow.appendChild(this.createButton('Start Fit', () => this.start()));
+    }
+    if (this.startState && !this.fitter) {
+      buttonRow.appendChild(this.createButton('Revert', () => this.revert()));
+    }
+    this.container.appendChild(buttonRow);
+
+    this.progressText = this.createHint('');
+    this.container.appendChild(this.progressText);
+    this.updateProgress();
+  }
+
+  /**
+   * Rod whose joint is fitted: the picked one while it exists, otherwise the last tracing rod
+   */
+  getFitRodId() {
+    if (this.rodId !== null && this.rodId < this.mechanism.rods.length) {
+      return this.rodId;
+    }
+    const tracing = this.mechanism.getTracingRods();
+    const rods = tracing.length > 0 ? tracing : this.mechanism.rods;
+    return rods[rods.length - 1].id;
+  }
+
+  /**
+   * Bounding box of the fitted joint's path over one cycle
+   */
+  getPathBox() {
+    const sampler = new KinematicsSampler(this.stateSerializer.exportState());
+    const path = sampler.sampleCycle({ samplesPerRevolution: 90 }).joints[this.getFitRodId()];
+    const xs = path.map(p => p.x);
+    const ys = path.map(p => p.y);
+    return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+  }
+
+  setTarget(points) {
+    this.stop();
+    this.summary = null;
+    this.renderer.fitTarget = points;
+    this.refresh();
+  }
+
+  /**
+   * Freehand drawing, fed by InputHandler while isDrawingTarget is on
+   */
+  beginTarget(worldPos) {
+    this.drawnPoints = [{ x: worldPos.x, y: worldPos.y }];
+    this.renderer.fitTarget = this.drawnPoints;
+  }
+
+  addTargetPoint(worldPos) {
+    this.drawnPoints.push({ x: worldPos.x, y: worldPos.y });
+  }
+
+  finishTarget() {
+    this.isDrawingTarget = false;
+    if (this.drawnPoints.length < MIN_TARGET_POINTS) {
+      this.renderer.fitTarget = null;
+      this.refresh();
+      return;
+    }
+    this.setTarget(CurveFitter.resample(this.drawnPoints, 200));
+  }
+
+  start() {
+    if (!this.renderer.fitTarget) {
+      alert('Draw a target curve or paste SVG path data first.');
+      return;
+    }
+
+    this.startState = this.stateSerializer.exportState();
+    this.fitter = new CurveFitter(this.startState, this.renderer.fitTarget, {
+      rodId: this.getFitRodId(),
+      locks: { ...this.locks },
+      lockedRodIds: this.lockedRodIds.slice()
+    });
+    this.refresh();
+  }
+
+  /**
+   * Keep the best design found so far and make it a normal history entry
+   */
+  stop() {
+    if (!this.fitter) return;
+    if (this.hasUnshownBest) {
+      this.applyState(this.fitter.getBestState());
+      this.hasUnshownBest = false;
+    }
+    this.summary = `Fitted: error ${this.fitter.bestCost.toFixed(1)} (from ${this.fitter.initialCost.toFixed(1)})`;
+    this.fitter = null;
+    this.onApply();
+    this.refresh();
+  }
+
+  revert() {
+    if (!this.startState) return;
+    this.applyState(this.startState);
+    this.startState = null;
+    this.summary = null;
+    this.onApply();
+    this.refresh();
+  }
+
+  applyState(state) {
+    StateSerializer.applyMechanismState(this.mechanism, state);
+    this.mechanism.drawWholeCycle();
+  }
+
+  /**
+   * Run the fit for a slice of the frame and show improvements (called every frame)
+   */
+  update() {
+    if (!this.fitter) return;
+
+    if (this.fitter.run(FRAME_BUDGET_MS)) {
+      this.hasUnshownBest = true;
+    }
+    const now = performance.now();
+    if (this.hasUnshownBest && (now - this.lastShownTime > SHOW_INTERVAL_MS || this.fitter.isDone())) {
+      this.applyState(this.fitter.getBestState());
+      this.hasUnshownBest = false;
+      this.lastShownTime = now;
+    }
+    this.updateProgress();
+
+    if (this.fitter.isDone()) {
+      this.stop();
+    }
+  }
+
+  updateProgress() {
+    if (!this.progressText) return;
+    const fitter = this.fitter;
+    if (fitter) {
+      this.progressText.textContent = `Iteration ${fitter.iterations}/${fitter.maxIterations} · error ${fitter.bestCost.toFixed(1)} (from ${fitter.initialCost.toFixed(1)})`;
+    } else if (this.summary) {
+      this.progressText.textContent = this.summary;
+    } else {
+      this.progressText.textContent = this.renderer.fitTarget ? 'Ready to fit' : 'No target';
+    }
+  }
+}
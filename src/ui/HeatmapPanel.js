@@ -0,0 +1,81 @@
+import { MenuSection } from './MenuSection.js';
+import { TraceSystem } from '../linkage/TraceSystem.js';
+
+const MODES = [
+  { value: 'off', label: 'Off' },
+  { value: 'color', label: 'Colour' },
+  { value: 'width', label: 'Width' },
+  { value: 'calligraphy', label: 'Calligraphy' }
+];
+
+const METRICS = [
+  { value: 'speed', label: 'Pen Speed' },
+  { value: 'curvature', label: 'Curvature' }
+];
+
+/**
+ * Menu section for trace heatmaps: colour or stroke width by pen speed or path curvature,
+ * and a calligraphy pen that draws thin and light where it moves fast
+ */
+export class HeatmapPanel extends MenuSection {
+  constructor(onChange, renderer, mechanism, traceSystem) {
+    super('heatmapContainer', onChange, renderer, mechanism);
+    this.traceSystem = traceSystem;
+  }
+
+  /**
+   * Rebuild the panel (after loading a state or switching dark mode)
+   */
+  refresh() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    this.container.appendChild(this.createTitle('Heatmap'));
+
+    const heatmap = this.traceSystem.getHeatmap();
+    const update = (settings) => {
+      this.traceSystem.setHeatmap(settings);
+      this.notifyChange();
+      this.refresh();
+    };
+
+    this.container.appendChild(this.createSelect({
+      label: 'Show',
+      value: heatmap.mode,
+      options: MODES,
+      onChange: (mode) => update({ mode })
+    }));
+
+    if (heatmap.mode === 'off') {
+      this.container.appendChild(this.createHint('Colour or thicken the traces by how fast the pen moves or how sharply the path bends'));
+      return;
+    }
+
+    if (heatmap.mode === 'calligraphy') {
+      this.container.appendChild(this.createHint('Like a real pen: fast strokes come out thin and light, slow ones thick and dark'));
+      return;
+    }
+
+    this.container.appendChild(this.createSelect({
+      label: 'Metric',
+      value: heatmap.metric,
+      options: METRICS,
+      onChange: (metric) => update({ metric })
+    }));
+
+    if (heatmap.mode === 'color') {
+      this.container.appendChild(this.createSelect({
+        label: 'Colour Map',
+        value: heatmap.colormap,
+        options: TraceSystem.getColormapNames().map(name => ({
+          value: name,
+          label: name.charAt(0).toUpperCase() + name.slice(1)
+        })),
+        onChange: (colormap) => update({ colormap })
+      }));
+      this.container.appendChild(this.createHint('Replaces the trace colour and colour mode of joint and coupler traces'));
+    } else {
+      this.container.appendChild(this.createHint('Joint and coupler traces are thicker where the metric is higher'));
+    }
+  }
+}
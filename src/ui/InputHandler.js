@@ -15,7 +15,11 @@ export class InputHandler {
     this.dragOffset = null;
     this.isPanning = false;
     this.pressPos = null;
+    this.pressTime = 0;
     this.prevPinchDist = 0;
+    this.LONG_PRESS_MS = 500;
+    this.wasPlayingBeforeScrub = false;
+    this.isDrawingTarget = false;
   }
 
   setUIController(uiController) {
@@ -26,18 +30,43 @@ export class InputHandler {
    * Clear all input state (used when restoring from history)
    */
   clearState() {
+    if (this.selectedObject && this.selectedObject.isScrub) {
+      this.mechanism.isPlaying = this.wasPlayingBeforeScrub;
+    }
     this.selectedObject = null;
     this.dragOffset = null;
     this.isPanning = false;
+    this.isDrawingTarget = false;
     this.pressPos = null;
     this.renderer.setSelectedObject(null);
   }
 
-  handlePress(x, y, isTouchDevice = false) {
+  /**
+   * Joints and coupler points are either resized or scrubbed when dragged
+   * The menu toggle picks the default; holding Alt switches to the other mode
+   */
+  isScrubDrag(modifiers) {
+    const scrubByDefault = this.uiController ? this.uiController.timelinePanel.dragMode === 'scrub' : false;
+    return modifiers.altKey ? !scrubByDefault : scrubByDefault;
+  }
+
+  /**
+   * @param {Object} modifiers - Keyboard modifiers of the press event ({altKey})
+   */
+  handlePress(x, y, isTouchDevice = false, modifiers = {}) {
     this.pressPos = new Vector(x, y);
+    this.pressTime = Date.now();
     let worldMouse = this.camera.screenToWorld(x, y);
     this.selectedObject = null;
 
+    // Drawing a target curve for the fitter takes over the canvas until release
+    const fitPanel = this.uiController ? this.uiController.fitPanel : null;
+    if (fitPanel && fitPanel.isDrawingTarget) {
+      this.isDrawingTarget = true;
+      fitPanel.beginTarget(worldMouse);
+      return;
+    }
+
     // Hit radius in screen pixels (constant regardless of zoom)
     const screenJointRadius = isTouchDevice ? 40 : 20;
     const screenObjectRadius = isTouchDevice ? 35 : 15;
@@ -50,31 +79,56 @@ export class InputHandler {
     let candidates = [];
 
     // Check for anchor selection
-    if (this.mechanism.anchor.isMouseOver(worldMouse, objectRadius)) {
-      const dist = Vector.dist(this.mechanism.anchor.pos, worldMouse);
-      candidates.push({
-        type: 'anchor',
-        obj: this.mechanism.anchor,
-        distance: dist,
-        dragOffset: Vector.sub(this.mechanism.anchor.pos, worldMouse)
-      });
-    }
+    this.mechanism.anchors.forEach(anchor => {
+      if (anchor.isMouseOver(worldMouse, objectRadius)) {
+        const dist = Vector.dist(anchor.pos, worldMouse);
+        candidates.push({
+          type: 'anchor',
+          obj: anchor,
+          distance: dist,
+          dragOffset: Vector.sub(anchor.pos, worldMouse)
+        });
+      }
+    });
 
     // Check for guide point selection
     for (let i = 0; i < this.mechanism.guidePoints.length; i++) {
       let gp = this.mechanism.guidePoints[i];
+      const gpRod = this.mechanism.rods[gp.id];
+      // A loop pivot pinned to another joint, or a guide point pinned to a joint, has no handle of its own
+      if (gpRod && gpRod.isLoop() && gpRod.pivotRodId !== null) continue;
+      if (gp.motion.type === 'pinned') continue;
       if (gp.isMouseOver(worldMouse, objectRadius)) {
         const dist = Vector.dist(gp.pos, worldMouse);
         candidates.push({
           type: 'guidePoint',
           obj: gp,
-          rodIndex: i + 1,
+          rodIndex: gp.id,
           distance: dist,
           dragOffset: Vector.sub(gp.pos, worldMouse)
         });
       }
     }
 
+    // Check for coupler point selection
+    this.mechanism.rods.forEach((rod, i) => {
+      rod.couplerPoints.forEach((point, k) => {
+        const pos = this.mechanism.getCouplerPointPos(i, k);
+        if (!pos) return;
+        const dist = Vector.dist(pos, worldMouse);
+        if (dist < jointRadius) {
+          candidates.push({
+            type: 'couplerPoint',
+            obj: point,
+            rodIndex: i,
+            pointIndex: k,
+            distance: dist,
+            dragOffset: Vector.sub(pos, worldMouse)
+          });
+        }
+      });
+    });
+
     // Check for joint selection
     for (let i = 0; i < this.mechanism.joints.length; i++) {
       let joint = this.mechanism.joints[i];
@@ -97,13 +151,21 @@ export class InputHandler {
       this.selectedObject = {
         type: closest.type,
         obj: closest.obj,
-        rodIndex: closest.rodIndex
+        rodIndex: closest.rodIndex,
+        pointIndex: closest.pointIndex
       };
 
       if (closest.dragOffset) {
         this.dragOffset = closest.dragOffset;
       }
 
+      // Scrub drag: the crank follows the pointer, so hold the animation meanwhile
+      if ((closest.type === 'joint' || closest.type === 'couplerPoint') && this.isScrubDrag(modifiers)) {
+        this.selectedObject.isScrub = true;
+        this.wasPlayingBeforeScrub = this.mechanism.isPlaying;
+        this.mechanism.isPlaying = false;
+      }
+
       this.renderer.setSelectedObject(this.selectedObject);
       return;
     }
@@ -128,12 +190,24 @@ export class InputHandler {
   handleDrag(x, y, px, py) {
     let worldMouse = this.camera.screenToWorld(x, y);
 
-    if (this.isPanning) {
+    if (this.isDrawingTarget) {
+      this.uiController.fitPanel.addTargetPoint(worldMouse);
+    } else if (this.isPanning) {
       this.camera.pan(x - px, y - py);
       // Update URL during drag for visual feedback (without creating history)
       if (this.urlStateManager) {
         this.urlStateManager.updateURLWithoutHistory(50);
       }
+    } else if (this.selectedObject && this.selectedObject.isScrub) {
+      // Turn the crank to bring the grabbed point as close to the pointer as its path allows
+      const { type, rodIndex, pointIndex } = this.selectedObject;
+      const getPoint = type === 'couplerPoint'
+        ? () => this.mechanism.getCouplerPointPos(rodIndex, pointIndex)
+        : () => this.mechanism.joints[rodIndex];
+      const target = this.dragOffset
+        ? new Vector(worldMouse.x + this.dragOffset.x, worldMouse.y + this.dragOffset.y)
+        : worldMouse;
+      this.mechanism.moveCrankTo(this.mechanism.findCrankAngleNear(getPoint, target));
     } else if (this.selectedObject) {
       if (this.selectedObject.type === 'anchor' && this.dragOffset) {
         this.selectedObject.obj.pos.set(
@@ -141,25 +215,32 @@ export class InputHandler {
           worldMouse.y + this.dragOffset.y
         );
       } else if (this.selectedObject.type === 'guidePoint' && this.dragOffset) {
-        this.selectedObject.obj.pos.set(
-          worldMouse.x + this.dragOffset.x,
-          worldMouse.y + this.dragOffset.y
+        // Move the whole track or orbit along with a driven guide point
+        const gp = this.selectedObject.obj;
+        gp.moveBy(
+          worldMouse.x + this.dragOffset.x - gp.pos.x,
+          worldMouse.y + this.dragOffset.y - gp.pos.y
         );
+      } else if (this.selectedObject.type === 'couplerPoint' && this.dragOffset) {
+        // Re-express the dragged position in the rod's own frame
+        const target = new Vector(worldMouse.x + this.dragOffset.x, worldMouse.y + this.dragOffset.y);
+        const coords = this.mechanism.getRodFrameCoords(this.selectedObject.rodIndex, target);
+        if (coords) {
+          this.selectedObject.obj.t = coords.t;
+          this.selectedObject.obj.offset = coords.offset;
+        }
       } else if (this.selectedObject.type === 'rod') {
-        let startPos = (this.selectedObject.obj.id === 0) ?
-          this.mechanism.anchor.pos :
-          this.mechanism.joints[this.selectedObject.obj.id - 1];
+        let startPos = this.mechanism.getRodStart(this.selectedObject.obj.id);
         let newLength = Vector.dist(startPos, worldMouse);
-        this.selectedObject.obj.length = newLength;
+        // Lengths stay whole stock sizes when the units snap
+        this.selectedObject.obj.length = this.mechanism.units.snapLength(newLength);
       } else if (this.selectedObject.type === 'joint') {
         // Dragging joint changes the rod length
         const rod = this.mechanism.rods[this.selectedObject.rodIndex];
         if (rod) {
-          let startPos = (rod.id === 0) ?
-            this.mechanism.anchor.pos :
-            this.mechanism.joints[rod.id - 1];
+          let startPos = this.mechanism.getRodStart(rod.id);
           let newLength = Vector.dist(startPos, worldMouse);
-          rod.length = newLength;
+          rod.length = this.mechanism.units.snapLength(newLength);
         }
       }
 
@@ -170,7 +251,17 @@ export class InputHandler {
     }
   }
 
-  handleRelease(x, y) {
+  /**
+   * @param {Object} modifiers - Keyboard modifiers of the release event ({shiftKey})
+   */
+  handleRelease(x, y, modifiers = {}) {
+    if (this.isDrawingTarget) {
+      this.isDrawingTarget = false;
+      this.pressPos = null;
+      this.uiController.fitPanel.finishTarget();
+      return;
+    }
+
     if (!this.pressPos) {
       this.selectedObject = null;
       this.dragOffset = null;
@@ -182,10 +273,53 @@ export class InputHandler {
     const dragDist = Vector.dist(new Vector(x, y), this.pressPos);
     let wasClick = dragDist < 5 * (window.devicePixelRatio || 1);
 
-    // Handle anchor click - reverse spin direction
+    // End of a scrub drag: rebuild the trace up to the new angle and resume
+    // The crank angle isn't saved, so there is nothing to push to history
+    if (this.selectedObject && this.selectedObject.isScrub) {
+      if (!wasClick) {
+        this.mechanism.scrubTo(this.mechanism.crankAngle);
+      }
+      this.mechanism.isPlaying = this.wasPlayingBeforeScrub;
+      if (!wasClick) {
+        this.selectedObject = null;
+        this.dragOffset = null;
+        this.isPanning = false;
+        this.renderer.setSelectedObject(null);
+        return;
+      }
+    }
+
+    // Shift-click or long press on a joint selects it as the branch point for new rods
+    const isSelectGesture = wasClick && (modifiers.shiftKey || Date.now() - this.pressTime >= this.LONG_PRESS_MS);
+    if (isSelectGesture && this.selectedObject && this.selectedObject.type === 'joint') {
+      this.mechanism.selectRod(this.selectedObject.rodIndex);
+      if (this.uiController) {
+        this.uiController.syncButtonStates();
+      }
+      this.selectedObject = null;
+      this.dragOffset = null;
+      this.isPanning = false;
+      this.renderer.setSelectedObject(null);
+      return;
+    }
+
+    // Shift-click on empty canvas clears the branch point
+    if (wasClick && modifiers.shiftKey && !this.selectedObject) {
+      this.mechanism.selectedRodId = null;
+      if (this.uiController) {
+        this.uiController.syncButtonStates();
+      }
+      this.isPanning = false;
+      return;
+    }
+
+    // Handle anchor click - reverse that crank's spin direction
     if (this.selectedObject && this.selectedObject.type === 'anchor') {
       if (wasClick) {
-        this.mechanism.reverseSpinDirection();
+        this.mechanism.reverseSpinDirection(this.selectedObject.obj.id);
+        if (this.uiController) {
+          this.uiController.syncButtonStates();
+        }
         // Push to history immediately for toggle action
         if (this.urlStateManager) {
           this.urlStateManager.pushToHistoryNow();
@@ -208,6 +342,21 @@ export class InputHandler {
       }
     }
 
+    // Handle coupler point click - toggle its tracing
+    if (this.selectedObject && this.selectedObject.type === 'couplerPoint') {
+      if (wasClick) {
+        const point = this.selectedObject.obj;
+        point.isTracing = !point.isTracing;
+        if (this.uiController) {
+          this.uiController.syncButtonStates();
+        }
+        // Push to history immediately for toggle action
+        if (this.urlStateManager) {
+          this.urlStateManager.pushToHistoryNow();
+        }
+      }
+    }
+
     // Handle guide point click - toggle full rod tracing
     if (this.selectedObject && this.selectedObject.type === 'guidePoint') {
       if (wasClick) {
@@ -223,6 +372,22 @@ export class InputHandler {
       }
     }
 
+    // Handle loop pivot dropped onto a joint - pin the second link to that joint
+    if (this.selectedObject && this.selectedObject.type === 'guidePoint' && !wasClick) {
+      const rod = this.mechanism.rods[this.selectedObject.rodIndex];
+      if (rod && rod.isLoop()) {
+        const snapRadius = 20 / this.camera.zoom;
+        const gpPos = this.selectedObject.obj.pos;
+        for (let i = 0; i < rod.id; i++) {
+          const joint = this.mechanism.joints[i];
+          if (i !== rod.parentId && joint && Vector.dist(joint, gpPos) < snapRadius) {
+            this.mechanism.setLoopPivot(rod.id, i);
+            break;
+          }
+        }
+      }
+    }
+
     // Handle canvas click (no object selected) - toggle play/pause
     // wasClick means it wasn't dragged, so it's a click even if isPanning was set
     if (!this.selectedObject && wasClick) {
@@ -241,6 +406,11 @@ export class InputHandler {
       }
     }
 
+    // Dragged rods, anchors and guide points change the dimensions readout
+    if (!wasClick && this.selectedObject && this.uiController) {
+      this.uiController.unitsPanel.refresh();
+    }
+
     this.selectedObject = null;
     this.dragOffset = null;
     this.isPanning = false;
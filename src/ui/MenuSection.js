@@ -0,0 +1,270 @@
+import { MathUtils } from '../utils/MathUtils.js';
+
+/**
+ * Base for menu sections built from code: shared controls styled for normal and dark mode
+ */
+export class MenuSection {
+  constructor(containerId, onChange, renderer, mechanism) {
+    this.onChange = onChange;
+    this.renderer = renderer;
+    this.mechanism = mechanism;
+    this.container = document.getElementById(containerId);
+  }
+
+  /**
+   * Accepts "3:2", "3/2" or a plain number; null when it can't be read
+   */
+  parseRatio(text) {
+    const parts = String(text).trim().split(/[:/]/);
+    const values = parts.map(Number);
+    if (values.some(value => !isFinite(value))) return null;
+
+    const ratio = values.length === 2 ? values[0] / values[1] : values[0];
+    if (values.length > 2 || !isFinite(ratio) || ratio === 0) return null;
+    return ratio;
+  }
+
+  formatRatio(ratio) {
+    const { num, den } = MathUtils.toFraction(ratio, 12);
+    if (Math.abs(num / den - ratio) < 1e-4) {
+      return den === 1 ? String(num) : `${num}:${den}`;
+    }
+    return String(Number(ratio.toFixed(4)));
+  }
+
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  getTextColor() {
+    return this.renderer.getInverse() ? 'black' : 'white';
+  }
+
+  createTitle(text) {
+    const title = document.createElement('span');
+    title.textContent = text;
+    title.style.cssText = `
+      font-size: 12px;
+      font-weight: 600;
+      text-transform: uppercase;
+      color: ${this.getTextColor()};
+    `;
+    return title;
+  }
+
+  createHint(text) {
+    const hint = document.createElement('span');
+    hint.textContent = text;
+    hint.style.cssText = `
+      font-size: 11px;
+      opacity: 0.7;
+      color: ${this.getTextColor()};
+    `;
+    return hint;
+  }
+
+  createLabelRow(label, valueText) {
+    const labelDiv = document.createElement('div');
+    labelDiv.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      align-items: baseline;
+      margin-bottom: 4px;
+      font-size: 12px;
+    `;
+
+    const labelText = document.createElement('span');
+    labelText.textContent = label;
+    labelText.style.cssText = `
+      font-weight: 500;
+      color: ${this.getTextColor()};
+    `;
+    labelDiv.appendChild(labelText);
+
+    if (valueText) {
+      labelDiv.appendChild(valueText);
+    }
+    return labelDiv;
+  }
+
+  createSlider({ label, min, max, step = 1, value, format = (v) => String(v), onInput }) {
+    const group = document.createElement('div');
+
+    const valueText = document.createElement('span');
+    valueText.textContent = format(value);
+    valueText.style.cssText = `
+      font-weight: 600;
+      font-size: 11px;
+      font-family: monospace;
+      color: ${this.getTextColor()};
+    `;
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = min.toString();
+    slider.max = max.toString();
+    slider.step = step.toString();
+    slider.value = value;
+    // Normal mode: white gradient on black menu, Dark mode: black gradient on white menu
+    const sliderBg = this.renderer.getInverse()
+      ? 'linear-gradient(to right, rgba(0, 0, 0, 0.1), rgba(0, 0, 0, 0.15))'
+      : 'linear-gradient(to right, rgba(255, 255, 255, 0.2), rgba(255, 255, 255, 0.3))';
+    slider.style.cssText = `
+      width: 100%;
+      height: 6px;
+      border-radius: 3px;
+      outline: none;
+      -webkit-appearance: none;
+      appearance: none;
+      background: ${sliderBg};
+      cursor: pointer;
+    `;
+
+    slider.oninput = (e) => {
+      e.stopPropagation();
+      const newValue = Number(slider.value);
+      valueText.textContent = format(newValue);
+      onInput(newValue);
+    };
+
+    this.stopPointerPropagation(slider);
+
+    group.appendChild(this.createLabelRow(label, valueText));
+    group.appendChild(slider);
+    return group;
+  }
+
+  createSelect({ label, value, options, onChange }) {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      font-size: 12px;
+    `;
+
+    const labelText = document.createElement('span');
+    labelText.textContent = label;
+    labelText.style.cssText = `
+      font-weight: 500;
+      color: ${this.getTextColor()};
+    `;
+
+    const select = document.createElement('select');
+    select.style.cssText = `
+      width: 90px;
+      padding: 1px 2px;
+      font-size: 11px;
+      color: ${this.getTextColor()};
+      background: transparent;
+      border: 1px solid ${this.getTextColor()};
+      outline: none;
+      cursor: pointer;
+    `;
+    options.forEach(option => {
+      const optionEl = document.createElement('option');
+      optionEl.value = option.value;
+      optionEl.textContent = option.label;
+      // Native dropdown list keeps a readable dark-on-light look
+      optionEl.style.color = 'black';
+      select.appendChild(optionEl);
+    });
+    select.value = value;
+
+    select.onchange = (e) => {
+      e.stopPropagation();
+      onChange(select.value);
+    };
+
+    this.stopPointerPropagation(select);
+
+    row.appendChild(labelText);
+    row.appendChild(select);
+    return row;
+  }
+
+  /**
+   * Text field that applies its value on Enter or blur
+   * onCommit returns the text to show afterwards (normalized, or the old value when invalid)
+   */
+  createTextInput({ label, value, onCommit }) {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      font-size: 12px;
+    `;
+
+    const labelText = document.createElement('span');
+    labelText.textContent = label;
+    labelText.style.cssText = `
+      font-weight: 500;
+      color: ${this.getTextColor()};
+    `;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value;
+    input.style.cssText = `
+      width: 80px;
+      padding: 1px 4px;
+      font-size: 11px;
+      font-family: monospace;
+      text-align: right;
+      color: ${this.getTextColor()};
+      background: transparent;
+      border: 1px solid ${this.getTextColor()};
+      outline: none;
+    `;
+
+    const commit = () => {
+      input.value = onCommit(input.value);
+    };
+    input.onchange = commit;
+    input.onkeydown = (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        input.blur();
+      }
+    };
+
+    this.stopPointerPropagation(input);
+
+    row.appendChild(labelText);
+    row.appendChild(input);
+    return row;
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.className = 'text-xs font-medium transition-all duration-200 active:scale-95';
+    button.style.cssText = `
+      padding: 2px 4px;
+      color: ${this.getTextColor()};
+      border: 1px solid ${this.getTextColor()};
+      background: transparent;
+      text-transform: uppercase;
+    `;
+
+    button.onclick = (e) => {
+      e.stopPropagation();
+      onClick();
+    };
+
+    this.stopPointerPropagation(button);
+    return button;
+  }
+
+  stopPointerPropagation(element) {
+    element.onmousedown = (e) => e.stopPropagation();
+    element.onmousemove = (e) => e.stopPropagation();
+    element.onmouseup = (e) => e.stopPropagation();
+    element.ontouchstart = (e) => e.stopPropagation();
+    element.ontouchmove = (e) => e.stopPropagation();
+    element.ontouchend = (e) => e.stopPropagation();
+  }
+}
@@ -0,0 +1,132 @@
+import { MenuSection } from './MenuSection.js';
+import { StateMorph } from '../linkage/StateMorph.js';
+
+const CURRENT = 'current';
+
+/**
+ * Menu section for morphing between two designs with the same topology (the current design,
+ * saved states or presets) while the mechanism keeps running, and recording the morph as a video
+ */
+export class MorphPanel extends MenuSection {
+  /**
+   * @param {Function} onPlay - Load the first design into the editor before the morph starts
+   * @param {Function} onStop - The morph stopped; the blended design stays
+   * @param {Function} onRecord - Start (or cancel) a video recording of one full morph cycle
+   * @param {Function} getDesigns - Designs to pick from: [{id, label, state}]
+   */
+  constructor(onPlay, onStop, onRecord, getDesigns, renderer, mechanism, stateSerializer) {
+    super('morphContainer', null, renderer, mechanism);
+    this.onPlay = onPlay;
+    this.onStop = onStop;
+    this.onRecord = onRecord;
+    this.getDesigns = getDesigns;
+    this.stateSerializer = stateSerializer;
+    this.fromId = CURRENT;
+    this.toId = CURRENT;
+    this.revolutions = 4;
+  }
+
+  /**
+   * All designs, the current one first
+   */
+  listDesigns() {
+    return [{ id: CURRENT, label: 'Current Design', state: null }, ...this.getDesigns()];
+  }
+
+  getState(designs, id) {
+    const design = designs.find(other => other.id === id) || designs[0];
+    return design.state || this.stateSerializer.exportState();
+  }
+
+  /**
+   * Rebuild the panel (after loading a state or switching dark mode)
+   */
+  refresh() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    this.container.appendChild(this.createTitle('Morph'));
+
+    const designs = this.listDesigns();
+    [this.fromId, this.toId] = [this.fromId, this.toId].map(id =>
+      designs.some(design => design.id === id) ? id : CURRENT
+    );
+    const options = designs.map(design => ({ value: design.id, label: design.label }));
+
+    this.container.appendChild(this.createSelect({
+      label: 'From',
+      value: this.fromId,
+      options,
+      onChange: (id) => {
+        this.fromId = id;
+        this.refresh();
+      }
+    }));
+    this.container.appendChild(this.createSelect({
+      label: 'To',
+      value: this.toId,
+      options,
+      onChange: (id) => {
+        this.toId = id;
+        this.refresh();
+      }
+    }));
+
+    this.container.appendChild(this.createSlider({
+      label: 'Revolutions',
+      min: 1,
+      max: 12,
+      value: this.revolutions,
+      format: (value) => `${value} each way`,
+      onInput: (value) => { this.revolutions = value; }
+    }));
+
+    if (this.mechanism.morph) {
+      this.container.appendChild(this.createButton('Stop Morph', () => this.stop()));
+      this.container.appendChild(this.createButton('Record Video', () => this.onRecord()));
+      this.container.appendChild(this.createHint(
+        `Morphing there and back over ${this.mechanism.morph.revolutions * 2} revolutions; edits are overridden until you stop`
+      ));
+      return;
+    }
+
+    const mismatch = StateMorph.getMismatch(this.getState(designs, this.fromId), this.getState(designs, this.toId));
+    if (mismatch) {
+      this.container.appendChild(this.createHint(`Can't morph: ${mismatch}. Both designs need the same rods, joints and coupler points`));
+      return;
+    }
+
+    this.container.appendChild(this.createButton('Play Morph', () => this.play()));
+    this.container.appendChild(this.createButton('Record Video', () => {
+      if (this.play()) {
+        this.onRecord();
+      }
+    }));
+  }
+
+  /**
+   * Load the first design and start blending towards the second
+   * @returns {boolean} Whether the morph started
+   */
+  play() {
+    const designs = this.listDesigns();
+    const from = this.getState(designs, this.fromId);
+    const to = this.getState(designs, this.toId);
+    try {
+      this.onPlay(from);
+      const direction = this.mechanism.crankSpeed < 0 ? -1 : 1;
+      this.mechanism.morph = new StateMorph(from, to, this.revolutions, this.mechanism.crankAngle, direction);
+    } catch (error) {
+      alert(`Can't morph: ${error.message}`);
+      return false;
+    }
+    this.mechanism.updateJoints();
+    this.refresh();
+    return true;
+  }
+
+  stop() {
+    this.mechanism.morph = null;
+    this.onStop();
+  }
+}
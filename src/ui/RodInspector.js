@@ -0,0 +1,395 @@
+import { MathUtils } from '../utils/MathUtils.js';
+import { GuidePoint } from '../linkage/GuidePoint.js';
+import { TraceSystem } from '../linkage/TraceSystem.js';
+import { MenuSection } from './MenuSection.js';
+
+/**
+ * Menu section for editing the selected rod (shift-click or long-press a joint to select it)
+ */
+export class RodInspector extends MenuSection {
+  /**
+   * @param {Function} onEditRod - Called with 'insert', 'delete', 'up' or 'down' for the selected rod
+   */
+  constructor(onChange, renderer, mechanism, onEditRod) {
+    super('inspectorContainer', onChange, renderer, mechanism);
+    this.onEditRod = onEditRod;
+    this.renderedRodId = undefined;
+    this.renderedRodCount = 0;
+  }
+
+  /**
+   * Rebuild the panel when the selection or the rod list changed
+   * @param {boolean} force - Rebuild even if nothing changed (after loading a state)
+   */
+  refresh(force = false) {
+    if (!this.container) return;
+
+    const rodId = this.mechanism.selectedRodId;
+    if (!force && rodId === this.renderedRodId && this.mechanism.rods.length === this.renderedRodCount) {
+      return;
+    }
+
+    this.renderedRodId = rodId;
+    this.renderedRodCount = this.mechanism.rods.length;
+    this.container.innerHTML = '';
+
+    const rod = rodId !== null ? this.mechanism.rods[rodId] : null;
+    if (!rod) {
+      this.container.appendChild(this.createHint('Shift-click a joint to edit its rod'));
+      return;
+    }
+
+    this.container.appendChild(this.createTitle(rod.isCrank() ? `Crank ${rod.id}` : `Rod ${rod.id}`));
+
+    if (rod.isCrank()) {
+      this.buildCrankSection(rod);
+    }
+
+    const gp = this.mechanism.getGuidePoint(rod.id);
+    const usesGuidePoint = !rod.isLoop() || rod.pivotRodId === null;
+    if (gp && usesGuidePoint) {
+      this.buildGuideSection(rod, gp);
+    }
+
+    if (!rod.isCrank() && !rod.isLoop()) {
+      this.buildTelescopeSection(rod);
+    }
+
+    this.buildCouplerSection(rod);
+    this.buildStyleSection(rod, 'traceStyle', 'Trace');
+    this.buildStyleSection(rod, 'fullRodStyle', 'Rod Trace');
+    this.buildChainSection(rod);
+  }
+
+  buildCrankSection(rod) {
+    const anchor = this.mechanism.anchors[rod.anchorId];
+    if (!anchor) return;
+
+    this.container.appendChild(this.createTextInput({
+      label: 'Speed Ratio',
+      value: this.formatRatio(anchor.speedRatio),
+      onCommit: (text) => {
+        const ratio = this.parseRatio(text);
+        if (ratio === null) return this.formatRatio(anchor.speedRatio);
+        anchor.speedRatio = ratio;
+        this.notifyChange();
+        return this.formatRatio(ratio);
+      }
+    }));
+
+    this.container.appendChild(this.createSlider({
+      label: 'Phase',
+      min: 0,
+      max: 360,
+      step: 1,
+      value: Math.round(MathUtils.degrees(anchor.phase)),
+      format: (value) => value + '°',
+      onInput: (value) => {
+        anchor.phase = MathUtils.radians(value);
+        this.notifyChange();
+      }
+    }));
+  }
+
+  buildGuideSection(rod, gp) {
+    const pinnable = this.mechanism.getPinnableRodIds(rod.id);
+    const options = [
+      { value: 'static', label: 'Static' },
+      { value: 'slider', label: 'Slider' },
+      { value: 'orbit', label: 'Orbit' }
+    ];
+    if (pinnable.length > 0) {
+      options.push({ value: 'pinned', label: 'Pinned' });
+    }
+
+    this.container.appendChild(this.createSelect({
+      label: rod.isLoop() ? 'Pivot Motion' : 'Guide Motion',
+      value: gp.motion.type,
+      options,
+      onChange: (type) => {
+        const motion = GuidePoint.createMotion(type);
+        if (type === 'pinned') {
+          motion.rodId = pinnable[pinnable.length - 1];
+        }
+        gp.setMotion(motion);
+        this.notifyChange();
+        this.refresh(true);
+      }
+    }));
+
+    const motion = gp.motion;
+    if (motion.type === 'slider') {
+      this.container.appendChild(this.createSlider({
+        label: 'Track Length',
+        min: 10,
+        max: 800,
+        value: Math.round(motion.length),
+        format: (value) => value + 'px',
+        onInput: (value) => {
+          motion.length = value;
+          this.notifyChange();
+        }
+      }));
+      this.container.appendChild(this.createSlider({
+        label: 'Track Angle',
+        min: 0,
+        max: 360,
+        value: Math.round(MathUtils.degrees(motion.angle)),
+        format: (value) => value + '°',
+        onInput: (value) => {
+          motion.angle = MathUtils.radians(value);
+          this.notifyChange();
+        }
+      }));
+    } else if (motion.type === 'orbit') {
+      this.container.appendChild(this.createSlider({
+        label: 'Orbit Radius',
+        min: 5,
+        max: 400,
+        value: Math.round(motion.radius),
+        format: (value) => value + 'px',
+        onInput: (value) => {
+          motion.radius = value;
+          this.notifyChange();
+        }
+      }));
+    } else if (motion.type === 'pinned') {
+      this.container.appendChild(this.createSelect({
+        label: 'Pinned To',
+        value: String(motion.rodId),
+        options: pinnable.map(id => ({ value: String(id), label: `Joint ${id}` })),
+        onChange: (value) => {
+          motion.rodId = Number(value);
+          this.notifyChange();
+        }
+      }));
+    }
+
+    if (motion.type === 'slider' || motion.type === 'orbit') {
+      this.container.appendChild(this.createTextInput({
+        label: 'Motion Ratio',
+        value: this.formatRatio(motion.speedRatio),
+        onCommit: (text) => {
+          const ratio = this.parseRatio(text);
+          if (ratio === null) return this.formatRatio(motion.speedRatio);
+          motion.speedRatio = ratio;
+          this.notifyChange();
+          return this.formatRatio(ratio);
+        }
+      }));
+      this.container.appendChild(this.createSlider({
+        label: 'Motion Phase',
+        min: 0,
+        max: 360,
+        value: Math.round(MathUtils.degrees(motion.phase)),
+        format: (value) => value + '°',
+        onInput: (value) => {
+          motion.phase = MathUtils.radians(value);
+          this.notifyChange();
+        }
+      }));
+    }
+  }
+
+  /**
+   * Extension limits of the inner tube (used in stretch mode)
+   */
+  buildTelescopeSection(rod) {
+    const UNLIMITED = 600; // Top of the max slider means no limit
+
+    this.container.appendChild(this.createSlider({
+      label: 'Min Extension',
+      min: 0,
+      max: 300,
+      step: 5,
+      value: Math.round(rod.minExtension),
+      format: (value) => value + 'px',
+      onInput: (value) => {
+        rod.minExtension = Math.min(value, rod.maxExtension);
+        this.notifyChange();
+      }
+    }));
+
+    this.container.appendChild(this.createSlider({
+      label: 'Max Extension',
+      min: 0,
+      max: UNLIMITED,
+      step: 5,
+      value: rod.maxExtension === Infinity ? UNLIMITED : Math.round(rod.maxExtension),
+      format: (value) => value >= UNLIMITED ? '∞' : value + 'px',
+      onInput: (value) => {
+        rod.maxExtension = value >= UNLIMITED ? Infinity : Math.max(value, rod.minExtension);
+        this.notifyChange();
+      }
+    }));
+
+    this.container.appendChild(this.createSelect({
+      label: 'At Limit',
+      value: rod.limitMode,
+      options: [
+        { value: 'clamp', label: 'Clamp' },
+        { value: 'stop', label: 'Stop Crank' }
+      ],
+      onChange: (mode) => {
+        rod.limitMode = mode;
+        this.notifyChange();
+      }
+    }));
+  }
+
+  buildCouplerSection(rod) {
+    rod.couplerPoints.forEach((point, k) => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 4px;
+        font-size: 12px;
+      `;
+
+      const labelText = document.createElement('span');
+      labelText.textContent = `Point ${k + 1}`;
+      labelText.style.cssText = `
+        flex: 1;
+        font-weight: 500;
+        color: ${this.getTextColor()};
+      `;
+      row.appendChild(labelText);
+
+      row.appendChild(this.createButton(point.isTracing ? 'Trace On' : 'Trace Off', () => {
+        point.isTracing = !point.isTracing;
+        this.notifyChange();
+        this.refresh(true);
+      }));
+
+      row.appendChild(this.createButton('Remove', () => {
+        // Later points shift down one index, so their trace keys change too
+        rod.couplerPoints.forEach((_, i) => this.clearCouplerTrace(rod.id, i));
+        rod.removeCouplerPoint(k);
+        this.notifyChange();
+        this.refresh(true);
+      }));
+
+      this.container.appendChild(row);
+    });
+
+    this.container.appendChild(this.createButton('Add Coupler Point', () => {
+      // Start as the apex of a triangular plate over the rod's midpoint
+      rod.addCouplerPoint(0.5, rod.length * 0.4);
+      this.notifyChange();
+      this.refresh(true);
+    }));
+  }
+
+  /**
+   * Own colour, opacity and width for the rod's joint traces ('traceStyle') or full-rod trace ('fullRodStyle')
+   * Empty colour and zero width fall back to the design's
+   */
+  buildStyleSection(rod, field, label) {
+    const style = rod[field] || { color: null, opacity: 1, width: null };
+    const update = (changes) => {
+      rod[field] = TraceSystem.normalizeStyle({ ...style, ...changes });
+      this.notifyChange();
+      this.refresh(true);
+    };
+
+    this.container.appendChild(this.createTextInput({
+      label: `${label} Colour (#hex)`,
+      value: style.color ? this.formatHex(style.color) : '',
+      onCommit: (text) => {
+        const color = text.trim() === '' ? null : this.parseHex(text);
+        if (color !== undefined) {
+          update({ color });
+        }
+        return rod[field] && rod[field].color ? this.formatHex(rod[field].color) : '';
+      }
+    }));
+
+    this.container.appendChild(this.createSlider({
+      label: `${label} Opacity`,
+      min: 5,
+      max: 100,
+      step: 5,
+      value: Math.round(style.opacity * 100),
+      format: (value) => value + '%',
+      onInput: (value) => {
+        style.opacity = value / 100;
+        rod[field] = TraceSystem.normalizeStyle(style);
+        this.notifyChange();
+      }
+    }));
+
+    this.container.appendChild(this.createSlider({
+      label: `${label} Width`,
+      min: 0,
+      max: 20,
+      step: 0.5,
+      value: style.width || 0,
+      format: (value) => value > 0 ? value + 'px' : 'Design',
+      onInput: (value) => {
+        style.width = value > 0 ? value : null;
+        rod[field] = TraceSystem.normalizeStyle(style);
+        this.notifyChange();
+      }
+    }));
+
+    if (rod[field]) {
+      this.container.appendChild(this.createButton(`Reset ${label} Style`, () => {
+        rod[field] = null;
+        this.notifyChange();
+        this.refresh(true);
+      }));
+    }
+  }
+
+  formatHex(color) {
+    return '#' + [color.r, color.g, color.b].map(c => c.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * @returns {{r: number, g: number, b: number}|undefined} undefined when the text is no colour
+   */
+  parseHex(text) {
+    const match = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec(text.trim());
+    if (!match) return undefined;
+    let hex = match[1];
+    if (hex.length === 3) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16)
+    };
+  }
+
+  /**
+   * Insert, delete and reorder buttons (only the moves that keep parents before children are offered)
+   */
+  buildChainSection(rod) {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+    `;
+    row.appendChild(this.createButton('Insert After', () => this.onEditRod('insert')));
+    if (this.mechanism.canMoveRod(rod.id, -1)) {
+      row.appendChild(this.createButton('Move Up', () => this.onEditRod('up')));
+    }
+    if (this.mechanism.canMoveRod(rod.id, 1)) {
+      row.appendChild(this.createButton('Move Down', () => this.onEditRod('down')));
+    }
+    if (this.mechanism.canDeleteRod(rod.id)) {
+      row.appendChild(this.createButton('Delete', () => this.onEditRod('delete')));
+    }
+    this.container.appendChild(row);
+  }
+
+  clearCouplerTrace(rodId, index) {
+    if (this.mechanism.traceSystem) {
+      this.mechanism.traceSystem.clearTrace(`coupler_${rodId}_${index}`);
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import { MenuSection } from './MenuSection.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * Menu section showing the seed of the mechanism's random numbers
+ * Setting a seed restarts the sequence: the same seed and the same clicks build the same linkage
+ */
+export class SeedPanel extends MenuSection {
+  constructor(onChange, renderer, mechanism) {
+    super('seedContainer', onChange, renderer, mechanism);
+  }
+
+  /**
+   * Rebuild the panel (after loading a state or switching dark mode)
+   */
+  refresh() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    const row = document.createElement('div');
+    row.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 4px;
+    `;
+
+    const seedInput = this.createTextInput({
+      label: 'Seed',
+      value: String(this.mechanism.random.getSeed()),
+      onCommit: (text) => {
+        const seed = Number(text);
+        if (Number.isInteger(seed) && seed >= 0) {
+          this.mechanism.random.setSeed(seed);
+          this.notifyChange();
+        }
+        return String(this.mechanism.random.getSeed());
+      }
+    });
+    seedInput.style.flex = '1';
+    row.appendChild(seedInput);
+
+    row.appendChild(this.createButton('New Seed', () => {
+      this.mechanism.random.setSeed(Random.randomSeed());
+      this.notifyChange();
+      this.refresh();
+    }));
+    this.container.appendChild(row);
+  }
+}
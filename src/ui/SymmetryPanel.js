@@ -0,0 +1,85 @@
+import { MathUtils } from '../utils/MathUtils.js';
+import { MenuSection } from './MenuSection.js';
+
+/**
+ * Menu section for rotational (rosette) and mirror symmetry clones of the whole mechanism
+ */
+export class SymmetryPanel extends MenuSection {
+  constructor(onChange, renderer, mechanism) {
+    super('symmetryContainer', onChange, renderer, mechanism);
+  }
+
+  /**
+   * Rebuild the panel from the mechanism (after loading a state or switching dark mode)
+   */
+  refresh() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    const symmetry = this.mechanism.symmetry;
+    this.container.appendChild(this.createSelect({
+      label: 'Symmetry',
+      value: symmetry.mode,
+      options: [
+        { value: 'none', label: 'Off' },
+        { value: 'rotate', label: 'Rotate' },
+        { value: 'mirror', label: 'Mirror' }
+      ],
+      onChange: (mode) => {
+        this.apply({ mode });
+        this.refresh();
+      }
+    }));
+
+    if (!symmetry.isActive()) return;
+
+    if (symmetry.mode === 'rotate') {
+      this.container.appendChild(this.createSlider({
+        label: 'Copies',
+        min: 2,
+        max: 24,
+        value: symmetry.count,
+        onInput: (value) => this.apply({ count: value })
+      }));
+    } else {
+      this.container.appendChild(this.createSlider({
+        label: 'Mirror Axis',
+        min: 0,
+        max: 180,
+        value: Math.round(MathUtils.degrees(symmetry.axisAngle)),
+        format: (value) => value + '°',
+        onInput: (value) => this.apply({ axisAngle: MathUtils.radians(value) })
+      }));
+    }
+
+    this.container.appendChild(this.createSlider({
+      label: 'Phase Offset',
+      min: 0,
+      max: 360,
+      value: Math.round(MathUtils.degrees(symmetry.phaseOffset)),
+      format: (value) => value + '° per copy',
+      onInput: (value) => this.apply({ phaseOffset: MathUtils.radians(value) })
+    }));
+
+    // The centre goes to the selected joint, or back to the main anchor without a selection
+    this.container.appendChild(this.createButton('Centre on Selection', () => {
+      const rodId = this.mechanism.selectedRodId;
+      const joint = rodId !== null ? this.mechanism.joints[rodId] : null;
+      this.apply({ center: joint ? { x: joint.x, y: joint.y } : null });
+      this.refresh();
+    }));
+    this.container.appendChild(this.createHint(symmetry.center
+      ? `Centre at ${symmetry.center.x.toFixed(0)}, ${symmetry.center.y.toFixed(0)}`
+      : 'Centre at the main anchor'));
+  }
+
+  /**
+   * Change settings; clone traces drawn with the old ones are dropped
+   */
+  apply(settings) {
+    this.mechanism.symmetry.setSettings(settings);
+    this.mechanism.resetClones();
+    this.mechanism.updateClones();
+    this.notifyChange();
+  }
+}
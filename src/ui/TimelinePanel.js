@@ -0,0 +1,158 @@
+import { MathUtils } from '../utils/MathUtils.js';
+import { MenuSection } from './MenuSection.js';
+
+/**
+ * Menu section for scrubbing the crank angle, stepping frames and drawing a whole cycle at once
+ * The crank angle is not part of the saved state, so none of this touches history or the URL
+ */
+export class TimelinePanel extends MenuSection {
+  constructor(onPause, renderer, mechanism) {
+    super('timelineContainer', null, renderer, mechanism);
+    this.onPause = onPause;
+    this.angleSlider = null;
+    this.angleText = null;
+    this.isScrubbing = false;
+    this.pendingDegrees = null; // Slider value waiting for the next animation frame
+    this.scrubbedAngle = null; // Crank angle the last scrub left the mechanism at
+    // What dragging a joint does: 'resize' its rod or 'scrub' the crank (Alt swaps them)
+    this.dragMode = 'resize';
+
+    window.addEventListener('pointerup', () => {
+      this.isScrubbing = false;
+    });
+  }
+
+  /**
+   * Rebuild the panel (after loading a state or switching dark mode)
+   */
+  refresh() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    const sliderGroup = this.createSlider({
+      label: 'Crank Angle',
+      min: 0,
+      max: this.getCycleDegrees(),
+      step: 1,
+      value: this.getCycleAngle(),
+      format: (value) => value + '°',
+      onInput: (value) => this.requestScrub(value)
+    });
+    this.angleSlider = sliderGroup.querySelector('input');
+    this.angleText = sliderGroup.querySelector('span:last-child');
+    this.angleSlider.addEventListener('pointerdown', () => {
+      this.isScrubbing = true;
+    });
+    this.container.appendChild(sliderGroup);
+
+    const buttonRow = document.createElement('div');
+    buttonRow.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      gap: 4px;
+    `;
+    buttonRow.appendChild(this.createButton('◀ Frame', () => this.stepFrames(-1)));
+    buttonRow.appendChild(this.createButton('Frame ▶', () => this.stepFrames(1)));
+    buttonRow.appendChild(this.createButton('Draw Cycle', () => this.mechanism.drawWholeCycle()));
+    this.container.appendChild(buttonRow);
+
+    this.container.appendChild(this.createSelect({
+      label: 'Joint Drag',
+      value: this.dragMode,
+      options: [
+        { value: 'resize', label: 'Resize Rod' },
+        { value: 'scrub', label: 'Scrub Motion' }
+      ],
+      onChange: (mode) => {
+        this.dragMode = mode;
+      }
+    }));
+  }
+
+  /**
+   * Follow the crank while it plays (called every frame)
+   */
+  sync() {
+    if (!this.angleSlider || this.isScrubbing) return;
+
+    const max = this.getCycleDegrees();
+    if (Number(this.angleSlider.max) !== max) {
+      this.angleSlider.max = max.toString();
+    }
+    const value = this.getCycleAngle();
+    if (Number(this.angleSlider.value) !== value) {
+      this.angleSlider.value = value;
+      this.angleText.textContent = value + '°';
+    }
+  }
+
+  /**
+   * One slider range covers a full multi-crank cycle
+   */
+  getCycleDegrees() {
+    return 360 * this.mechanism.getCycleRevolutions();
+  }
+
+  /**
+   * Crank angle within the current cycle, in whole degrees
+   */
+  getCycleAngle() {
+    const cycle = this.getCycleDegrees();
+    const degrees = Math.round(MathUtils.degrees(this.mechanism.crankAngle));
+    return ((degrees % cycle) + cycle) % cycle;
+  }
+
+  /**
+   * Scrub at most once per animation frame: input events can come faster than a cycle can be
+   * simulated, and only the latest value matters
+   */
+  requestScrub(cycleDegrees) {
+    const isQueued = this.pendingDegrees !== null;
+    this.pendingDegrees = cycleDegrees;
+    if (isQueued) return;
+
+    requestAnimationFrame(() => {
+      const degrees = this.pendingDegrees;
+      this.pendingDegrees = null;
+      if (degrees !== null) {
+        this.scrubTo(degrees);
+      }
+    });
+  }
+
+  scrubTo(cycleDegrees) {
+    this.pause();
+
+    // Stay in the current cycle so the crank angle doesn't jump by whole turns
+    const cycle = MathUtils.radians(this.getCycleDegrees());
+    const cycleStart = Math.floor(this.mechanism.crankAngle / cycle) * cycle;
+    const angle = cycleStart + MathUtils.radians(cycleDegrees);
+
+    // Still where the last scrub left it, the trace leads up to the crank, so moving forward
+    // only needs the difference simulated
+    if (this.mechanism.crankAngle === this.scrubbedAngle) {
+      this.mechanism.scrubForwardTo(angle);
+    } else {
+      this.mechanism.scrubTo(angle);
+    }
+    this.scrubbedAngle = this.mechanism.crankAngle;
+  }
+
+  /**
+   * Step whole frames forward (positive) or back (negative)
+   */
+  stepFrames(frames) {
+    this.pause();
+    this.mechanism.stepFrames(frames);
+    this.sync();
+  }
+
+  pause() {
+    if (this.mechanism.isPlaying) {
+      this.mechanism.isPlaying = false;
+      if (this.onPause) {
+        this.onPause();
+      }
+    }
+  }
+}
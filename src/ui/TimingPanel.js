@@ -0,0 +1,105 @@
+import { MenuSection } from './MenuSection.js';
+
+/**
+ * Menu section for crank speed, trace resolution and the speed profile
+ */
+export class TimingPanel extends MenuSection {
+  constructor(onChange, renderer, mechanism, traceSystem) {
+    super('timingContainer', onChange, renderer, mechanism);
+    this.traceSystem = traceSystem;
+  }
+
+  /**
+   * Rebuild the panel from the mechanism (after loading a state or switching dark mode)
+   */
+  refresh() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    this.container.appendChild(this.createSlider({
+      label: 'Speed',
+      min: 0.02,
+      max: 2,
+      step: 0.01,
+      value: Number(this.mechanism.revolutionsPerSecond.toFixed(2)),
+      format: (value) => value.toFixed(2) + ' rev/s',
+      onInput: (value) => {
+        this.mechanism.setRevolutionsPerSecond(value);
+        this.notifyChange();
+      }
+    }));
+
+    this.container.appendChild(this.createSlider({
+      label: 'Trace Resolution',
+      min: 360,
+      max: 5760,
+      step: 360,
+      value: this.mechanism.stepsPerRound,
+      format: (value) => value + ' pts/rev',
+      onInput: (value) => {
+        this.mechanism.setStepsPerRound(value);
+        this.traceSystem.updateFadeLifespan(this.mechanism.stepsPerRound);
+        this.notifyChange();
+      }
+    }));
+
+    const profile = this.mechanism.speedProfile;
+    this.container.appendChild(this.createSelect({
+      label: 'Speed Profile',
+      value: profile.mode,
+      options: [
+        { value: 'uniform', label: 'Uniform' },
+        { value: 'easeInOut', label: 'Ease In/Out' },
+        { value: 'wobble', label: 'Wobble' },
+        { value: 'custom', label: 'Custom' }
+      ],
+      onChange: (mode) => {
+        profile.setSettings({ mode });
+        this.notifyChange();
+        this.refresh();
+      }
+    }));
+
+    if (profile.mode === 'easeInOut' || profile.mode === 'wobble') {
+      this.container.appendChild(this.createSlider({
+        label: 'Profile Amount',
+        min: 0,
+        max: 100,
+        value: Math.round(profile.amount * 100),
+        format: (value) => value + '%',
+        onInput: (value) => {
+          profile.setSettings({ amount: value / 100 });
+          this.notifyChange();
+        }
+      }));
+    }
+
+    if (profile.mode === 'wobble') {
+      this.container.appendChild(this.createSlider({
+        label: 'Wobbles',
+        min: 1,
+        max: 12,
+        value: profile.wobbles,
+        format: (value) => value + '/rev',
+        onInput: (value) => {
+          profile.setSettings({ wobbles: value });
+          this.notifyChange();
+        }
+      }));
+    }
+
+    if (profile.mode === 'custom') {
+      // Relative speeds at evenly spaced angles, e.g. "1, 0.2, 1, 3"
+      this.container.appendChild(this.createTextInput({
+        label: 'Speed Curve',
+        value: profile.custom.join(', '),
+        onCommit: (text) => {
+          const values = text.split(/[\s,;]+/).filter(part => part !== '').map(Number);
+          profile.setSettings({ custom: values });
+          this.notifyChange();
+          return profile.custom.join(', ');
+        }
+      }));
+    }
+  }
+}
@@ -1,11 +1,23 @@
 import { ColorPicker } from './ColorPicker.js';
+import { RodInspector } from './RodInspector.js';
+import { TimingPanel } from './TimingPanel.js';
+import { TimelinePanel } from './TimelinePanel.js';
+import { DiagnosticsPanel } from './DiagnosticsPanel.js';
+import { FitPanel } from './FitPanel.js';
+import { ExplorerPanel } from './ExplorerPanel.js';
+import { SeedPanel } from './SeedPanel.js';
+import { SymmetryPanel } from './SymmetryPanel.js';
+import { AutomationPanel } from './AutomationPanel.js';
+import { MorphPanel } from './MorphPanel.js';
+import { UnitsPanel } from './UnitsPanel.js';
+import { HeatmapPanel } from './HeatmapPanel.js';
 import { presets } from '../data/presets.js';
 
 /**
  * Manages UI button interactions and state updates
  */
 export class UIController {
-  constructor(mechanism, traceSystem, videoExporter, camera, urlStateManager, renderer, stateSerializer, localStorageManager) {
+  constructor(mechanism, traceSystem, videoExporter, camera, urlStateManager, renderer, stateSerializer, localStorageManager, diagnostics) {
     this.mechanism = mechanism;
     this.traceSystem = traceSystem;
     this.videoExporter = videoExporter;
@@ -14,8 +26,40 @@ export class UIController {
     this.renderer = renderer;
     this.stateSerializer = stateSerializer;
     this.localStorageManager = localStorageManager;
+    this.diagnostics = diagnostics;
     this.p5Instance = null;
     this.colorPicker = new ColorPicker((design) => this.handleDesignChange(design), renderer, traceSystem, mechanism);
+    this.rodInspector = new RodInspector(
+      () => this.handleMechanismEdit(),
+      renderer,
+      mechanism,
+      (action) => this.editSelectedRod(action)
+    );
+    this.timingPanel = new TimingPanel(() => this.handleMechanismEdit(), renderer, mechanism, traceSystem);
+    this.seedPanel = new SeedPanel(() => this.handleMechanismEdit(), renderer, mechanism);
+    this.symmetryPanel = new SymmetryPanel(() => this.handleMechanismEdit(), renderer, mechanism);
+    this.heatmapPanel = new HeatmapPanel(() => this.handleMechanismEdit(), renderer, mechanism, traceSystem);
+    this.unitsPanel = new UnitsPanel(() => this.handleMechanismEdit(), renderer, mechanism);
+    this.automationPanel = new AutomationPanel(() => this.handleMechanismEdit(), renderer, mechanism, traceSystem);
+    this.timelinePanel = new TimelinePanel(() => this.syncPlayButton(), renderer, mechanism);
+    this.diagnosticsPanel = new DiagnosticsPanel((rodId) => this.selectIssueRod(rodId), renderer, mechanism, diagnostics);
+    this.fitPanel = new FitPanel(() => this.handleFitApplied(), renderer, mechanism, stateSerializer);
+    this.explorerPanel = new ExplorerPanel(
+      (state) => this.loadVariant(state),
+      (state, thumbnail) => this.saveVariant(state, thumbnail),
+      renderer,
+      mechanism,
+      stateSerializer
+    );
+    this.morphPanel = new MorphPanel(
+      (state) => this.loadMorphStart(state),
+      () => this.handleMorphStopped(),
+      () => this.toggleVideoRecording(),
+      () => this.getMorphDesigns(),
+      renderer,
+      mechanism,
+      stateSerializer
+    );
     this.isEditMode = false;
 
     // Auto-fit after state load
@@ -38,6 +82,9 @@ export class UIController {
     this.traceSystem.setTraceColor(design.color);
     this.traceSystem.setTraceWidth(design.traceWidth);
     this.traceSystem.setRodsWidth(design.rodsWidth);
+    if (design.colorMode) {
+      this.traceSystem.setColorMode(design.colorMode);
+    }
     if (design.fadingEnabled !== undefined) {
       this.traceSystem.setFading(design.fadingEnabled);
     }
@@ -46,13 +93,183 @@ export class UIController {
     this.urlStateManager.schedulePushToHistory(400);
   }
 
+  /**
+   * Continuous edits from the rod inspector and timing panel
+   */
+  handleMechanismEdit() {
+    this.urlStateManager.updateURLWithoutHistory(50);
+    this.urlStateManager.schedulePushToHistory(400);
+  }
+
   setP5Instance(p5Instance, mechanism) {
     this.p5Instance = p5Instance;
     this.mechanism = mechanism;
   }
 
   syncButtonStates() {
-    // Sync play/pause button
+    this.syncPlayButton();
+
+    // Sync selected rod, timing and timeline panels (values may have changed through history or clicks)
+    this.rodInspector.refresh(true);
+    this.timingPanel.refresh();
+    this.timelinePanel.refresh();
+    this.seedPanel.refresh();
+    this.symmetryPanel.refresh();
+    this.automationPanel.refresh();
+    this.heatmapPanel.refresh();
+    this.unitsPanel.refresh();
+    this.diagnosticsPanel.refresh();
+    this.fitPanel.refresh();
+    this.explorerPanel.refresh();
+    this.morphPanel.refresh();
+
+    // The mechanism may have been replaced, so the last step is no reference for jumps
+    this.diagnostics.reset();
+  }
+
+  /**
+   * A curve fit finished or was reverted: the mechanism changed as a whole
+   */
+  handleFitApplied() {
+    this.syncButtonStates();
+    this.urlStateManager.pushToHistoryNow();
+  }
+
+  /**
+   * Saved states and presets the morph panel can blend between
+   */
+  getMorphDesigns() {
+    const saved = this.localStorageManager.getSavedStates().map((saveData, i) => ({
+      id: saveData.id,
+      label: `Saved ${i + 1}`,
+      state: saveData.state
+    }));
+    const presetDesigns = presets.map(preset => ({ id: preset.id, label: preset.name, state: preset.state }));
+    return [...saved, ...presetDesigns];
+  }
+
+  /**
+   * Load the design a morph starts from (errors go back to the morph panel)
+   */
+  loadMorphStart(state) {
+    this.traceSystem.clearAllTraces();
+    this.stateSerializer.importState(state);
+    this.syncButtonStates();
+    this.colorPicker.setDesign({
+      color: state.traceColor,
+      traceWidth: state.traceWidth,
+      rodsWidth: state.rodsWidth,
+      colorMode: this.traceSystem.getColorMode(),
+      fadingEnabled: state.fadingEnabled
+    });
+  }
+
+  /**
+   * A morph stopped: the design it reached stays and becomes a history entry
+   */
+  handleMorphStopped() {
+    this.syncButtonStates();
+    this.colorPicker.setDesign({
+      color: this.traceSystem.getTraceColor(),
+      traceWidth: this.traceSystem.getTraceWidth(),
+      rodsWidth: this.traceSystem.getRodsWidth()
+    });
+    this.urlStateManager.pushToHistoryNow();
+  }
+
+  /**
+   * Start a video recording of one full cycle (or cancel the running one)
+   */
+  toggleVideoRecording() {
+    const sidebarVideoBtn = document.getElementById('sidebarVideoBtn');
+    const setLabel = (text) => {
+      if (sidebarVideoBtn) sidebarVideoBtn.textContent = text;
+    };
+
+    if (this.videoExporter.isCurrentlyRecording()) {
+      // Cancel recording
+      this.videoExporter.cancel();
+      setLabel('VIDEO');
+      return;
+    }
+
+    // Start recording
+    const canvas = this.p5Instance.canvas;
+    // One loop covers the full multi-crank cycle
+    const cycleRevolutions = this.mechanism.getCycleRevolutions();
+    const stepsPerLoop = this.mechanism.stepsPerRound * cycleRevolutions;
+    const framesPerLoop = Math.round(stepsPerLoop / this.mechanism.getStepsPerFrame());
+
+    setLabel('RECORDING...');
+
+    this.videoExporter.startRecording(canvas, framesPerLoop, () => {
+      setLabel('VIDEO');
+    }, cycleRevolutions);
+  }
+
+  /**
+   * Load a variant picked in the explorer into the editor
+   */
+  loadVariant(state) {
+    try {
+      this.traceSystem.clearAllTraces();
+      this.stateSerializer.importState(state);
+      this.syncButtonStates();
+      this.urlStateManager.pushToHistoryNow();
+    } catch (error) {
+      console.error('Error loading variant:', error);
+      alert('Failed to load variant.');
+    }
+  }
+
+  /**
+   * Save a variant from the explorer with its trace thumbnail
+   */
+  saveVariant(state, thumbnail) {
+    const id = this.localStorageManager.saveState(state, thumbnail);
+    if (id) {
+      this.populateSavedGrid();
+    }
+  }
+
+  /**
+   * Insert a rod after the selected one, delete it or move it up or down the chain
+   * Rod ids change, so every panel is rebuilt
+   * @param {'insert'|'delete'|'up'|'down'} action
+   */
+  editSelectedRod(action) {
+    const rodId = this.mechanism.selectedRodId;
+    if (rodId === null || !this.mechanism.rods[rodId]) return;
+
+    let changed = false;
+    if (action === 'insert') {
+      const newId = this.mechanism.insertRod(rodId);
+      if (newId !== null) {
+        this.mechanism.selectedRodId = newId;
+        changed = true;
+      }
+    } else if (action === 'delete') {
+      changed = this.mechanism.deleteRod(rodId);
+    } else if (action === 'up' || action === 'down') {
+      changed = this.mechanism.moveRod(rodId, action === 'up' ? -1 : 1);
+    }
+    if (!changed) return;
+
+    this.syncButtonStates();
+    this.urlStateManager.pushToHistoryNow();
+  }
+
+  /**
+   * Select the rod of an issue clicked in the diagnostics panel
+   */
+  selectIssueRod(rodId) {
+    if (this.mechanism.selectedRodId !== rodId) {
+      this.mechanism.selectRod(rodId);
+    }
+    this.rodInspector.refresh();
+  }
+
+  syncPlayButton() {
     const playPauseBtn = document.getElementById('playPauseBtn');
     if (playPauseBtn) {
       playPauseBtn.textContent = this.mechanism.isPlaying ? 'PAUSE' : 'PLAY';
@@ -60,6 +277,24 @@ export class UIController {
   }
 
   setupEventListeners() {
+    // Arrow keys step the timeline one frame (ten with Shift)
+    document.addEventListener('keydown', (e) => {
+      const tag = e.target && e.target.tagName;
+      if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+      if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+        e.preventDefault();
+        const frames = e.shiftKey ? 10 : 1;
+        this.timelinePanel.stepFrames(e.key === 'ArrowRight' ? frames : -frames);
+      }
+
+      // Chain edits on the rod selected on the canvas
+      const rodActions = { Delete: 'delete', Backspace: 'delete', i: 'insert', '[': 'up', ']': 'down' };
+      if (rodActions[e.key] && this.mechanism.selectedRodId !== null) {
+        e.preventDefault();
+        this.editSelectedRod(rodActions[e.key]);
+      }
+    });
+
     // Play/Pause button
     const playPauseBtn = document.getElementById('playPauseBtn');
     if (playPauseBtn) {
@@ -110,7 +345,8 @@ export class UIController {
     if (addRodBtn) {
       addRodBtn.onclick = () => {
         this.mechanism.addRod();
-        this.traceSystem.updateFadeLifespan(this.mechanism.FRAMES_PER_ROUND);
+        this.traceSystem.updateFadeLifespan(this.mechanism.stepsPerRound);
+        this.rodInspector.refresh();
         this.urlStateManager.pushToHistoryNow();
       };
     }
@@ -122,13 +358,53 @@ export class UIController {
         // Clear trace for the rod being removed
         const lastRodId = this.mechanism.rods.length - 1;
         this.traceSystem.clearTrace(lastRodId);
+        const lastRod = this.mechanism.rods[lastRodId];
+        if (lastRod) {
+          lastRod.couplerPoints.forEach((_, k) => this.traceSystem.clearTrace(`coupler_${lastRodId}_${k}`));
+        }
 
         this.mechanism.removeRod();
-        this.traceSystem.updateFadeLifespan(this.mechanism.FRAMES_PER_ROUND);
+        this.traceSystem.updateFadeLifespan(this.mechanism.stepsPerRound);
+        this.rodInspector.refresh();
+        this.urlStateManager.pushToHistoryNow();
+      };
+    }
+
+    // Add Loop button
+    const addLoopBtn = document.getElementById('addLoopBtn');
+    if (addLoopBtn) {
+      addLoopBtn.onclick = () => {
+        this.mechanism.addLoopRod();
+        this.rodInspector.refresh();
+        this.urlStateManager.pushToHistoryNow();
+      };
+    }
+
+    // Add Crank button - selects the new crank so its ratio and phase can be edited
+    const addCrankBtn = document.getElementById('addCrankBtn');
+    if (addCrankBtn) {
+      addCrankBtn.onclick = () => {
+        const crank = this.mechanism.addCrank();
+        this.mechanism.selectedRodId = crank.id;
+        this.rodInspector.refresh();
         this.urlStateManager.pushToHistoryNow();
       };
     }
 
+    // Flip Elbow button - acts on the selected loop rod, or the newest one
+    const flipElbowBtn = document.getElementById('flipElbowBtn');
+    if (flipElbowBtn) {
+      flipElbowBtn.onclick = () => {
+        const selected = this.mechanism.rods[this.mechanism.selectedRodId];
+        const loopRods = this.mechanism.rods.filter(rod => rod.isLoop());
+        const target = selected && selected.isLoop() ? selected : loopRods[loopRods.length - 1];
+        if (target && this.mechanism.flipElbow(target.id)) {
+          this.traceSystem.clearTrace(target.id);
+          this.urlStateManager.pushToHistoryNow();
+        }
+      };
+    }
+
     // Sidebar Save button
     const sidebarSaveBtn = document.getElementById('sidebarSaveBtn');
     if (sidebarSaveBtn) {
@@ -162,21 +438,7 @@ export class UIController {
     const sidebarVideoBtn = document.getElementById('sidebarVideoBtn');
     if (sidebarVideoBtn) {
       sidebarVideoBtn.onclick = () => {
-        if (this.videoExporter.isCurrentlyRecording()) {
-          // Cancel recording
-          this.videoExporter.cancel();
-          sidebarVideoBtn.textContent = 'VIDEO';
-        } else {
-          // Start recording
-          const canvas = this.p5Instance.canvas;
-          const framesPerRound = this.mechanism.FRAMES_PER_ROUND;
-
-          sidebarVideoBtn.textContent = 'RECORDING...';
-
-          this.videoExporter.startRecording(canvas, framesPerRound, () => {
-            sidebarVideoBtn.textContent = 'VIDEO';
-          });
-        }
+        this.toggleVideoRecording();
       };
     }
 
@@ -428,6 +690,8 @@ export class UIController {
     if (!savedGrid) return;
 
     savedGrid.innerHTML = '';
+    // The morph panel lists saved states too
+    this.morphPanel.refresh();
 
     const savedStates = this.localStorageManager.getSavedStates();
 
@@ -531,6 +795,7 @@ export class UIController {
         color: state.traceColor,
         traceWidth: state.traceWidth,
         rodsWidth: state.rodsWidth,
+        colorMode: this.traceSystem.getColorMode(),
         fadingEnabled: state.fadingEnabled
       });
 
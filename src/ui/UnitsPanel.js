@@ -0,0 +1,121 @@
+import { MenuSection } from './MenuSection.js';
+import { Units } from '../linkage/Units.js';
+import { Vector } from '../utils/Vector.js';
+
+/**
+ * Menu section for document units: scale, rounding to stock sizes, and a readout of rod
+ * lengths and pivot distances that can be downloaded as a parts list
+ */
+export class UnitsPanel extends MenuSection {
+  constructor(onChange, renderer, mechanism) {
+    super('unitsContainer', onChange, renderer, mechanism);
+  }
+
+  /**
+   * Rebuild the panel (after loading a state, an edit or switching dark mode)
+   */
+  refresh() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    this.container.appendChild(this.createTitle('Units'));
+
+    const units = this.mechanism.units;
+    this.container.appendChild(this.createSelect({
+      label: 'Units',
+      value: units.unit,
+      options: Units.getUnitOptions(),
+      onChange: (unit) => {
+        units.setSettings({ unit });
+        this.mechanism.snapLengths();
+        this.notifyChange();
+        this.refresh();
+      }
+    }));
+
+    if (!units.isActive()) {
+      this.container.appendChild(this.createHint('Pick mm, cm or in to see real dimensions for a physical build'));
+      return;
+    }
+
+    this.container.appendChild(this.createTextInput({
+      label: 'Scale (mm per pixel)',
+      value: String(units.mmPerPixel),
+      onCommit: (text) => {
+        units.setSettings({ mmPerPixel: Number(text) });
+        this.mechanism.snapLengths();
+        this.notifyChange();
+        this.refresh();
+        return String(units.mmPerPixel);
+      }
+    }));
+
+    this.container.appendChild(this.createTextInput({
+      label: 'Round Lengths To (mm, 0 = off)',
+      value: String(units.snap),
+      onCommit: (text) => {
+        if (text.trim() !== '') {
+          units.setSettings({ snap: Number(text) });
+        }
+        this.mechanism.snapLengths();
+        this.notifyChange();
+        this.refresh();
+        return String(units.snap);
+      }
+    }));
+
+    this.getPartsList().forEach(({ label, value }) => {
+      const valueText = document.createElement('span');
+      valueText.textContent = value;
+      valueText.style.cssText = `
+        opacity: 0.8;
+        color: ${this.getTextColor()};
+      `;
+      this.container.appendChild(this.createLabelRow(label, valueText));
+    });
+
+    this.container.appendChild(this.createButton('Download Parts List', () => this.downloadPartsList()));
+  }
+
+  /**
+   * Rod lengths, loop links and ground pivot distances from the main anchor, in document units
+   * @returns {Array<{label: string, value: string, detail: string}>}
+   */
+  getPartsList() {
+    const mechanism = this.mechanism;
+    const units = mechanism.units;
+    const parts = [];
+
+    mechanism.rods.forEach(rod => {
+      const name = rod.isCrank() ? `Crank ${rod.id}` : `Rod ${rod.id}`;
+      parts.push({ label: name, value: units.format(rod.length), detail: '' });
+      if (rod.isLoop()) {
+        const pivot = rod.pivotRodId !== null ? `joint ${rod.pivotRodId}` : 'ground pivot';
+        parts.push({ label: `${name} Link`, value: units.format(rod.pivotLength), detail: `to ${pivot}` });
+      }
+    });
+
+    const origin = mechanism.anchor.pos;
+    mechanism.getGroundPivots().slice(1).forEach(({ label, pos }) => {
+      const dx = units.format(pos.x - origin.x);
+      const dy = units.format(origin.y - pos.y);
+      parts.push({ label: `${label} Pivot`, value: units.format(Vector.dist(origin, pos)), detail: `from Anchor 0 (x ${dx}, y ${dy})` });
+    });
+    return parts;
+  }
+
+  downloadPartsList() {
+    const units = this.mechanism.units;
+    const lines = [
+      `Linkage parts list (${units.getLabel()}, ${units.mmPerPixel} mm per pixel)`,
+      ...this.getPartsList().map(({ label, value, detail }) => [label, value, detail].filter(Boolean).join('\t'))
+    ];
+    const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `linkage-parts-${Date.now()}.txt`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+}
@@ -15,16 +15,21 @@ export class GifExporter {
     this.startAngle = 0;
   }
 
-  startRecording(framesPerRound, currentAngle, onComplete) {
+  /**
+   * @param {number} framesPerLoop - Frames until the mechanism repeats (one revolution, or a full multi-crank cycle)
+   * @param {number} cycleRevolutions - Revolutions in one loop; long cycles are recorded once
+   */
+  startRecording(framesPerLoop, currentAngle, onComplete, cycleRevolutions = 1) {
     this.isRecording = true;
     this.frameCount = 0;
     this.captureCallCount = 0;
     this.startAngle = currentAngle;
-    // Record exactly 2 full rotations (subtract 1 to avoid duplicate last frame)
-    this.targetFrames = (framesPerRound * 2) - 1;
+    // Record about 2 full rotations in whole loops (subtract 1 to avoid duplicate last frame)
+    const loops = Math.max(1, Math.round(2 / cycleRevolutions));
+    this.targetFrames = (framesPerLoop * loops) - 1;
     this.onComplete = onComplete;
 
-    console.log(`Starting GIF recording: ${this.targetFrames} frames (${framesPerRound} frames per round)`);
+    console.log(`Starting GIF recording: ${this.targetFrames} frames (${framesPerLoop} frames per loop)`);
 
     // Initialize gif.js with worker script
     this.gif = new GIF({
@@ -1,3 +1,5 @@
+import { URLStateManager } from './URLStateManager.js';
+
 /**
  * Manages browser history for undo/redo functionality
  * Stores full linkage state in browser history for back/forward navigation
@@ -159,54 +161,10 @@ export class HistoryManager {
   }
 
   /**
-   * Encode state to URLSearchParams (same logic as URLStateManager)
+   * Encode state to URLSearchParams (same format as URLStateManager)
    */
   _encodeStateToParams(state) {
-    const params = new URLSearchParams();
-
-    // Encode anchor
-    params.set('anchor', `${state.anchor.x.toFixed(1)},${state.anchor.y.toFixed(1)}`);
-
-    // Encode crank
-    const crank = state.anchor.crank;
-    params.set('crank', `${crank.length.toFixed(1)},${crank.isTracing ? 1 : 0},${crank.isFullRodTracing ? 1 : 0}`);
-
-    // Encode rods
-    state.rods.forEach(rod => {
-      const rodKey = `rod${rod.id}`;
-      const gp = rod.guidePoint;
-      if (gp) {
-        params.set(rodKey, `${rod.length.toFixed(1)},${gp.x.toFixed(1)},${gp.y.toFixed(1)},${rod.isTracing ? 1 : 0},${rod.isFullRodTracing ? 1 : 0}`);
-      }
-    });
-
-    // Encode camera
-    params.set('camera', `${state.camera.offsetX.toFixed(1)},${state.camera.offsetY.toFixed(1)},${state.camera.zoom.toFixed(3)}`);
-
-    // Encode color
-    const color = state.traceColor;
-    params.set('color', `${color.r},${color.g},${color.b}`);
-
-    // Encode widths
-    if (state.traceWidth !== undefined) {
-      params.set('traceWidth', state.traceWidth.toString());
-    }
-    if (state.rodsWidth !== undefined) {
-      params.set('rodsWidth', state.rodsWidth.toString());
-    }
-
-    // Encode modes
-    if (state.isStretchingMode !== undefined) {
-      params.set('stretch', state.isStretchingMode ? '1' : '0');
-    }
-    if (state.isInverse !== undefined) {
-      params.set('inverse', state.isInverse ? '1' : '0');
-    }
-    if (state.fadingEnabled !== undefined) {
-      params.set('fade', state.fadingEnabled ? '1' : '0');
-    }
-
-    return params;
+    return URLStateManager.encodeParams(state);
   }
 
   /**
@@ -25,4 +25,68 @@ export class MathUtils {
   static degrees(radians) {
     return (radians * 180) / Math.PI;
   }
-}
\ No newline at end of file
+
+  /**
+   * Closest fraction to a number, using continued fractions
+   * @returns {{num: number, den: number}}
+   */
+  static toFraction(value, maxDenominator = 12) {
+    let h0 = 0, h1 = 1, k0 = 1, k1 = 0;
+    let x = value;
+    for (let i = 0; i < 32; i++) {
+      const a = Math.floor(x);
+      const h2 = a * h1 + h0;
+      const k2 = a * k1 + k0;
+      if (k2 > maxDenominator) break;
+      h0 = h1; h1 = h2;
+      k0 = k1; k1 = k2;
+      const frac = x - a;
+      if (Math.abs(frac) < 1e-9) break;
+      x = 1 / frac;
+    }
+    return { num: h1, den: k1 };
+  }
+
+  static gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) {
+      [a, b] = [b, a % b];
+    }
+    return a;
+  }
+
+  static lcm(a, b) {
+    return a / MathUtils.gcd(a, b) * b;
+  }
+
+  /**
+   * Intersect two circles
+   * Returns null when they don't meet, otherwise [elbowUp, elbowDown]:
+   * the two mirror solutions on either side of the line from c0 to c1
+   */
+  static circleIntersections(c0, r0, c1, r1) {
+    const dx = c1.x - c0.x;
+    const dy = c1.y - c0.y;
+    const d = Math.sqrt(dx * dx + dy * dy);
+
+    // Concentric, too far apart, or one circle inside the other
+    if (d < 1e-9 || d > r0 + r1 || d < Math.abs(r0 - r1)) {
+      return null;
+    }
+
+    // Distance from c0 to the chord midpoint, and half chord length
+    const a = (r0 * r0 - r1 * r1 + d * d) / (2 * d);
+    const h = Math.sqrt(Math.max(0, r0 * r0 - a * a));
+
+    const mx = c0.x + (a * dx) / d;
+    const my = c0.y + (a * dy) / d;
+    const ox = (-dy * h) / d;
+    const oy = (dx * h) / d;
+
+    return [
+      { x: mx + ox, y: my + oy },
+      { x: mx - ox, y: my - oy }
+    ];
+  }
+}
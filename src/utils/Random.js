@@ -0,0 +1,82 @@
+/**
+ * Seeded pseudo-random numbers (mulberry32): the same seed always gives the same sequence,
+ * so generated designs can be reproduced and shared
+ */
+export class Random {
+  /**
+   * @param {number} seed - Any integer (only the low 32 bits are used)
+   */
+  constructor(seed = Random.randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Fresh seed for when the user didn't pick one
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 1000000);
+  }
+
+  /**
+   * Restart the sequence from a seed
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.setDraws(0);
+  }
+
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Numbers drawn since the seed was set; seed and draws together pin down the next number
+   */
+  getDraws() {
+    return this.draws;
+  }
+
+  /**
+   * Jump to a position in the sequence (the generator state just counts up from the seed)
+   */
+  setDraws(draws) {
+    this.draws = draws;
+    this.state = (this.seed + Math.imul(draws, 0x6D2B79F5)) >>> 0;
+  }
+
+  /**
+   * Uniform number in [0, 1), like Math.random()
+   */
+  next() {
+    this.draws++;
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + (max - min) * this.next();
+  }
+
+  /**
+   * True with the given probability
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Normally distributed number (Box-Muller)
+   */
+  gaussian(mean = 0, deviation = 1) {
+    const u = 1 - this.next(); // (0, 1] so the log is finite
+    const v = this.next();
+    return mean + deviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
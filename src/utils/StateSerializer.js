@@ -1,5 +1,9 @@
 import { Rod } from '../linkage/Rod.js';
 import { GuidePoint } from '../linkage/GuidePoint.js';
+import { Anchor } from '../linkage/Anchor.js';
+import { MechanismDiagnostics } from '../linkage/MechanismDiagnostics.js';
+import { TraceSystem } from '../linkage/TraceSystem.js';
+import { Units } from '../linkage/Units.js';
 
 /**
  * Serializes and deserializes linkage state for URL encoding
@@ -16,6 +20,11 @@ export class StateSerializer {
    * Export current state as JSON object
    */
   exportState() {
+    // Automated properties are saved at rest, without the offset they have at this crank angle
+    return this.mechanism.automation.atRest(() => this.exportRestState());
+  }
+
+  exportRestState() {
     const crank = this.mechanism.rods[0];
     const followerRods = this.mechanism.rods.slice(1);
 
@@ -25,27 +34,66 @@ export class StateSerializer {
       anchor: {
         x: this.mechanism.anchor.pos.x,
         y: this.mechanism.anchor.pos.y,
+        phase: this.mechanism.anchor.phase,
+        speedRatio: this.mechanism.anchor.speedRatio,
         crank: {
           length: crank.length,
           isTracing: crank.isTracing,
-          isFullRodTracing: crank.isFullRodTracing
+          isFullRodTracing: crank.isFullRodTracing,
+          ...this.exportCouplerPoints(crank),
+          ...this.exportTraceStyles(crank)
         }
       },
       rods: followerRods.map(rod => {
         const rodData = {
           id: rod.id,
+          parentId: rod.parentId,
           length: rod.length,
           isTracing: rod.isTracing,
-          isFullRodTracing: rod.isFullRodTracing
+          isFullRodTracing: rod.isFullRodTracing,
+          ...this.exportCouplerPoints(rod),
+          ...this.exportTraceStyles(rod)
         };
 
+        // Extra cranks carry their own anchor instead of a guide point
+        if (rod.isCrank()) {
+          const anchor = this.mechanism.anchors[rod.anchorId];
+          rodData.anchor = {
+            x: anchor.pos.x,
+            y: anchor.pos.y,
+            phase: anchor.phase,
+            speedRatio: anchor.speedRatio
+          };
+          return rodData;
+        }
+
+        // Telescoping limits (unlimited maximum is stored as null)
+        if (rod.hasTelescopeLimits()) {
+          rodData.telescope = {
+            minExtension: rod.minExtension,
+            maxExtension: rod.maxExtension === Infinity ? null : rod.maxExtension,
+            limitMode: rod.limitMode
+          };
+        }
+
+        // Closed-loop rods hang from a second link
+        if (rod.isLoop()) {
+          rodData.constraint = rod.constraint;
+          rodData.pivotRodId = rod.pivotRodId;
+          rodData.pivotLength = rod.pivotLength;
+          rodData.elbow = rod.elbow;
+        }
+
         // Find corresponding guide point
         const gp = this.mechanism.guidePoints.find(gp => gp.id === rod.id);
         if (gp) {
           rodData.guidePoint = {
-            x: gp.pos.x,
-            y: gp.pos.y
+            x: gp.home.x,
+            y: gp.home.y
           };
+          if (gp.isDriven()) {
+            rodData.guidePoint.motion = { ...gp.motion };
+          }
         }
 
         return rodData;
@@ -56,15 +104,65 @@ export class StateSerializer {
         zoom: this.camera.zoom
       },
       traceColor: this.traceSystem.getTraceColor(),
+      colorMode: this.traceSystem.getColorMode(),
+      heatmap: this.traceSystem.getHeatmap(),
       traceWidth: this.traceSystem.getTraceWidth(),
       rodsWidth: this.traceSystem.getRodsWidth(),
       fadingEnabled: this.traceSystem.getFading(),
       isStretchingMode: this.mechanism.isStretchingMode,
       isInverse: this.renderer.getInverse(),
-      crankSpeed: this.mechanism.crankSpeed
+      crankSpeed: this.mechanism.crankSpeed,
+      revolutionsPerSecond: this.mechanism.revolutionsPerSecond,
+      stepsPerRound: this.mechanism.stepsPerRound,
+      speedProfile: this.mechanism.speedProfile.getSettings(),
+      symmetry: this.mechanism.symmetry.getSettings(),
+      automations: this.mechanism.automation.getSettings(),
+      units: this.mechanism.units.getSettings(),
+      random: {
+        seed: this.mechanism.random.getSeed(),
+        draws: this.mechanism.random.getDraws()
+      }
     };
   }
 
+  /**
+   * Coupler points are only written for rods that have any
+   */
+  exportCouplerPoints(rod) {
+    if (rod.couplerPoints.length === 0) return {};
+    return {
+      couplerPoints: rod.couplerPoints.map(point => ({ ...point }))
+    };
+  }
+
+  /**
+   * Per-rod trace styles are only written for rods that have their own
+   */
+  exportTraceStyles(rod) {
+    const styles = {};
+    if (rod.traceStyle) {
+      styles.traceStyle = TraceSystem.normalizeStyle(rod.traceStyle);
+    }
+    if (rod.fullRodStyle) {
+      styles.fullRodStyle = TraceSystem.normalizeStyle(rod.fullRodStyle);
+    }
+    return styles;
+  }
+
+  static importTraceStyles(rod, rodData) {
+    rod.traceStyle = TraceSystem.normalizeStyle(rodData.traceStyle);
+    rod.fullRodStyle = TraceSystem.normalizeStyle(rodData.fullRodStyle);
+  }
+
+  static importCouplerPoints(rod, couplerPoints) {
+    if (!Array.isArray(couplerPoints)) return;
+    couplerPoints.forEach(point => {
+      if (isFinite(point.t) && isFinite(point.offset)) {
+        rod.addCouplerPoint(point.t, point.offset, point.isTracing !== false);
+      }
+    });
+  }
+
   /**
    * Import state from JSON object
    */
@@ -74,32 +172,11 @@ export class StateSerializer {
       throw new Error('Unsupported file version');
     }
 
-    // Clear existing configuration
-    this.mechanism.rods = [];
-    this.mechanism.guidePoints = [];
-
-    // Restore anchor position
-    this.mechanism.anchor.pos.set(state.anchor.x, state.anchor.y);
-
-    // Restore crank (rod 0) from anchor
-    const crank = new Rod(0, state.anchor.crank.length);
-    crank.isTracing = state.anchor.crank.isTracing;
-    crank.isFullRodTracing = state.anchor.crank.isFullRodTracing;
-    this.mechanism.rods.push(crank);
-
-    // Restore follower rods and their guide points
-    state.rods.forEach(rodData => {
-      const rod = new Rod(rodData.id, rodData.length);
-      rod.isTracing = rodData.isTracing;
-      rod.isFullRodTracing = rodData.isFullRodTracing;
-      this.mechanism.rods.push(rod);
-
-      // Restore guide point
-      if (rodData.guidePoint) {
-        const gp = new GuidePoint(rodData.id, rodData.guidePoint.x, rodData.guidePoint.y);
-        this.mechanism.guidePoints.push(gp);
-      }
-    });
+    // Carry on with the repaired copy, the state passed in isn't changed
+    state = StateSerializer.applyMechanismState(this.mechanism, state);
+    if (this.mechanism.stateRepairs.length > 0) {
+      console.warn('Repaired invalid values in state:', this.mechanism.stateRepairs);
+    }
 
     // Restore camera
     this.camera.offset.set(state.camera.offsetX, state.camera.offsetY);
@@ -110,6 +187,10 @@ export class StateSerializer {
       this.traceSystem.setTraceColor(state.traceColor);
     }
 
+    // Restore colour mode and heatmap (states from before them are solid, without heatmap)
+    this.traceSystem.setColorMode(state.colorMode || { mode: 'solid' });
+    this.traceSystem.setHeatmap(state.heatmap || { mode: 'off' });
+
     // Restore trace width
     if (state.traceWidth !== undefined) {
       this.traceSystem.setTraceWidth(state.traceWidth);
@@ -125,22 +206,153 @@ export class StateSerializer {
       this.traceSystem.setFading(state.fadingEnabled);
     }
 
-    // Restore stretching mode
-    if (state.isStretchingMode !== undefined) {
-      this.mechanism.isStretchingMode = state.isStretchingMode;
-    }
+    // Traces fade over one revolution at the restored resolution
+    this.traceSystem.updateFadeLifespan(this.mechanism.stepsPerRound);
 
     // Restore inverse mode
     if (state.isInverse !== undefined) {
       this.renderer.setInverse(state.isInverse);
     }
+  }
+
+  /**
+   * Rebuild anchors, rods and guide points of a mechanism from a state object
+   * Touches no camera, trace or DOM state, so it also works headless (Node, Worker)
+   * @returns {Object} The repaired copy of the state that was applied
+   */
+  static applyMechanismState(mechanism, original) {
+    // Repairs are listed by the diagnostics panel; no logging here, as the fitter, sampler and
+    // worker run this for every candidate state
+    const sanitized = MechanismDiagnostics.sanitizeState(original);
+    const state = sanitized.state;
+    mechanism.stateRepairs = sanitized.repairs;
+
+    // Clear existing configuration (the main anchor object is kept)
+    mechanism.rods = [];
+    mechanism.guidePoints = [];
+    mechanism.anchors = [mechanism.anchor];
+
+    // Restore anchor position and drive
+    mechanism.anchor.pos.set(state.anchor.x, state.anchor.y);
+    mechanism.anchor.phase = state.anchor.phase || 0;
+    mechanism.anchor.speedRatio = state.anchor.speedRatio !== undefined ? state.anchor.speedRatio : 1;
+
+    // Restore crank (rod 0) from anchor
+    const crank = new Rod(0, state.anchor.crank.length);
+    crank.isTracing = state.anchor.crank.isTracing;
+    crank.isFullRodTracing = state.anchor.crank.isFullRodTracing;
+    StateSerializer.importCouplerPoints(crank, state.anchor.crank.couplerPoints);
+    StateSerializer.importTraceStyles(crank, state.anchor.crank);
+    mechanism.rods.push(crank);
+
+    // Restore follower rods and their guide points
+    // Chain-only states have no parentId: each rod hangs from the previous one
+    state.rods.forEach(rodData => {
+      // Extra crank on its own anchor
+      if (rodData.anchor) {
+        const anchor = new Anchor(rodData.anchor.x, rodData.anchor.y, mechanism.anchors.length);
+        anchor.phase = rodData.anchor.phase || 0;
+        anchor.speedRatio = rodData.anchor.speedRatio !== undefined ? rodData.anchor.speedRatio : 1;
+        mechanism.anchors.push(anchor);
+
+        const crankRod = new Rod(rodData.id, rodData.length, null);
+        crankRod.anchorId = anchor.id;
+        crankRod.isTracing = rodData.isTracing;
+        crankRod.isFullRodTracing = rodData.isFullRodTracing;
+        StateSerializer.importCouplerPoints(crankRod, rodData.couplerPoints);
+        StateSerializer.importTraceStyles(crankRod, rodData);
+        mechanism.rods.push(crankRod);
+        return;
+      }
+
+      let parentId = rodData.parentId;
+      if (parentId === undefined || parentId === null || parentId < 0 || parentId >= rodData.id) {
+        parentId = rodData.id - 1;
+      }
+      const rod = new Rod(rodData.id, rodData.length, parentId);
+      rod.isTracing = rodData.isTracing;
+      rod.isFullRodTracing = rodData.isFullRodTracing;
+      StateSerializer.importCouplerPoints(rod, rodData.couplerPoints);
+      StateSerializer.importTraceStyles(rod, rodData);
+      if (rodData.telescope) {
+        const { minExtension, maxExtension, limitMode } = rodData.telescope;
+        rod.minExtension = isFinite(minExtension) && minExtension > 0 ? minExtension : 0;
+        rod.maxExtension = maxExtension !== null && isFinite(maxExtension) ? Math.max(maxExtension, rod.minExtension) : Infinity;
+        rod.limitMode = limitMode === 'stop' ? 'stop' : 'clamp';
+      }
+      if (rodData.constraint === 'circle') {
+        rod.constraint = 'circle';
+        rod.pivotRodId = rodData.pivotRodId !== undefined && rodData.pivotRodId !== null && rodData.pivotRodId < rodData.id
+          ? rodData.pivotRodId
+          : null;
+        rod.pivotLength = rodData.pivotLength;
+        rod.elbow = rodData.elbow < 0 ? -1 : 1;
+      }
+      mechanism.rods.push(rod);
+
+      // Restore guide point
+      if (rodData.guidePoint) {
+        const gp = new GuidePoint(rodData.id, rodData.guidePoint.x, rodData.guidePoint.y);
+        if (rodData.guidePoint.motion) {
+          gp.setMotion(rodData.guidePoint.motion);
+        }
+        mechanism.guidePoints.push(gp);
+      }
+    });
+
+    // Restore stretching mode
+    if (state.isStretchingMode !== undefined) {
+      mechanism.isStretchingMode = state.isStretchingMode;
+    }
+
+    // Restore timing: speed, trace resolution and speed profile
+    if (state.revolutionsPerSecond !== undefined) {
+      mechanism.setRevolutionsPerSecond(state.revolutionsPerSecond);
+    }
+    if (state.stepsPerRound !== undefined) {
+      mechanism.setStepsPerRound(state.stepsPerRound);
+    }
+    if (state.speedProfile) {
+      mechanism.speedProfile.setSettings(state.speedProfile);
+    }
+
+    // Restore symmetry (states from before it existed have none); clones restart from the master
+    mechanism.symmetry.setSettings(state.symmetry || { mode: 'none' });
+    mechanism.clones = [];
+
+    // Restore automations; the loaded values are at rest
+    mechanism.automation.setSettings(state.automations || []);
+    if (mechanism.traceSystem) {
+      mechanism.traceSystem.hueShift = 0;
+    }
 
-    // Restore crank speed (spin direction)
+    // Restore document units (states from before them are in pixels); start from the defaults,
+    // so no scale or rounding of the previous design is left behind
+    mechanism.units.setSettings(new Units().getSettings());
+    mechanism.units.setSettings(state.units);
+
+    // A playing morph belongs to the design it was started from
+    mechanism.morph = null;
+
+    // Restore crank speed (only its sign, the spin direction; older states stored radians per frame)
     if (state.crankSpeed !== undefined) {
-      this.mechanism.crankSpeed = state.crankSpeed;
+      const direction = state.crankSpeed < 0 ? -1 : 1;
+      mechanism.crankSpeed = direction * Math.PI * 2 / mechanism.stepsPerRound;
+    }
+
+    // Restore the random sequence, so rods added next come out the same as before
+    if (state.random && Number.isInteger(state.random.seed) && Number.isInteger(state.random.draws) && state.random.draws >= 0) {
+      mechanism.random.setSeed(state.random.seed);
+      mechanism.random.setDraws(state.random.draws);
+    }
+
+    // Drop a branch selection that no longer points at a rod
+    if (mechanism.selectedRodId !== null && mechanism.selectedRodId >= mechanism.rods.length) {
+      mechanism.selectedRodId = null;
     }
 
     // Update joints
-    this.mechanism.updateJoints();
+    mechanism.updateJoints();
+    return state;
   }
 }
@@ -0,0 +1,214 @@
+/**
+ * Minimal SVG path data reader: turns the first subpath of a `d` attribute into a polyline
+ * Supports M, L, H, V, C, S, Q, T, A and Z in absolute and relative form
+ */
+export class SvgPath {
+  /**
+   * Accepts bare path data or SVG markup (the first d="..." attribute is used)
+   * @param {string} text
+   * @param {number} segmentsPerCurve - Line segments per curve or arc
+   * @returns {Array<{x: number, y: number}>|null} Points of the first subpath, null when unreadable
+   */
+  static parse(text, segmentsPerCurve = 16) {
+    const attribute = /\sd\s*=\s*["']([^"']*)["']/.exec(text);
+    const data = attribute ? attribute[1] : text;
+    const tokens = data.match(/[a-df-zA-DF-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g);
+    if (!tokens || !/^[mM]$/.test(tokens[0])) return null;
+
+    const points = [];
+    let index = 0;
+    let command = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    // Reflection sources for smooth curves (S, T)
+    let lastControl = null;
+    let lastCommand = null;
+
+    const isCommand = (token) => /^[a-zA-Z]$/.test(token);
+    const read = () => Number(tokens[index++]);
+    const add = (px, py) => points.push({ x: px, y: py });
+
+    while (index < tokens.length) {
+      if (isCommand(tokens[index])) {
+        command = tokens[index++];
+      } else if (command === null) {
+        return null;
+      }
+
+      const relative = command === command.toLowerCase();
+      const ox = relative ? x : 0;
+      const oy = relative ? y : 0;
+      const type = command.toUpperCase();
+
+      if (type === 'Z') {
+        // Only the first subpath is used
+        break;
+      }
+      if (index >= tokens.length || isCommand(tokens[index])) {
+        return points.length > 1 ? points : null;
+      }
+
+      switch (type) {
+        case 'M':
+          if (points.length > 0) {
+            return points;
+          }
+          x = ox + read();
+          y = oy + read();
+          startX = x;
+          startY = y;
+          add(x, y);
+          // Extra coordinate pairs after a move are line-tos
+          command = relative ? 'l' : 'L';
+          break;
+        case 'L':
+          x = ox + read();
+          y = oy + read();
+          add(x, y);
+          break;
+        case 'H':
+          x = ox + read();
+          add(x, y);
+          break;
+        case 'V':
+          y = oy + read();
+          add(x, y);
+          break;
+        case 'C':
+        case 'S': {
+          let c1;
+          if (type === 'C') {
+            c1 = { x: ox + read(), y: oy + read() };
+          } else {
+            c1 = lastControl && /[CS]/i.test(lastCommand)
+              ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y }
+              : { x, y };
+          }
+          const c2 = { x: ox + read(), y: oy + read() };
+          const end = { x: ox + read(), y: oy + read() };
+          for (let i = 1; i <= segmentsPerCurve; i++) {
+            const t = i / segmentsPerCurve;
+            const u = 1 - t;
+            add(
+              u * u * u * x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * end.x,
+              u * u * u * y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * end.y
+            );
+          }
+          lastControl = c2;
+          x = end.x;
+          y = end.y;
+          break;
+        }
+        case 'Q':
+        case 'T': {
+          let c;
+          if (type === 'Q') {
+            c = { x: ox + read(), y: oy + read() };
+          } else {
+            c = lastControl && /[QT]/i.test(lastCommand)
+              ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y }
+              : { x, y };
+          }
+          const end = { x: ox + read(), y: oy + read() };
+          for (let i = 1; i <= segmentsPerCurve; i++) {
+            const t = i / segmentsPerCurve;
+            const u = 1 - t;
+            add(
+              u * u * x + 2 * u * t * c.x + t * t * end.x,
+              u * u * y + 2 * u * t * c.y + t * t * end.y
+            );
+          }
+          lastControl = c;
+          x = end.x;
+          y = end.y;
+          break;
+        }
+        case 'A': {
+          const rx = read();
+          const ry = read();
+          const rotation = read();
+          const largeArc = read();
+          const sweep = read();
+          const end = { x: ox + read(), y: oy + read() };
+          SvgPath.arcPoints({ x, y }, end, rx, ry, rotation, largeArc, sweep, segmentsPerCurve).forEach(p => add(p.x, p.y));
+          x = end.x;
+          y = end.y;
+          break;
+        }
+        default:
+          return null;
+      }
+
+      if (!/[CSQT]/.test(type)) {
+        lastControl = null;
+      }
+      lastCommand = type;
+    }
+
+    // Drop the closing point when it repeats the start
+    const last = points[points.length - 1];
+    if (points.length > 1 && Math.abs(last.x - startX) < 1e-9 && Math.abs(last.y - startY) < 1e-9) {
+      points.pop();
+    }
+
+    if (points.length < 2 || points.some(p => !isFinite(p.x) || !isFinite(p.y))) return null;
+    return points;
+  }
+
+  /**
+   * Points along an elliptical arc (endpoint to centre parameterisation, SVG spec F.6.5)
+   */
+  static arcPoints(start, end, rx, ry, rotationDegrees, largeArc, sweep, segments) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) {
+      return [end];
+    }
+
+    const phi = rotationDegrees * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (start.x - end.x) / 2;
+    const dy = (start.y - end.y) / 2;
+    const x1 = cos * dx + sin * dy;
+    const y1 = -sin * dx + cos * dy;
+
+    // Scale up radii that are too small to reach the end point
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    let factor = Math.sqrt(Math.max(0, numerator / denominator));
+    if (largeArc === sweep) {
+      factor = -factor;
+    }
+    const cx1 = factor * rx * y1 / ry;
+    const cy1 = -factor * ry * x1 / rx;
+    const cx = cos * cx1 - sin * cy1 + (start.x + end.x) / 2;
+    const cy = sin * cx1 + cos * cy1 + (start.y + end.y) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta1 = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    if (!sweep && delta > 0) {
+      delta -= Math.PI * 2;
+    } else if (sweep && delta < 0) {
+      delta += Math.PI * 2;
+    }
+
+    const points = [];
+    for (let i = 1; i <= segments; i++) {
+      const theta = theta1 + delta * i / segments;
+      const ex = rx * Math.cos(theta);
+      const ey = ry * Math.sin(theta);
+      points.push({ x: cos * ex - sin * ey + cx, y: sin * ex + cos * ey + cy });
+    }
+    return points;
+  }
+}
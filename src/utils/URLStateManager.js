@@ -1,6 +1,6 @@
 /**
  * Manages encoding/decoding linkage state in URL hash
- * Format: #anchor=x,y&crank=len,trace,fulltrace&rod1=len,gpx,gpy,trace,fulltrace&camera=ox,oy,zoom&color=r,g,b&traceWidth=n&rodsWidth=n&stretch=0|1&inverse=0|1&fade=0|1
+ * Format: #anchor=x,y&crank=len,trace,fulltrace,phase,ratio&crank2=len,trace,fulltrace,ax,ay,phase,ratio&rod1=len,gpx,gpy,trace,fulltrace,parent&gp1=type,params...&loop1=pivotlen,elbow,pivotrod&cp1=t,offset,trace;...&tele1=minext,maxext,clamp|stop&camera=ox,oy,zoom&color=r,g,b&colormode=mode,endr,endg,endb,palette&heat=color|width|calligraphy,speed|curvature,colormap&traceWidth=n&rodsWidth=n&stretch=0|1&inverse=0|1&fade=0|1&speed=revsPerSecond,stepsPerRound&profile=mode,amount,wobbles,c1;c2;...&seed=seed,draws&sym=none|rotate|mirror,count,cx,cy,axis,phase&auto=property,id,shape,amount,period;...&units=mm|cm|in,mmPerPixel,snapMm&ts1=r,g,b,opacity,width&fs1=r,g,b,opacity,width
  */
 export class URLStateManager {
   constructor(stateSerializer) {
@@ -17,25 +17,61 @@ export class URLStateManager {
   }
 
   /**
-   * Encode current state to URL hash with readable parameters
+   * Encode a state object to URLSearchParams
+   * Shared by URL updates, browser history entries and presets
    */
-  encodeStateToURL() {
-    const state = this.stateSerializer.exportState();
+  static encodeParams(state) {
     const params = new URLSearchParams();
 
     // Encode anchor: anchor=x,y
     params.set('anchor', `${state.anchor.x.toFixed(1)},${state.anchor.y.toFixed(1)}`);
 
-    // Encode crank: crank=length,isTracing,isFullRodTracing
+    // Encode crank: crank=length,isTracing,isFullRodTracing,phaseDegrees,speedRatio
     const crank = state.anchor.crank;
-    params.set('crank', `${crank.length.toFixed(1)},${crank.isTracing ? 1 : 0},${crank.isFullRodTracing ? 1 : 0}`);
+    params.set('crank', `${crank.length.toFixed(1)},${crank.isTracing ? 1 : 0},${crank.isFullRodTracing ? 1 : 0},${URLStateManager.formatDrive(state.anchor)}`);
+    if (crank.couplerPoints) {
+      params.set('cp0', URLStateManager.formatCouplerPoints(crank.couplerPoints));
+    }
+    URLStateManager.setTraceStyles(params, 0, crank);
 
-    // Encode rods: rod1=length,gpx,gpy,isTracing,isFullRodTracing
+    // Encode rods: rod1=length,gpx,gpy,isTracing,isFullRodTracing,parentId
+    // Closed-loop rods add loop1=pivotLength,elbow,pivotRodId (pivotRodId empty for a ground pivot)
+    // Extra cranks: crank2=length,isTracing,isFullRodTracing,anchorX,anchorY,phaseDegrees,speedRatio
+    // Coupler points on any rod: cp1=t,offset,isTracing;t,offset,isTracing
+    // Own trace styles on any rod: ts1=r,g,b,opacity,width (joint traces), fs1=... (full-rod trace)
     state.rods.forEach(rod => {
+      if (rod.couplerPoints) {
+        params.set(`cp${rod.id}`, URLStateManager.formatCouplerPoints(rod.couplerPoints));
+      }
+      URLStateManager.setTraceStyles(params, rod.id, rod);
+
+      if (rod.anchor) {
+        params.set(`crank${rod.id}`, `${rod.length.toFixed(1)},${rod.isTracing ? 1 : 0},${rod.isFullRodTracing ? 1 : 0},${rod.anchor.x.toFixed(1)},${rod.anchor.y.toFixed(1)},${URLStateManager.formatDrive(rod.anchor)}`);
+        return;
+      }
+
       const rodKey = `rod${rod.id}`;
       const gp = rod.guidePoint;
-      if (gp) {
-        params.set(rodKey, `${rod.length.toFixed(1)},${gp.x.toFixed(1)},${gp.y.toFixed(1)},${rod.isTracing ? 1 : 0},${rod.isFullRodTracing ? 1 : 0}`);
+      const parentId = rod.parentId !== undefined && rod.parentId !== null ? rod.parentId : rod.id - 1;
+      const gpx = gp ? gp.x.toFixed(1) : '';
+      const gpy = gp ? gp.y.toFixed(1) : '';
+      params.set(rodKey, `${rod.length.toFixed(1)},${gpx},${gpy},${rod.isTracing ? 1 : 0},${rod.isFullRodTracing ? 1 : 0},${parentId}`);
+
+      // Driven guide points: gp1=slider,length,angleDegrees,speedRatio,phaseDegrees | orbit,radius,speedRatio,phaseDegrees | pinned,rodId
+      if (gp && gp.motion) {
+        params.set(`gp${rod.id}`, URLStateManager.formatMotion(gp.motion));
+      }
+
+      // Telescoping limits: tele1=minExtension,maxExtension,limitMode (maxExtension empty when unlimited)
+      if (rod.telescope) {
+        const { minExtension, maxExtension, limitMode } = rod.telescope;
+        const max = maxExtension !== null && maxExtension !== undefined ? maxExtension.toFixed(1) : '';
+        params.set(`tele${rod.id}`, `${minExtension.toFixed(1)},${max},${limitMode}`);
+      }
+
+      if (rod.constraint === 'circle') {
+        const pivotRodId = rod.pivotRodId !== undefined && rod.pivotRodId !== null ? rod.pivotRodId : '';
+        params.set(`loop${rod.id}`, `${rod.pivotLength.toFixed(1)},${rod.elbow},${pivotRodId}`);
       }
     });
 
@@ -46,6 +82,19 @@ export class URLStateManager {
     const color = state.traceColor;
     params.set('color', `${color.r},${color.g},${color.b}`);
 
+    // Encode colour mode: colormode=mode,endR,endG,endB,palette (solid traces have none)
+    const colorMode = state.colorMode;
+    if (colorMode && colorMode.mode !== 'solid') {
+      const end = colorMode.endColor;
+      params.set('colormode', `${colorMode.mode},${end.r},${end.g},${end.b},${colorMode.palette}`);
+    }
+
+    // Encode heatmap: heat=mode,metric,colormap (none when off)
+    const heatmap = state.heatmap;
+    if (heatmap && heatmap.mode !== 'off') {
+      params.set('heat', `${heatmap.mode},${heatmap.metric},${heatmap.colormap}`);
+    }
+
     // Encode widths
     if (state.traceWidth !== undefined) {
       params.set('traceWidth', state.traceWidth.toString());
@@ -69,113 +118,413 @@ export class URLStateManager {
       params.set('fade', state.fadingEnabled ? '1' : '0');
     }
 
-    // Update URL hash, preserving history state for undo/redo
-    window.history.replaceState(window.history.state, '', '#' + params.toString());
+    // Encode timing: speed=revolutionsPerSecond,stepsPerRound
+    if (state.revolutionsPerSecond !== undefined && state.stepsPerRound !== undefined) {
+      params.set('speed', `${Number(state.revolutionsPerSecond.toFixed(4))},${state.stepsPerRound}`);
+    }
+
+    // Encode speed profile: profile=mode,amount,wobbles,custom1;custom2;...
+    const profile = state.speedProfile;
+    if (profile && profile.mode !== 'uniform') {
+      const custom = profile.custom.map(value => Number(value.toFixed(3))).join(';');
+      params.set('profile', `${profile.mode},${Number(profile.amount.toFixed(3))},${profile.wobbles},${custom}`);
+    }
+
+    // Encode symmetry: sym=mode,count,centerX,centerY,axisDegrees,phaseOffsetDegrees (centre empty for the main anchor)
+    const symmetry = state.symmetry;
+    if (symmetry && symmetry.mode !== 'none') {
+      const deg = (radians) => Number((radians * 180 / Math.PI).toFixed(1));
+      const cx = symmetry.center ? symmetry.center.x.toFixed(1) : '';
+      const cy = symmetry.center ? symmetry.center.y.toFixed(1) : '';
+      params.set('sym', `${symmetry.mode},${symmetry.count},${cx},${cy},${deg(symmetry.axisAngle)},${deg(symmetry.phaseOffset)}`);
+    }
+
+    // Encode automations: auto=property,id,shape,amount,period;... (id empty for speed, trace width and hue)
+    if (state.automations && state.automations.length > 0) {
+      params.set('auto', state.automations.map(automation => {
+        const id = automation.id !== null && automation.id !== undefined ? automation.id : '';
+        return `${automation.property},${id},${automation.shape},${Number(automation.amount.toFixed(3))},${Number(automation.period.toFixed(3))}`;
+      }).join(';'));
+    }
+
+    // Encode units: units=unit,mmPerPixel,snapMm (pixel designs have none)
+    const units = state.units;
+    if (units && units.unit !== 'px') {
+      params.set('units', `${units.unit},${Number(units.mmPerPixel.toFixed(6))},${Number(units.snap.toFixed(3))}`);
+    }
+
+    // Encode random numbers: seed=seed,draws (position in the sequence)
+    if (state.random) {
+      params.set('seed', `${state.random.seed},${state.random.draws}`);
+    }
+
+    return params;
   }
 
   /**
-   * Decode state from URL hash and load it
+   * Anchor drive as "phaseDegrees,speedRatio"
    */
-  decodeStateFromURL() {
-    const hash = window.location.hash.slice(1); // Remove '#'
+  static formatDrive(anchor) {
+    const phase = anchor.phase ? anchor.phase * 180 / Math.PI : 0;
+    const speedRatio = anchor.speedRatio !== undefined ? anchor.speedRatio : 1;
+    return `${Number(phase.toFixed(1))},${Number(speedRatio.toFixed(4))}`;
+  }
 
-    if (!hash) {
-      return false; // No state in URL
+  /**
+   * Parse "phaseDegrees,speedRatio" fields (missing in links from before multi-crank support)
+   */
+  static parseDrive(phaseStr, speedRatioStr) {
+    return {
+      phase: phaseStr !== undefined && phaseStr !== '' ? Number(phaseStr) * Math.PI / 180 : 0,
+      speedRatio: speedRatioStr !== undefined && speedRatioStr !== '' ? Number(speedRatioStr) : 1
+    };
+  }
+
+  static formatCouplerPoints(couplerPoints) {
+    return couplerPoints
+      .map(point => `${Number(point.t.toFixed(4))},${point.offset.toFixed(1)},${point.isTracing ? 1 : 0}`)
+      .join(';');
+  }
+
+  static parseCouplerPoints(couplerStr) {
+    return couplerStr.split(';').map(pointStr => {
+      const [t, offset, isTracing] = pointStr.split(',');
+      return { t: Number(t), offset: Number(offset), isTracing: isTracing !== '0' };
+    });
+  }
+
+  /**
+   * Trace styles as r,g,b,opacity,width (colour or width empty for the design's)
+   */
+  static setTraceStyles(params, rodId, rodData) {
+    const format = (style) => {
+      const color = style.color ? `${style.color.r},${style.color.g},${style.color.b}` : ',,';
+      const width = style.width ? Number(style.width.toFixed(1)) : '';
+      return `${color},${Number(style.opacity.toFixed(2))},${width}`;
+    };
+    if (rodData.traceStyle) {
+      params.set(`ts${rodId}`, format(rodData.traceStyle));
+    }
+    if (rodData.fullRodStyle) {
+      params.set(`fs${rodId}`, format(rodData.fullRodStyle));
     }
+  }
 
-    try {
-      const params = new URLSearchParams(hash);
-
-      // Build state object
-      const state = {
-        version: '1.0',
-        anchor: {},
-        rods: [],
-        camera: {},
-        traceColor: {}
+  static parseTraceStyles(params, rodId) {
+    const parse = (styleStr) => {
+      const [r, g, b, opacity, width] = styleStr.split(',');
+      return {
+        color: r !== '' && g !== '' && b !== '' ? { r: Number(r), g: Number(g), b: Number(b) } : null,
+        opacity: opacity !== undefined && opacity !== '' ? Number(opacity) : 1,
+        width: width !== undefined && width !== '' ? Number(width) : null
       };
+    };
+    const styles = {};
+    const traceStyleStr = params.get(`ts${rodId}`);
+    if (traceStyleStr) {
+      styles.traceStyle = parse(traceStyleStr);
+    }
+    const fullRodStyleStr = params.get(`fs${rodId}`);
+    if (fullRodStyleStr) {
+      styles.fullRodStyle = parse(fullRodStyleStr);
+    }
+    return styles;
+  }
 
-      // Decode anchor
-      const anchorStr = params.get('anchor');
-      if (anchorStr) {
-        const [x, y] = anchorStr.split(',').map(Number);
-        state.anchor.x = x;
-        state.anchor.y = y;
-      }
+  static formatMotion(motion) {
+    const deg = (radians) => Number((radians * 180 / Math.PI).toFixed(1));
+    const num = (value) => Number(value.toFixed(4));
+    switch (motion.type) {
+      case 'slider':
+        return `slider,${num(motion.length)},${deg(motion.angle)},${num(motion.speedRatio)},${deg(motion.phase)}`;
+      case 'orbit':
+        return `orbit,${num(motion.radius)},${num(motion.speedRatio)},${deg(motion.phase)}`;
+      case 'pinned':
+        return `pinned,${motion.rodId}`;
+      default:
+        return 'static';
+    }
+  }
 
-      // Decode crank
-      const crankStr = params.get('crank');
-      if (crankStr) {
-        const [length, isTracing, isFullRodTracing] = crankStr.split(',');
-        state.anchor.crank = {
-          length: Number(length),
-          isTracing: isTracing === '1',
-          isFullRodTracing: isFullRodTracing === '1'
-        };
+  static parseMotion(motionStr) {
+    const [type, ...fields] = motionStr.split(',');
+    const values = fields.map(Number);
+    const rad = (degrees) => (degrees || 0) * Math.PI / 180;
+    switch (type) {
+      case 'slider':
+        return { type, length: values[0], angle: rad(values[1]), speedRatio: values[2], phase: rad(values[3]) };
+      case 'orbit':
+        return { type, radius: values[0], speedRatio: values[1], phase: rad(values[2]) };
+      case 'pinned':
+        return { type, rodId: values[0] };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Decode URLSearchParams back into a state object for StateSerializer.importState
+   */
+  static decodeParams(params) {
+    // Build state object
+    const state = {
+      version: '1.0',
+      anchor: {},
+      rods: [],
+      camera: {},
+      traceColor: {}
+    };
+
+    // Decode anchor
+    const anchorStr = params.get('anchor');
+    if (anchorStr) {
+      const [x, y] = anchorStr.split(',').map(Number);
+      state.anchor.x = x;
+      state.anchor.y = y;
+    }
+
+    // Decode crank
+    const crankStr = params.get('crank');
+    if (crankStr) {
+      const [length, isTracing, isFullRodTracing, phase, speedRatio] = crankStr.split(',');
+      state.anchor.crank = {
+        length: Number(length),
+        isTracing: isTracing === '1',
+        isFullRodTracing: isFullRodTracing === '1',
+        ...URLStateManager.parseTraceStyles(params, 0)
+      };
+      Object.assign(state.anchor, URLStateManager.parseDrive(phase, speedRatio));
+
+      const crankCouplerStr = params.get('cp0');
+      if (crankCouplerStr) {
+        state.anchor.crank.couplerPoints = URLStateManager.parseCouplerPoints(crankCouplerStr);
       }
+    }
 
-      // Decode rods
-      let rodId = 1;
-      while (params.has(`rod${rodId}`)) {
-        const rodStr = params.get(`rod${rodId}`);
-        const [length, gpx, gpy, isTracing, isFullRodTracing] = rodStr.split(',');
+    // Decode rods (parentId is missing in chain-only links)
+    let rodId = 1;
+    while (params.has(`rod${rodId}`) || params.has(`crank${rodId}`)) {
+      const couplerStr = params.get(`cp${rodId}`);
+      const couplerPoints = couplerStr ? URLStateManager.parseCouplerPoints(couplerStr) : undefined;
+
+      const extraCrankStr = params.get(`crank${rodId}`);
+      if (extraCrankStr) {
+        const [length, isTracing, isFullRodTracing, ax, ay, phase, speedRatio] = extraCrankStr.split(',');
         state.rods.push({
           id: rodId,
+          parentId: null,
           length: Number(length),
           isTracing: isTracing === '1',
           isFullRodTracing: isFullRodTracing === '1',
-          guidePoint: {
-            x: Number(gpx),
-            y: Number(gpy)
+          couplerPoints,
+          ...URLStateManager.parseTraceStyles(params, rodId),
+          anchor: {
+            x: Number(ax),
+            y: Number(ay),
+            ...URLStateManager.parseDrive(phase, speedRatio)
           }
         });
         rodId++;
+        continue;
       }
 
-      // Decode camera
-      const cameraStr = params.get('camera');
-      if (cameraStr) {
-        const [offsetX, offsetY, zoom] = cameraStr.split(',').map(Number);
-        state.camera.offsetX = offsetX;
-        state.camera.offsetY = offsetY;
-        state.camera.zoom = zoom;
+      const rodStr = params.get(`rod${rodId}`);
+      const [length, gpx, gpy, isTracing, isFullRodTracing, parentId] = rodStr.split(',');
+      const rodData = {
+        id: rodId,
+        parentId: parentId !== undefined && parentId !== '' ? Number(parentId) : rodId - 1,
+        length: Number(length),
+        isTracing: isTracing === '1',
+        isFullRodTracing: isFullRodTracing === '1',
+        couplerPoints,
+        ...URLStateManager.parseTraceStyles(params, rodId)
+      };
+      if (gpx !== '' && gpy !== '') {
+        rodData.guidePoint = {
+          x: Number(gpx),
+          y: Number(gpy)
+        };
       }
 
-      // Decode color
-      const colorStr = params.get('color');
-      if (colorStr) {
-        const [r, g, b] = colorStr.split(',').map(Number);
-        state.traceColor = { r, g, b };
+      const motionStr = params.get(`gp${rodId}`);
+      if (rodData.guidePoint && motionStr) {
+        const motion = URLStateManager.parseMotion(motionStr);
+        if (motion) {
+          rodData.guidePoint.motion = motion;
+        }
       }
 
-      // Decode widths
-      const traceWidthStr = params.get('traceWidth');
-      if (traceWidthStr !== null) {
-        state.traceWidth = parseInt(traceWidthStr);
+      const telescopeStr = params.get(`tele${rodId}`);
+      if (telescopeStr) {
+        const [minExtension, maxExtension, limitMode] = telescopeStr.split(',');
+        rodData.telescope = {
+          minExtension: Number(minExtension),
+          maxExtension: maxExtension !== undefined && maxExtension !== '' ? Number(maxExtension) : null,
+          limitMode
+        };
       }
 
-      const rodsWidthStr = params.get('rodsWidth');
-      if (rodsWidthStr !== null) {
-        state.rodsWidth = parseInt(rodsWidthStr);
+      const loopStr = params.get(`loop${rodId}`);
+      if (loopStr) {
+        const [pivotLength, elbow, pivotRodId] = loopStr.split(',');
+        rodData.constraint = 'circle';
+        rodData.pivotLength = Number(pivotLength);
+        rodData.elbow = Number(elbow) < 0 ? -1 : 1;
+        rodData.pivotRodId = pivotRodId !== undefined && pivotRodId !== '' ? Number(pivotRodId) : null;
       }
 
-      // Decode stretching mode
-      const stretchStr = params.get('stretch');
-      if (stretchStr !== null) {
-        state.isStretchingMode = stretchStr === '1';
-      }
+      state.rods.push(rodData);
+      rodId++;
+    }
 
-      // Decode inverse mode
-      const inverseStr = params.get('inverse');
-      if (inverseStr !== null) {
-        state.isInverse = inverseStr === '1';
-      }
+    // Decode camera
+    const cameraStr = params.get('camera');
+    if (cameraStr) {
+      const [offsetX, offsetY, zoom] = cameraStr.split(',').map(Number);
+      state.camera.offsetX = offsetX;
+      state.camera.offsetY = offsetY;
+      state.camera.zoom = zoom;
+    }
 
-      // Decode fading enabled
-      const fadeStr = params.get('fade');
-      if (fadeStr !== null) {
-        state.fadingEnabled = fadeStr === '1';
-      }
+    // Decode color
+    const colorStr = params.get('color');
+    if (colorStr) {
+      const [r, g, b] = colorStr.split(',').map(Number);
+      state.traceColor = { r, g, b };
+    }
+
+    // Decode colour mode
+    const colorModeStr = params.get('colormode');
+    if (colorModeStr !== null) {
+      const [mode, r, g, b, palette] = colorModeStr.split(',');
+      state.colorMode = { mode, endColor: { r: Number(r), g: Number(g), b: Number(b) }, palette };
+    }
+
+    const heatStr = params.get('heat');
+    if (heatStr !== null) {
+      const [mode, metric, colormap] = heatStr.split(',');
+      state.heatmap = { mode, metric, colormap };
+    }
+
+    // Decode widths
+    const traceWidthStr = params.get('traceWidth');
+    if (traceWidthStr !== null) {
+      state.traceWidth = parseInt(traceWidthStr);
+    }
+
+    const rodsWidthStr = params.get('rodsWidth');
+    if (rodsWidthStr !== null) {
+      state.rodsWidth = parseInt(rodsWidthStr);
+    }
+
+    // Decode stretching mode
+    const stretchStr = params.get('stretch');
+    if (stretchStr !== null) {
+      state.isStretchingMode = stretchStr === '1';
+    }
+
+    // Decode inverse mode
+    const inverseStr = params.get('inverse');
+    if (inverseStr !== null) {
+      state.isInverse = inverseStr === '1';
+    }
+
+    // Decode fading enabled
+    const fadeStr = params.get('fade');
+    if (fadeStr !== null) {
+      state.fadingEnabled = fadeStr === '1';
+    }
+
+    // Decode timing
+    const speedStr = params.get('speed');
+    if (speedStr !== null) {
+      const [revolutionsPerSecond, stepsPerRound] = speedStr.split(',').map(Number);
+      state.revolutionsPerSecond = revolutionsPerSecond;
+      state.stepsPerRound = stepsPerRound;
+    }
+
+    // Decode speed profile (links without one run at uniform speed)
+    const profileStr = params.get('profile');
+    if (profileStr !== null) {
+      const [mode, amount, wobbles, custom] = profileStr.split(',');
+      state.speedProfile = {
+        mode,
+        amount: Number(amount),
+        wobbles: Number(wobbles),
+        custom: custom ? custom.split(';').map(Number) : undefined
+      };
+    } else if (speedStr !== null) {
+      state.speedProfile = { mode: 'uniform' };
+    }
+
+    // Decode symmetry (links without one have none)
+    const symmetryStr = params.get('sym');
+    if (symmetryStr !== null) {
+      const [mode, count, cx, cy, axis, phase] = symmetryStr.split(',');
+      state.symmetry = {
+        mode,
+        count: Number(count),
+        center: cx && cy ? { x: Number(cx), y: Number(cy) } : null,
+        axisAngle: Number(axis) * Math.PI / 180,
+        phaseOffset: Number(phase) * Math.PI / 180
+      };
+    }
+
+    // Decode automations
+    const automationStr = params.get('auto');
+    if (automationStr) {
+      state.automations = automationStr.split(';').map(entry => {
+        const [property, id, shape, amount, period] = entry.split(',');
+        return {
+          property,
+          id: id !== '' && id !== undefined ? Number(id) : null,
+          shape,
+          amount: Number(amount),
+          period: Number(period)
+        };
+      });
+    }
+
+    // Decode units
+    const unitsStr = params.get('units');
+    if (unitsStr !== null) {
+      const [unit, mmPerPixel, snap] = unitsStr.split(',');
+      state.units = { unit, mmPerPixel: Number(mmPerPixel), snap: Number(snap) || 0 };
+    }
+
+    // Decode random numbers
+    const seedStr = params.get('seed');
+    if (seedStr !== null) {
+      const [seed, draws] = seedStr.split(',').map(Number);
+      state.random = { seed, draws: draws || 0 };
+    }
+
+    return state;
+  }
+
+  /**
+   * Encode current state to URL hash with readable parameters
+   */
+  encodeStateToURL() {
+    const state = this.stateSerializer.exportState();
+    const params = URLStateManager.encodeParams(state);
+
+    // Update URL hash, preserving history state for undo/redo
+    window.history.replaceState(window.history.state, '', '#' + params.toString());
+  }
+
+  /**
+   * Decode state from URL hash and load it
+   */
+  decodeStateFromURL() {
+    const hash = window.location.hash.slice(1); // Remove '#'
+
+    if (!hash) {
+      return false; // No state in URL
+    }
+
+    try {
+      const state = URLStateManager.decodeParams(new URLSearchParams(hash));
 
       // Import the state
       this.stateSerializer.importState(state);
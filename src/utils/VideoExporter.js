@@ -12,10 +12,16 @@ export class VideoExporter {
     this.stream = null;
   }
 
-  startRecording(canvas, framesPerRound, onComplete) {
+  /**
+   * @param {number} framesPerLoop - Frames until the mechanism repeats (one revolution, or a full multi-crank cycle)
+   * @param {number} cycleRevolutions - Revolutions in one loop; long cycles are recorded fewer times
+   */
+  startRecording(canvas, framesPerLoop, onComplete, cycleRevolutions = 1) {
     this.isRecording = true;
     this.frameCount = 0;
-    this.targetFrames = framesPerRound * 3 - 1; // 3 full rotations minus 1 frame for seamless loop
+    // About 3 full rotations, in whole loops, minus 1 frame for seamless loop
+    const loops = Math.max(1, Math.round(3 / cycleRevolutions));
+    this.targetFrames = framesPerLoop * loops - 1;
     this.onComplete = onComplete;
     this.chunks = [];
 
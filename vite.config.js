@@ -9,7 +9,8 @@ export default defineConfig({
     assetsDir: 'assets',
     rollupOptions: {
       input: {
-        main: './index.html'
+        main: './index.html',
+        benchmark: './benchmark.html'
       }
     }
   },